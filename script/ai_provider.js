@@ -0,0 +1,196 @@
+// AI provider module
+// Keeps a registry of LLM backends and routes every chat completion to the active one
+
+import fs from 'fs';
+import { OpenAI } from 'openai';
+import MockProvider from './mock_provider.js';
+import CircuitBreaker from './circuit_breaker.js';
+import { QuizError, ERROR_CODES } from './errors.js';
+
+// Built-in providers, usable without any config file
+const BUILTIN_PROVIDERS = {
+    huggingface: {
+        type: 'openai',
+        baseURL: 'https://router.huggingface.co/v1',
+        apiKeyEnv: 'HF_API_KEY',
+        model: 'deepseek-ai/DeepSeek-V3.2'
+    },
+    ollama: {
+        type: 'local',
+        baseURL: 'http://localhost:11434/v1',
+        model: 'llama3.2'
+    },
+    mock: {
+        type: 'mock',
+        model: 'mock-quiz-1'
+    }
+};
+
+const DEFAULT_PROVIDER = 'huggingface';
+const DEFAULT_CONFIG_FILE = 'ai.config.json';
+
+// OpenAI-compatible endpoint (Hugging Face router, OpenAI, OpenRouter, vLLM, ...)
+class OpenAICompatibleProvider {
+    constructor(name, options) {
+        this.name = name;
+        this.model = options.model;
+        this.baseURL = options.baseURL;
+        this.client = new OpenAI({
+            baseURL: options.baseURL,
+            apiKey: options.apiKey || (options.apiKeyEnv ? process.env[options.apiKeyEnv] : undefined) || 'none',
+            timeout: options.timeoutMs || 60000
+        });
+    }
+
+    async chat({ messages, max_tokens, temperature }) {
+        const completion = await this.client.chat.completions.create({
+            model: this.model,
+            messages: messages,
+            max_tokens: max_tokens,
+            temperature: temperature
+        });
+
+        return {
+            content: completion.choices[0].message.content || '',
+            model: completion.model || this.model
+        };
+    }
+}
+
+// Local Ollama / llama.cpp server - both expose an OpenAI-compatible /v1 API and need no key
+class LocalProvider extends OpenAICompatibleProvider {
+    constructor(name, options) {
+        super(name, { ...options, apiKey: options.apiKey || 'local' });
+    }
+}
+
+const PROVIDER_TYPES = {
+    openai: OpenAICompatibleProvider,
+    local: LocalProvider,
+    mock: MockProvider
+};
+
+class AIProviderRegistry {
+    constructor(logFn = console.log) {
+        this.log = logFn;
+        this.providers = new Map(); // name -> provider instance
+        this.activeName = null;
+        this.breaker = new CircuitBreaker({ log: logFn });
+    }
+
+    /**
+     * Build providers from the built-ins, the optional config file and env overrides.
+     * Env: AI_PROVIDER, AI_MODEL, AI_BASE_URL, AI_API_KEY, AI_CONFIG (path to JSON config),
+     * AI_BREAKER_THRESHOLD, AI_BREAKER_COOLDOWN_SECONDS (circuit breaker, see script/circuit_breaker.js)
+     */
+    configure(env = process.env) {
+        this.breaker = new CircuitBreaker({
+            threshold: parseInt(env.AI_BREAKER_THRESHOLD || '5'),
+            cooldownMs: parseInt(env.AI_BREAKER_COOLDOWN_SECONDS || '60') * 1000,
+            log: this.log
+        });
+
+        const fileConfig = this.loadConfigFile(env.AI_CONFIG || DEFAULT_CONFIG_FILE, Boolean(env.AI_CONFIG));
+        const definitions = { ...BUILTIN_PROVIDERS, ...(fileConfig.providers || {}) };
+        const activeName = env.AI_PROVIDER || fileConfig.provider || DEFAULT_PROVIDER;
+
+        if (!definitions[activeName]) {
+            // Unknown name from env - treat it as an ad-hoc OpenAI-compatible endpoint
+            if (!env.AI_BASE_URL) {
+                throw new Error(`Unknown AI provider "${activeName}" (set AI_BASE_URL or add it to ${DEFAULT_CONFIG_FILE})`);
+            }
+            definitions[activeName] = { type: 'openai' };
+        }
+
+        // Env overrides only apply to the active provider
+        definitions[activeName] = {
+            ...definitions[activeName],
+            ...(env.AI_MODEL ? { model: env.AI_MODEL } : {}),
+            ...(env.AI_BASE_URL ? { baseURL: env.AI_BASE_URL } : {}),
+            ...(env.AI_API_KEY ? { apiKey: env.AI_API_KEY } : {})
+        };
+
+        this.providers.clear();
+        for (const [name, definition] of Object.entries(definitions)) {
+            this.register(name, definition);
+        }
+        this.use(activeName);
+        return this;
+    }
+
+    loadConfigFile(filePath, required) {
+        try {
+            if (!fs.existsSync(filePath)) {
+                if (required) {
+                    this.log(`[AI Provider] Config file not found: ${filePath}`, 'warn');
+                }
+                return {};
+            }
+            const config = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+            this.log(`[AI Provider] Loaded config from ${filePath}`);
+            return config;
+        } catch (error) {
+            this.log(`[AI Provider] Failed to read ${filePath}: ${error.message}`, 'error');
+            return {};
+        }
+    }
+
+    register(name, definition) {
+        const ProviderClass = PROVIDER_TYPES[definition.type || 'openai'];
+        if (!ProviderClass) {
+            throw new Error(`Unknown AI provider type "${definition.type}" for provider "${name}"`);
+        }
+        this.providers.set(name, new ProviderClass(name, definition));
+    }
+
+    use(name) {
+        if (!this.providers.has(name)) {
+            throw new Error(`AI provider "${name}" is not registered`);
+        }
+        this.activeName = name;
+        const provider = this.providers.get(name);
+        this.log(`[AI Provider] Active provider: ${name} (model: ${provider.model}${provider.baseURL ? ', ' + provider.baseURL : ''})`);
+    }
+
+    get active() {
+        return this.providers.get(this.activeName);
+    }
+
+    describe() {
+        return { provider: this.activeName, model: this.active.model, breaker: this.breaker.describe() };
+    }
+
+    /**
+     * False while the circuit breaker is open - callers should use stored questions instead
+     */
+    get available() {
+        return this.breaker.isAvailable();
+    }
+
+    /**
+     * Run a chat completion on the active provider.
+     * `purpose` labels the call in the console ('generate', 'verify', ...);
+     * `context` carries structured data the mock provider uses to answer deterministically.
+     * Returns { content, model, provider }.
+     * Throws a QuizError with code AI_UNAVAILABLE while the circuit breaker is open.
+     */
+    async chat({ purpose = 'chat', messages, max_tokens, temperature, context = {} }) {
+        const provider = this.active;
+        if (!this.breaker.allowRequest()) {
+            throw new QuizError(ERROR_CODES.AI_UNAVAILABLE, `AI provider ${provider.name} is unavailable, retrying in ${this.breaker.retryInSeconds()}s`);
+        }
+
+        let result;
+        try {
+            result = await provider.chat({ messages, max_tokens, temperature, context, purpose });
+        } catch (error) {
+            this.breaker.recordFailure(error);
+            throw error;
+        }
+        this.breaker.recordSuccess();
+        this.log(`[AI] ${purpose} served by ${provider.name} / ${result.model}`);
+        return { ...result, provider: provider.name };
+    }
+}
+
+export default AIProviderRegistry;
@@ -0,0 +1,107 @@
+// Cantonese module
+// Curated seed set of colloquial Cantonese vocabulary and idioms that Cantonese questions are written from and checked against
+//
+// Each generation attempt for a Cantonese subject is about one seed entry. The entry is the reference the prompt
+// writes from and the verification judges the answer against (like a study material passage), and the question
+// must quote the entry's term. The entries also make offline questions whose answers are known.
+
+import fs from 'fs';
+import path from 'path';
+import { isJyutping } from './jyutping.js';
+import { toTraditional } from './chinese_script.js';
+
+const KIND_LABELS = { vocabulary: 'everyday vocabulary', idiom: 'idiom or slang' };
+
+class CantoneseSeeds {
+    /**
+     * @param {string} filePath - JSON file with { subjects: [subject ids], entries: [{ kind, term, jyutping, meaning: { en, 'zh-Hant' } }] }
+     * @param {Function} logFn - logger (message, type)
+     */
+    constructor(filePath = path.join('questions', 'cantonese_seed.json'), logFn = console.log) {
+        this.filePath = filePath;
+        this.log = logFn;
+        this.subjects = [];
+        this.entries = [];
+
+        this.load();
+    }
+
+    load() {
+        try {
+            const data = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+            this.subjects = (data.subjects || []).map(String); // The first one is the subject id its offline questions are stored under
+            // An entry without a Jyutping reading or either meaning cannot check anything, so it is skipped
+            this.entries = (data.entries || []).filter(entry => {
+                const valid = entry.term && isJyutping(entry.jyutping) && entry.meaning?.en && entry.meaning?.['zh-Hant'];
+                if (!valid) this.log(`[CANTONESE] Skipping seed entry ${JSON.stringify(entry.term || entry)}`, 'warn');
+                return valid;
+            });
+            this.log(`[CANTONESE] Loaded ${this.entries.length} seed entries for ${this.subjects.join(', ')} from ${this.filePath}`);
+        } catch (error) {
+            this.log(`[CANTONESE] Could not load ${this.filePath}: ${error.message}`, 'warn');
+        }
+    }
+
+    /**
+     * Whether a subject's questions are written from the seed set
+     */
+    covers(subject) {
+        const key = String(subject).toLowerCase();
+        return this.entries.length > 0 && this.subjects.some(name => name.toLowerCase() === key);
+    }
+
+    /**
+     * A random entry, avoiding the terms already tried (all of them once every term was tried)
+     */
+    pick(triedTerms = []) {
+        const untried = this.entries.filter(entry => !triedTerms.includes(entry.term));
+        const candidates = untried.length > 0 ? untried : this.entries;
+        return candidates[Math.floor(Math.random() * candidates.length)];
+    }
+
+    /**
+     * The reference text for prompts ({{passage}}): term, reading, kind and meaning
+     */
+    describe(entry) {
+        return `Term: ${entry.term}
+Jyutping: ${entry.jyutping}
+Kind: ${KIND_LABELS[entry.kind] || entry.kind}
+Meaning: ${entry.meaning.en}
+意思：${entry.meaning['zh-Hant']}`;
+    }
+
+    /**
+     * True when the question or one of its options quotes the entry's term (in either Chinese script)
+     */
+    mentions(question, entry) {
+        return [question.question, ...question.options].some(text => toTraditional(String(text)).includes(entry.term));
+    }
+
+    /**
+     * One "what does this mean" question per entry, in the JSON pack format. The wrong options are the meanings of
+     * other entries of the same kind, so every answer is known.
+     * @param {string} language - 'en' or 'zh-Hant' (other Chinese scripts are converted by the caller)
+     */
+    buildQuestions(language) {
+        const zh = language !== 'en';
+        const meaning = entry => zh ? entry.meaning['zh-Hant'] : entry.meaning.en;
+        return this.entries.map((entry, index) => {
+            const others = this.entries.filter(other => other.kind === entry.kind && other !== entry);
+            const start = index % Math.max(1, others.length);
+            const distractors = [...others.slice(start), ...others.slice(0, start)].slice(0, 3);
+            return {
+                question: zh ? `粵語「${entry.term}」係咩意思？` : `What does the Cantonese 「${entry.term}」 mean?`,
+                options: [meaning(entry), ...distractors.map(meaning)],
+                answer: 0,
+                difficulty: entry.kind === 'idiom' ? 'medium' : 'easy',
+                explanation: zh
+                    ? `「${entry.term}」（${entry.jyutping}）的意思是${meaning(entry)}。`
+                    : `「${entry.term}」 (${entry.jyutping}) means ${meaning(entry)}.`,
+                distractorNotes: ['', ...distractors.map(other => zh ? `這是「${other.term}」的意思。` : `That is what 「${other.term}」 means.`)],
+                jyutping: { question: entry.jyutping, options: [] }
+            };
+        });
+    }
+}
+
+export default CantoneseSeeds;
@@ -0,0 +1,77 @@
+// Chinese script module
+// Converts text between Traditional (zh-Hant) and Simplified (zh-Hans) Chinese locally, without a translation service
+//
+// Characters are mapped one to one from chinese_script.json (generated from ICU's Traditional-Simplified and
+// Simplified-Traditional transforms). A few phrases whose characters convert differently together ("头发" is
+// "頭髮", not "頭發") are listed there too and matched first, longest phrase first.
+
+import fs from 'fs';
+
+function loadTable(table) {
+    const characters = new Map();
+    table.characters.forEach(line => {
+        const pairs = Array.from(line);
+        for (let i = 0; i + 1 < pairs.length; i += 2) {
+            characters.set(pairs[i], pairs[i + 1]);
+        }
+    });
+    const phrases = Object.entries(table.phrases || {}).sort((a, b) => b[0].length - a[0].length);
+    return { characters, phrases: new Map(phrases), pattern: phrases.length > 0 ? new RegExp(phrases.map(([phrase]) => phrase).join('|'), 'g') : null };
+}
+
+const data = JSON.parse(fs.readFileSync(new URL('./chinese_script.json', import.meta.url), 'utf-8'));
+const TO_SIMPLIFIED = loadTable(data.toSimplified);
+const TO_TRADITIONAL = loadTable(data.toTraditional);
+
+function convert(text, table) {
+    if (!text) return text;
+    const convertCharacters = part => Array.from(part, character => table.characters.get(character) || character).join('');
+    if (!table.pattern) return convertCharacters(text);
+
+    let result = '';
+    let last = 0;
+    for (const match of text.matchAll(table.pattern)) {
+        result += convertCharacters(text.slice(last, match.index)) + table.phrases.get(match[0]);
+        last = match.index + match[0].length;
+    }
+    return result + convertCharacters(text.slice(last));
+}
+
+export const toSimplified = text => convert(text, TO_SIMPLIFIED);
+export const toTraditional = text => convert(text, TO_TRADITIONAL);
+
+/**
+ * Text in the script of a Chinese language code; other languages are returned unchanged
+ */
+export function convertScript(text, language) {
+    if (typeof text !== 'string') return text;
+    if (language === 'zh-Hans') return toSimplified(text);
+    if (language === 'zh-Hant') return toTraditional(text);
+    return text;
+}
+
+/**
+ * A parsed question (question, options, explanation, distractor notes) in the script of a Chinese language code
+ */
+export function convertQuestion(question, language) {
+    const converted = { ...question, question: convertScript(question.question, language), options: question.options.map(option => convertScript(option, language)) };
+    if (question.explanation) {
+        converted.explanation = convertScript(question.explanation, language);
+        converted.distractorNotes = (question.distractorNotes || []).map(note => convertScript(note, language));
+    }
+    return converted;
+}
+
+/**
+ * 'zh-Hant' or 'zh-Hans' when the text uses characters only one script has, null when it cannot tell
+ */
+export function detectScript(text) {
+    let traditional = 0;
+    let simplified = 0;
+    for (const character of String(text || '')) {
+        if (TO_SIMPLIFIED.characters.has(character)) traditional++;
+        else if (TO_TRADITIONAL.characters.has(character)) simplified++;
+    }
+    if (traditional === simplified) return null;
+    return traditional > simplified ? 'zh-Hant' : 'zh-Hans';
+}
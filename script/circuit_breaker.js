@@ -0,0 +1,80 @@
+// Circuit breaker module
+// Stops calling a failing AI provider after repeated errors, then lets a single trial call through after a cooldown
+
+class CircuitBreaker {
+    /**
+     * @param {Object} options
+     * @param {number} options.threshold - consecutive failures that open the circuit
+     * @param {number} options.cooldownMs - how long the circuit stays open before a trial call is allowed
+     * @param {Function} options.log - logger (message, type)
+     */
+    constructor({ threshold = 5, cooldownMs = 60 * 1000, log = console.log } = {}) {
+        this.threshold = Math.max(1, threshold);
+        this.cooldownMs = cooldownMs;
+        this.log = log;
+        this.failures = 0; // Consecutive failures
+        this.openedAt = null; // Set while the circuit is open
+        this.trialInFlight = false; // Half-open: one trial call is running
+    }
+
+    get state() {
+        if (this.openedAt === null) return 'closed';
+        return Date.now() - this.openedAt >= this.cooldownMs ? 'half-open' : 'open';
+    }
+
+    /**
+     * True when a call would be let through right now (does not claim the half-open trial)
+     */
+    isAvailable() {
+        const state = this.state;
+        return state === 'closed' || (state === 'half-open' && !this.trialInFlight);
+    }
+
+    /**
+     * True when a call may go through. In the half-open state only one trial call is let through at a time.
+     */
+    allowRequest() {
+        const state = this.state;
+        if (state === 'closed') return true;
+        if (state === 'half-open' && !this.trialInFlight) {
+            this.trialInFlight = true;
+            this.log('[AI Breaker] Cooldown over, trying the provider again');
+            return true;
+        }
+        return false;
+    }
+
+    recordSuccess() {
+        if (this.openedAt !== null) {
+            this.log('[AI Breaker] Provider recovered, circuit closed');
+        }
+        this.failures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+    }
+
+    recordFailure(error) {
+        this.failures++;
+        const wasTrial = this.trialInFlight;
+        this.trialInFlight = false;
+
+        if (wasTrial || (this.openedAt === null && this.failures >= this.threshold)) {
+            this.openedAt = Date.now();
+            this.log(`[AI Breaker] Circuit open after ${this.failures} failure(s) (${error.message}), pausing AI calls for ${Math.round(this.cooldownMs / 1000)}s`, 'error');
+        }
+    }
+
+    /**
+     * Seconds until a trial call is allowed (0 when the circuit is not open)
+     */
+    retryInSeconds() {
+        if (this.state !== 'open') return 0;
+        return Math.ceil((this.cooldownMs - (Date.now() - this.openedAt)) / 1000);
+    }
+
+    describe() {
+        return { state: this.state, failures: this.failures, retryInSeconds: this.retryInSeconds() };
+    }
+}
+
+export default CircuitBreaker;
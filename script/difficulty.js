@@ -0,0 +1,50 @@
+// Difficulty module
+// Maps the 12-step prize ladder (levels 0-11) to the difficulty tiers used in generation prompts
+
+export const LADDER_LEVELS = 12;
+export const DEFAULT_DIFFICULTY = 'medium';
+
+// Tiers in ladder order; `maxLevel` is the last ladder level (0-based) that uses the tier
+export const DIFFICULTY_TIERS = {
+    easy: {
+        maxLevel: 2,
+        prompt: 'EASY - a well-known fact that anyone with a casual interest in the subject would know.',
+        promptZh: '簡單——對這個科目稍有興趣的人都知道的常識。'
+    },
+    medium: {
+        maxLevel: 5,
+        prompt: 'MEDIUM - something a keen student of the subject would know. Avoid facts that almost everyone knows.',
+        promptZh: '中等——認真學習這個科目的人會知道的知識。避免幾乎人人都知道的事實。'
+    },
+    hard: {
+        maxLevel: 8,
+        prompt: 'HARD - a specific detail (name, date, number or mechanism) that needs solid study of the subject. Make every wrong option plausible.',
+        promptZh: '困難——需要紮實學習才知道的具體細節（名稱、日期、數字或原理）。每個錯誤選項都要似是而非。'
+    },
+    expert: {
+        maxLevel: LADDER_LEVELS - 1,
+        prompt: 'EXPERT - an obscure but verifiable detail only a specialist would know. Every wrong option must look right to a knowledgeable player.',
+        promptZh: '專家——只有專家才知道、但可以查證的冷門細節。每個錯誤選項都要讓內行的玩家覺得是對的。'
+    }
+};
+
+export function isDifficulty(value) {
+    return Object.prototype.hasOwnProperty.call(DIFFICULTY_TIERS, value);
+}
+
+/**
+ * Difficulty tier for a ladder level (levels past the top of the ladder stay at the top tier)
+ */
+export function getDifficultyForLevel(level) {
+    const clamped = Math.min(Math.max(parseInt(level) || 0, 0), LADDER_LEVELS - 1);
+    return Object.keys(DIFFICULTY_TIERS).find(tier => clamped <= DIFFICULTY_TIERS[tier].maxLevel);
+}
+
+/**
+ * Pick the difficulty for a request: an explicit tier wins, then the ladder level, then the default
+ */
+export function resolveDifficulty({ difficulty, level } = {}) {
+    if (isDifficulty(difficulty)) return difficulty;
+    if (level !== undefined && level !== null && !isNaN(parseInt(level))) return getDifficultyForLevel(level);
+    return DEFAULT_DIFFICULTY;
+}
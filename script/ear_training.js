@@ -0,0 +1,203 @@
+// Ear training module
+// Audio questions for music subjects: a note or rhythm spec the browser synthesizes, and the answer worked out from it
+//
+// A question of type "audio" carries `audio`, one of:
+//   { kind: 'interval', notes: ['C4', 'G4'], play: 'melodic' | 'harmonic' }  - name the interval between two notes
+//   { kind: 'chord', notes: ['A3', 'C4', 'E4'] }                            - name the quality of a root-position chord
+//   { kind: 'tempo', bpm: 128 }                                              - name the tempo of a drum loop
+// The answer is never judged by the AI: the one option that names what the spec plays (in English or Chinese) must be
+// the one marked in <answer>. The clip is played by script/ear_training_player.js.
+
+import { toTraditional } from './chinese_script.js';
+
+export const AUDIO_KINDS = ['interval', 'chord', 'tempo'];
+
+// Tags added to the generation prompt's XML structure for audio questions (inside <question>)
+export const AUDIO_PROMPT_XML = `    <audio kind="interval" notes="Two notes such as C4 G4" play="melodic or harmonic"/>
+    (or <audio kind="chord" notes="Three or four notes of a root-position chord, lowest first, e.g. A3 C4 E4"/>)
+    (or <audio kind="tempo" bpm="Whole number from 60 to 200"/>)`;
+
+// Tempo options closer than this to the clip's tempo cannot be told apart by ear
+const MIN_TEMPO_GAP = 8;
+const MIN_BPM = 60;
+const MAX_BPM = 200;
+
+// Interval names by size in semitones; aliases are matched after normalizeName
+const INTERVALS = [
+    { name: 'Unison', aliases: ['unison', '同度', '純一度', '完全一度'] },
+    { name: 'Minor second', aliases: ['minor 2nd', 'semitone', 'half step', '小二度', '半音'] },
+    { name: 'Major second', aliases: ['major 2nd', 'whole tone', 'whole step', '大二度', '全音'] },
+    { name: 'Minor third', aliases: ['minor 3rd', '小三度'] },
+    { name: 'Major third', aliases: ['major 3rd', '大三度'] },
+    { name: 'Perfect fourth', aliases: ['perfect 4th', '純四度', '完全四度'] },
+    { name: 'Tritone', aliases: ['tritone', 'augmented 4th', 'diminished 5th', '三全音', '增四度', '減五度'] },
+    { name: 'Perfect fifth', aliases: ['perfect 5th', '純五度', '完全五度'] },
+    { name: 'Minor sixth', aliases: ['minor 6th', '小六度'] },
+    { name: 'Major sixth', aliases: ['major 6th', '大六度'] },
+    { name: 'Minor seventh', aliases: ['minor 7th', '小七度'] },
+    { name: 'Major seventh', aliases: ['major 7th', '大七度'] },
+    { name: 'Octave', aliases: ['octave', 'perfect 8th', '純八度', '完全八度', '八度'] }
+];
+
+// Chord qualities by the semitones of each note above the root
+const CHORDS = {
+    '0,4,7': { name: 'Major triad', aliases: ['major triad', 'major chord', 'major', '大三和弦', '大和弦'] },
+    '0,3,7': { name: 'Minor triad', aliases: ['minor triad', 'minor chord', 'minor', '小三和弦', '小和弦'] },
+    '0,3,6': { name: 'Diminished triad', aliases: ['diminished triad', 'diminished chord', 'diminished', '減三和弦', '減和弦'] },
+    '0,4,8': { name: 'Augmented triad', aliases: ['augmented triad', 'augmented chord', 'augmented', '增三和弦', '增和弦'] },
+    '0,2,7': { name: 'Suspended second', aliases: ['suspended 2nd', 'sus2', '掛二和弦'] },
+    '0,5,7': { name: 'Suspended fourth', aliases: ['suspended 4th', 'sus4', '掛四和弦'] },
+    '0,4,7,10': { name: 'Dominant seventh', aliases: ['dominant 7th', '屬七和弦'] },
+    '0,4,7,11': { name: 'Major seventh', aliases: ['major 7th', '大七和弦'] },
+    '0,3,7,10': { name: 'Minor seventh', aliases: ['minor 7th', '小七和弦'] },
+    '0,3,6,10': { name: 'Half-diminished seventh', aliases: ['half diminished', 'half diminished 7th', 'm7b5', '半減七和弦'] },
+    '0,3,6,9': { name: 'Diminished seventh', aliases: ['diminished 7th', '減七和弦'] }
+};
+
+const PITCH_CLASSES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+const ORDINALS = { second: '2nd', third: '3rd', fourth: '4th', fifth: '5th', sixth: '6th', seventh: '7th', eighth: '8th' };
+
+/**
+ * MIDI number of a note name ("C4" is 60, "F#3", "Bb2"), null when it is not a piano note
+ */
+export function noteToMidi(note) {
+    const match = String(note).trim().match(/^([A-G])([#b]?)(\d)$/);
+    if (!match) return null;
+    const midi = 12 * (parseInt(match[3]) + 1) + PITCH_CLASSES[match[1]] + (match[2] === '#' ? 1 : match[2] === 'b' ? -1 : 0);
+    return midi >= 21 && midi <= 108 ? midi : null;
+}
+
+// Option text in the form the aliases are written in: Traditional script, lower case, "fifth" -> "5th"
+function normalizeName(text) {
+    return toTraditional(String(text))
+        .toLowerCase()
+        .replace(/[-_]/g, ' ')
+        .replace(/\b(second|third|fourth|fifth|sixth|seventh|eighth)\b/g, word => ORDINALS[word])
+        .replace(/\s+/g, ' ');
+}
+
+// Entry whose longest alias appears in the text ("minor seventh" is a minor seventh, not a minor triad)
+function findNamed(entries, text) {
+    const normalized = normalizeName(text);
+    let best = null;
+    let bestLength = 0;
+    entries.forEach(([key, entry]) => entry.aliases.forEach(alias => {
+        if (alias.length > bestLength && normalized.includes(alias)) {
+            best = key;
+            bestLength = alias.length;
+        }
+    }));
+    return best;
+}
+
+// Semitones above the lowest note, as a CHORDS key
+function chordKey(notes) {
+    const midis = notes.map(noteToMidi).sort((a, b) => a - b);
+    return midis.map(midi => midi - midis[0]).join(',');
+}
+
+/**
+ * Check a spec from the model, an import or a stored record
+ * @returns {Object|null} the spec with its notes lowest first (intervals keep their order), null when it cannot be played
+ */
+export function normalizeAudio(audio) {
+    if (!audio || typeof audio !== 'object' || !AUDIO_KINDS.includes(audio.kind)) return null;
+    if (audio.kind === 'tempo') {
+        const bpm = Math.round(Number(audio.bpm));
+        return bpm >= MIN_BPM && bpm <= MAX_BPM ? { kind: 'tempo', bpm } : null;
+    }
+
+    const notes = (Array.isArray(audio.notes) ? audio.notes : String(audio.notes || '').split(/[\s,]+/)).map(note => String(note).trim()).filter(Boolean);
+    if (notes.some(note => noteToMidi(note) === null)) return null;
+    if (audio.kind === 'interval') {
+        const semitones = notes.length === 2 ? Math.abs(noteToMidi(notes[1]) - noteToMidi(notes[0])) : -1;
+        if (semitones < 0 || semitones >= INTERVALS.length) return null;
+        return { kind: 'interval', notes, play: audio.play === 'harmonic' ? 'harmonic' : 'melodic' };
+    }
+    if (notes.length < 3 || notes.length > 4 || !CHORDS[chordKey(notes)]) return null;
+    return { kind: 'chord', notes: notes.slice().sort((a, b) => noteToMidi(a) - noteToMidi(b)) };
+}
+
+/**
+ * Read the <audio .../> tag of a question XML block
+ * @returns {Object} { audio } when it is a playable spec, otherwise {}
+ */
+export function parseAudio(xmlText) {
+    const tag = xmlText.match(/<audio\b([^>]*?)\/?>/);
+    if (!tag) return {};
+    const attributes = Object.fromEntries(Array.from(tag[1].matchAll(/(\w+)="([^"]*)"/g), ([, name, value]) => [name, value.trim()]));
+    const audio = normalizeAudio(attributes);
+    return audio ? { audio } : {};
+}
+
+/**
+ * The <audio .../> tag for a question (empty string when it has no clip)
+ */
+export function buildAudioXML(question) {
+    const audio = question.audio;
+    if (!audio) return '';
+    const attributes = audio.kind === 'tempo'
+        ? `bpm="${audio.bpm}"`
+        : `notes="${audio.notes.join(' ')}"${audio.kind === 'interval' ? ` play="${audio.play}"` : ''}`;
+    return `
+    <audio kind="${audio.kind}" ${attributes}/>`;
+}
+
+/**
+ * English name of what a clip plays: "Perfect fifth", "Minor triad", "128 BPM"
+ */
+export function describeAudio(audio) {
+    if (audio.kind === 'tempo') return `${audio.bpm} BPM`;
+    if (audio.kind === 'interval') return INTERVALS[Math.abs(noteToMidi(audio.notes[1]) - noteToMidi(audio.notes[0]))].name;
+    return CHORDS[chordKey(audio.notes)].name;
+}
+
+// What an option names, in the clip's terms: semitones, a CHORDS key or a tempo (null when it names nothing)
+function optionValue(kind, option) {
+    if (kind === 'interval') return findNamed(INTERVALS.map((entry, semitones) => [semitones, entry]), option);
+    if (kind === 'chord') return findNamed(Object.entries(CHORDS), option);
+    const number = String(option).match(/\d+(\.\d+)?/);
+    return number ? parseFloat(number[0]) : null;
+}
+
+function clipValue(audio) {
+    if (audio.kind === 'interval') return Math.abs(noteToMidi(audio.notes[1]) - noteToMidi(audio.notes[0]));
+    if (audio.kind === 'chord') return chordKey(audio.notes);
+    return audio.bpm;
+}
+
+/**
+ * Check a normalized audio question against its clip, without the AI
+ * @returns {{ valid: boolean, reason?: string, confidence: number }} same shape as verifyQuestionAnswers in server.js
+ */
+export function verifyAudioQuestion(question) {
+    const audio = question.audio;
+    if (!audio) {
+        return { valid: false, reason: 'the question has no playable <audio> clip', confidence: 0 };
+    }
+    const expected = clipValue(audio);
+    const values = question.options.map(option => optionValue(audio.kind, option));
+    const isMatch = value => value !== null && (audio.kind === 'tempo' ? Math.abs(value - expected) <= 1 : value === expected);
+    const matching = values.map((value, index) => isMatch(value) ? index : -1).filter(index => index >= 0);
+    const name = describeAudio(audio);
+
+    let reason = null;
+    if (matching.length === 0) {
+        reason = `no option names what the clip plays (${name})`;
+    } else if (matching.length > 1) {
+        reason = `more than one option names what the clip plays (${name})`;
+    } else if (question.answers.length !== 1 || question.answers[0] !== matching[0]) {
+        reason = `the clip plays ${name}, which is option ${matching[0] + 1}, not the option marked in <answer>`;
+    } else if (audio.kind === 'tempo' && values.some((value, index) => index !== matching[0] && value !== null && Math.abs(value - expected) < MIN_TEMPO_GAP)) {
+        reason = `a wrong tempo is within ${MIN_TEMPO_GAP} BPM of the clip's ${audio.bpm} BPM`;
+    } else if (revealsClip(question.question, audio)) {
+        reason = 'the question text gives away the notes or tempo of the clip';
+    }
+    return reason ? { valid: false, reason, confidence: 0 } : { valid: true, confidence: 1 };
+}
+
+// The question must make the player listen: it cannot name the clip's notes or tempo
+function revealsClip(text, audio) {
+    const words = audio.kind === 'tempo' ? [String(audio.bpm)] : audio.notes;
+    return words.some(word => new RegExp(`(^|[^\\w#])${word}($|[^\\w#])`).test(text));
+}
@@ -0,0 +1,107 @@
+// Ear training player module
+// Synthesizes the clip of an ear-training question (see script/ear_training.js) with the Web Audio API
+//
+// playEarTrainingClip(audio) plays an interval (two notes, one after the other or together), a block chord or two
+// bars of a drum loop at the clip's tempo, through main.js's audio context. Playing again stops the previous clip.
+
+const CLIP_VOLUME = 0.6;
+const NOTE_PATTERN = /^([A-G])([#b]?)(\d)$/;
+const NOTE_PITCH_CLASSES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+let clipOutput = null; // Gain node of the clip playing now
+
+function noteFrequency(note) {
+    const match = String(note).match(NOTE_PATTERN);
+    if (!match) return null;
+    const midi = 12 * (parseInt(match[3]) + 1) + NOTE_PITCH_CLASSES[match[1]] + (match[2] === '#' ? 1 : match[2] === 'b' ? -1 : 0);
+    return 440 * Math.pow(2, (midi - 69) / 12);
+}
+
+function playEarTrainingClip(audio) {
+    if (!audio) return;
+    if (!audioContext) initAudio();
+    if (audioContext.state === 'suspended') {
+        audioContext.resume().then(() => playEarTrainingClip(audio));
+        return;
+    }
+
+    stopEarTrainingClip();
+    clipOutput = audioContext.createGain();
+    clipOutput.gain.value = CLIP_VOLUME;
+    clipOutput.connect(audioContext.destination);
+
+    const start = audioContext.currentTime + 0.05;
+    const frequencies = (audio.notes || []).map(noteFrequency).filter(Boolean);
+    if (audio.kind === 'interval' && audio.play === 'melodic') {
+        frequencies.forEach((frequency, index) => playTone(frequency, start + index * 0.8, 0.9, 1));
+    } else if (audio.kind === 'interval' || audio.kind === 'chord') {
+        frequencies.forEach(frequency => playTone(frequency, start, 1.8, 1 / frequencies.length));
+    } else if (audio.kind === 'tempo') {
+        playDrumLoop(audio.bpm, start);
+    }
+}
+
+function stopEarTrainingClip() {
+    if (!clipOutput) return;
+    clipOutput.disconnect();
+    clipOutput = null;
+}
+
+// A soft triangle-wave note with a short attack and a decay
+function playTone(frequency, start, duration, level) {
+    const oscillator = audioContext.createOscillator();
+    const envelope = audioContext.createGain();
+    oscillator.type = 'triangle';
+    oscillator.frequency.value = frequency;
+    envelope.gain.setValueAtTime(0.0001, start);
+    envelope.gain.exponentialRampToValueAtTime(level, start + 0.02);
+    envelope.gain.exponentialRampToValueAtTime(0.0001, start + duration);
+    oscillator.connect(envelope);
+    envelope.connect(clipOutput);
+    oscillator.start(start);
+    oscillator.stop(start + duration + 0.05);
+}
+
+// Two bars of four-on-the-floor: a kick on every beat and a closed hi-hat between them
+function playDrumLoop(bpm, start) {
+    const beat = 60 / bpm;
+    for (let index = 0; index < 8; index++) {
+        playKick(start + index * beat);
+        playHat(start + (index + 0.5) * beat);
+    }
+}
+
+function playKick(start) {
+    const oscillator = audioContext.createOscillator();
+    const envelope = audioContext.createGain();
+    oscillator.type = 'sine';
+    oscillator.frequency.setValueAtTime(150, start);
+    oscillator.frequency.exponentialRampToValueAtTime(45, start + 0.15);
+    envelope.gain.setValueAtTime(1, start);
+    envelope.gain.exponentialRampToValueAtTime(0.0001, start + 0.3);
+    oscillator.connect(envelope);
+    envelope.connect(clipOutput);
+    oscillator.start(start);
+    oscillator.stop(start + 0.35);
+}
+
+function playHat(start) {
+    const length = Math.floor(audioContext.sampleRate * 0.05);
+    const noise = audioContext.createBuffer(1, length, audioContext.sampleRate);
+    const samples = noise.getChannelData(0);
+    for (let index = 0; index < length; index++) {
+        samples[index] = Math.random() * 2 - 1;
+    }
+    const source = audioContext.createBufferSource();
+    const filter = audioContext.createBiquadFilter();
+    const envelope = audioContext.createGain();
+    source.buffer = noise;
+    filter.type = 'highpass';
+    filter.frequency.value = 7000;
+    envelope.gain.setValueAtTime(0.3, start);
+    envelope.gain.exponentialRampToValueAtTime(0.0001, start + 0.05);
+    source.connect(filter);
+    filter.connect(envelope);
+    envelope.connect(clipOutput);
+    source.start(start);
+}
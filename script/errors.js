@@ -0,0 +1,20 @@
+// Error module
+// Structured error codes sent to clients so they can react (e.g. show the offline banner) instead of waiting
+
+export const ERROR_CODES = {
+    AI_UNAVAILABLE: 'AI_UNAVAILABLE', // Circuit breaker is open after repeated provider failures
+    GENERATION_BUDGET_EXCEEDED: 'GENERATION_BUDGET_EXCEEDED', // Generation ran out of attempts or time
+    VERIFICATION_FAILED: 'VERIFICATION_FAILED', // The verifier never gave a usable verdict
+    NO_QUESTIONS_AVAILABLE: 'NO_QUESTIONS_AVAILABLE', // Generation failed and no stored or bundled question fits
+    CANCELLED: 'CANCELLED', // A player cancelled the question while it was being generated
+    SUBJECT_UNAVAILABLE: 'SUBJECT_UNAVAILABLE', // The subject was disabled in the subject catalog, or its study material deleted
+    TRANSLATION_FAILED: 'TRANSLATION_FAILED' // No translation provider worked; generation writes the question natively instead
+};
+
+export class QuizError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'QuizError';
+        this.code = code;
+    }
+}
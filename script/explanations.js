@@ -0,0 +1,59 @@
+// Explanation module
+// Why the correct answer is right and why each distractor is wrong: XML format, parsing and completeness checks
+//
+// A question carries `explanation` (string) and `distractorNotes` (one string per option, '' for correct options)
+
+// Tags added to the generation prompt's XML structure (inside <question>)
+export const EXPLANATION_PROMPT_XML = `    <explanation>One or two sentences on why the correct answer is right</explanation>
+    <distractors>
+        <distractor index="0-based index of a wrong option">One sentence on why that option is wrong</distractor>
+    </distractors>`;
+
+export const EXPLANATION_RULE = 'Add one <distractor> for EVERY wrong option.';
+
+/**
+ * Read <explanation> and <distractor index="n"> tags from a question XML block
+ * @returns {{ explanation: string, distractorNotes: string[] }}
+ */
+export function parseExplanation(xmlText, optionCount) {
+    const explanationMatch = xmlText.match(/<explanation>([\s\S]*?)<\/explanation>/);
+    const distractorNotes = Array.from({ length: optionCount }, () => '');
+
+    for (const [, index, note] of xmlText.matchAll(/<distractor\s+index="(\d+)"\s*>([\s\S]*?)<\/distractor>/g)) {
+        const position = parseInt(index);
+        if (position < optionCount) {
+            distractorNotes[position] = note.trim();
+        }
+    }
+
+    return {
+        explanation: explanationMatch ? explanationMatch[1].trim() : '',
+        distractorNotes
+    };
+}
+
+/**
+ * True when a normalized question (see normalizeQuestion) has an explanation and a note for every wrong option
+ */
+export function hasCompleteExplanation(question) {
+    const correct = question.answers || [question.answer];
+    const notes = question.distractorNotes || [];
+    return Boolean(question.explanation) &&
+        question.options.every((_, index) => correct.includes(index) || Boolean(notes[index]));
+}
+
+/**
+ * The <explanation> and <distractors> tags for a question (empty string when it has none).
+ * Written as given: buildQuestionXML (script/question_formats.js) escapes the text first.
+ */
+export function buildExplanationXML(question) {
+    if (!question.explanation) return '';
+    const notes = (question.distractorNotes || [])
+        .map((note, index) => note ? `        <distractor index="${index}">${note}</distractor>` : '')
+        .filter(Boolean);
+    return `
+    <explanation>${question.explanation}</explanation>` + (notes.length > 0 ? `
+    <distractors>
+${notes.join('\n')}
+    </distractors>` : '');
+}
@@ -0,0 +1,177 @@
+// Internationalisation module
+// Translates the game UI from JSON message catalogs (locales/<code>.json) and switches language without a page reload
+//
+// Static text is marked up in the page: data-i18n="key" sets an element's text, data-i18n-placeholder,
+// data-i18n-title, data-i18n-alt and data-i18n-aria-label set attributes. Scripts use t(key, params) for one-off
+// text and i18n.bind(element, key, params) for text that must follow a language switch. Messages fill in {params};
+// a param can itself be a message ({ key, params }) or a name per language ({ en: 'History', 'zh-Hant': '歷史' }).
+// Keys missing from a catalog fall back to English, then to the key itself.
+//
+// Traditional (zh-Hant) and Simplified (zh-Hans) Chinese are separate languages; the language code is also what
+// questions are asked for in (/chat), so region tags and the older "zh" are mapped onto them (see resolve).
+
+const I18N_ATTRIBUTES = ['placeholder', 'title', 'alt', 'aria-label'];
+
+// Region and legacy tags -> locale code; "zh" was the Traditional Chinese page before the scripts were separate
+const LANGUAGE_ALIASES = {
+    'zh': 'zh-Hant',
+    'zh-tw': 'zh-Hant',
+    'zh-hk': 'zh-Hant',
+    'zh-mo': 'zh-Hant',
+    'zh-cn': 'zh-Hans',
+    'zh-sg': 'zh-Hans'
+};
+
+class I18n {
+    constructor(fallback = 'en') {
+        this.fallback = fallback;
+        this.language = fallback;
+        this.catalogs = {}; // language code -> { key: message }
+        this.languages = [{ code: fallback, name: 'English' }]; // Replaced by /api/locales
+        this.ready = this.init();
+    }
+
+    async init() {
+        try {
+            const response = await fetch('/api/locales');
+            if (response.ok) {
+                const data = await response.json();
+                if (data.locales && data.locales.length > 0) this.languages = data.locales;
+            }
+        } catch (error) {
+            console.warn('[i18n] Failed to list locales:', error);
+        }
+        await this.load(this.fallback);
+        await this.setLanguage(this.detect(), { remember: false });
+    }
+
+    // ?lang=, then the last choice, then the browser's languages
+    detect() {
+        const candidates = [
+            new URLSearchParams(window.location.search).get('lang'),
+            localStorage.getItem('language'),
+            ...(navigator.languages || [navigator.language])
+        ].filter(Boolean);
+        for (const candidate of candidates) {
+            const code = this.resolve(candidate);
+            if (code) return code;
+        }
+        return this.fallback;
+    }
+
+    /**
+     * The available locale code for a language tag, matched case-insensitively:
+     * "zh-TW" -> "zh-Hant", "zh-Hans-CN" -> "zh-Hans", "en-GB" -> "en"
+     * @returns {string|null} null when no locale fits
+     */
+    resolve(tag) {
+        const codes = this.languages.map(language => language.code);
+        const find = candidate => codes.find(code => code.toLowerCase() === candidate) || null;
+        const parts = String(tag).replace(/_/g, '-').toLowerCase().split('-');
+        // Longest prefix first, each also through the aliases
+        for (let length = parts.length; length > 0; length--) {
+            const candidate = parts.slice(0, length).join('-');
+            const code = find(candidate) || (LANGUAGE_ALIASES[candidate] && find(LANGUAGE_ALIASES[candidate].toLowerCase()));
+            if (code) return code;
+        }
+        return null;
+    }
+
+    async load(code) {
+        if (this.catalogs[code]) return true;
+        try {
+            const response = await fetch(`locales/${code}.json`);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            this.catalogs[code] = await response.json();
+            return true;
+        } catch (error) {
+            console.warn(`[i18n] Failed to load locale "${code}":`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Switch the UI language: loads the catalog, re-translates the page and fires "localechange" on document
+     * @returns {Promise<boolean>} false when the locale could not be loaded (the language is unchanged)
+     */
+    async setLanguage(tag, { remember = true } = {}) {
+        const code = this.resolve(tag) || tag;
+        if (!(await this.load(code))) return false;
+        this.language = code;
+        document.documentElement.lang = code;
+        if (remember) localStorage.setItem('language', code);
+        this.apply();
+        document.dispatchEvent(new CustomEvent('localechange', { detail: { language: code } }));
+        return true;
+    }
+
+    /**
+     * The message for a key in the current language, with {params} filled in
+     */
+    t(key, params = {}) {
+        const message = this.catalogs[this.language]?.[key] ?? this.catalogs[this.fallback]?.[key] ?? key;
+        return message.replace(/\{(\w+)\}/g, (match, name) => {
+            const value = params[name];
+            if (value === undefined || value === null) return match;
+            if (typeof value === 'object') return value.key ? this.t(value.key, value.params) : this.name(value);
+            return String(value);
+        });
+    }
+
+    /**
+     * A name given per language ({ en, 'zh-Hant', 'zh-Hans' }) in the current language; plain strings are returned as they are
+     */
+    name(names) {
+        if (!names || typeof names !== 'object') return names || '';
+        return names[this.language] || names[this.fallback] || Object.values(names)[0] || '';
+    }
+
+    /**
+     * Set an element's text to a message and keep it translated across language switches
+     * @returns {Element} the element
+     */
+    bind(element, key, params = {}) {
+        element.dataset.i18n = key;
+        if (Object.keys(params).length > 0) {
+            element.dataset.i18nParams = JSON.stringify(params);
+        } else {
+            delete element.dataset.i18nParams;
+        }
+        element.textContent = this.t(key, params);
+        return element;
+    }
+
+    /**
+     * Re-translate every marked element under root, and refresh the language switchers
+     */
+    apply(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n, element.dataset.i18nParams ? JSON.parse(element.dataset.i18nParams) : {});
+        });
+        I18N_ATTRIBUTES.forEach(attribute => {
+            root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+                element.setAttribute(attribute, this.t(element.getAttribute(`data-i18n-${attribute}`)));
+            });
+        });
+        root.querySelectorAll('select[data-language-switcher]').forEach(select => this.renderSwitcher(select));
+    }
+
+    // Fill a <select data-language-switcher> with the available languages, each named in its own language
+    renderSwitcher(select) {
+        select.innerHTML = '';
+        this.languages.forEach(({ code, name }) => {
+            const option = document.createElement('option');
+            option.value = code;
+            option.textContent = name;
+            select.appendChild(option);
+        });
+        select.value = this.language;
+        select.onchange = () => this.setLanguage(select.value);
+    }
+}
+
+const i18n = new I18n();
+const t = (key, params) => i18n.t(key, params);
+
+window.i18n = i18n;
+window.t = t;
@@ -0,0 +1,66 @@
+// Jyutping module
+// Cantonese readings of a question and its options (Jyutping romanization): XML format, parsing and validation
+//
+// A question may carry `jyutping`: { question: string, options: string[] }, one reading per option ('' for none).
+// Readings that are not well-formed Jyutping are dropped, so a model that answers in Yale or pinyin shows nothing.
+
+// Tags added to the Cantonese generation prompt (inside <question>, see prompts/subjects/cantonese.prompt)
+export const JYUTPING_PROMPT_XML = `    <jyutping>
+        <reading for="question">Jyutping of the Cantonese words in the question, e.g. m4 goi1</reading>
+        <reading index="0-based option index">Jyutping of that option, only for options written in Cantonese</reading>
+    </jyutping>`;
+
+// One syllable: letters with a vowel (or the syllabic nasals m and ng), then the tone number 1-6
+const SYLLABLE = /^(?:[a-z]*[aeiouy][a-z]*|m|ng)[1-6]$/;
+
+/**
+ * True when a text is Jyutping syllables ("sik6 zo2 faan6 mei6"), separated by spaces or punctuation
+ */
+export function isJyutping(text) {
+    const syllables = String(text || '').toLowerCase().split(/[\s,.!?;:'"，。！？、；：-]+/).filter(Boolean);
+    return syllables.length > 0 && syllables.every(syllable => SYLLABLE.test(syllable));
+}
+
+/**
+ * Check readings from an import or a stored record against the option count
+ * @returns {Object|null} { question, options } with invalid readings blanked, null when nothing is left
+ */
+export function normalizeJyutping(jyutping, optionCount) {
+    if (!jyutping || typeof jyutping !== 'object') return null;
+    const clean = reading => isJyutping(reading) ? String(reading).trim() : '';
+    const options = Array.from({ length: optionCount }, (_, index) => clean((jyutping.options || [])[index]));
+    const question = clean(jyutping.question);
+    return question || options.some(Boolean) ? { question, options } : null;
+}
+
+/**
+ * Read the <jyutping> block of a question XML block
+ * @returns {Object} { jyutping } when it has a valid reading, otherwise {}
+ */
+export function parseJyutping(xmlText, optionCount) {
+    const block = xmlText.match(/<jyutping>([\s\S]*?)<\/jyutping>/);
+    if (!block) return {};
+    const questionMatch = block[1].match(/<reading\s+for="question"\s*>([\s\S]*?)<\/reading>/);
+    const options = [];
+    for (const [, index, reading] of block[1].matchAll(/<reading\s+index="(\d+)"\s*>([\s\S]*?)<\/reading>/g)) {
+        options[parseInt(index)] = reading;
+    }
+    const jyutping = normalizeJyutping({ question: questionMatch ? questionMatch[1] : '', options }, optionCount);
+    return jyutping ? { jyutping } : {};
+}
+
+/**
+ * The <jyutping> tags for a question (empty string when it has no readings).
+ * Readings are letters and tone numbers only, so they need no escaping.
+ */
+export function buildJyutpingXML(question) {
+    if (!question.jyutping) return '';
+    const readings = [
+        question.jyutping.question ? `        <reading for="question">${question.jyutping.question}</reading>` : '',
+        ...(question.jyutping.options || []).map((reading, index) => reading ? `        <reading index="${index}">${reading}</reading>` : '')
+    ].filter(Boolean);
+    return readings.length > 0 ? `
+    <jyutping>
+${readings.join('\n')}
+    </jyutping>` : '';
+}
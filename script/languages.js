@@ -0,0 +1,43 @@
+// Languages module
+// Language codes questions are written, translated, cached and pooled under
+//
+// Traditional (zh-Hant) and Simplified (zh-Hans) Chinese are separate languages. Codes from clients, packs and
+// older data go through normalizeLanguage: "zh" (what this server called Traditional Chinese before), "zh-TW",
+// "zh-HK" and "zh-MO" become zh-Hant, "zh-CN" and "zh-SG" become zh-Hans.
+
+// Names used in prompts when a question is written natively in a language instead of translated
+export const LANGUAGE_NAMES = {
+    en: 'English',
+    'zh-Hant': 'Traditional Chinese (繁體中文)',
+    'zh-Hans': 'Simplified Chinese (简体中文)'
+};
+
+const LANGUAGE_ALIASES = {
+    zh: 'zh-Hant',
+    'zh-tw': 'zh-Hant',
+    'zh-hk': 'zh-Hant',
+    'zh-mo': 'zh-Hant',
+    'zh-cn': 'zh-Hans',
+    'zh-sg': 'zh-Hans'
+};
+
+/**
+ * Canonical code for a language tag ("zh-tw" -> "zh-Hant", "EN" -> "en"); empty values give `fallback`
+ */
+export function normalizeLanguage(code, fallback = 'en') {
+    if (typeof code !== 'string' || !code.trim()) return fallback;
+    const tag = code.trim().replace(/_/g, '-').toLowerCase();
+    if (LANGUAGE_ALIASES[tag]) return LANGUAGE_ALIASES[tag];
+    if (tag.startsWith('zh-hant')) return 'zh-Hant'; // zh-Hant-TW
+    if (tag.startsWith('zh-hans')) return 'zh-Hans';
+    return Object.keys(LANGUAGE_NAMES).find(known => known.toLowerCase() === tag) || tag;
+}
+
+/**
+ * The other Chinese script's code, or null for languages that are not Chinese
+ */
+export function otherScript(language) {
+    if (language === 'zh-Hant') return 'zh-Hans';
+    if (language === 'zh-Hans') return 'zh-Hant';
+    return null;
+}
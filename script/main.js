@@ -14,15 +14,19 @@
 
 //command selectRoomSubject('History')
 //socket.emit('forceStopAnswerCheck', { roomCode: currentRoomCode })
-// switchLanguage(useChineseVersion)
+// switchLanguage('zh-Hans')
 // toggleTheme(useLightMode)
 // Get elements (will be accessed when needed, not immediately)
 let chatMessages;
 
 let currentMode = 'singleplayer'; // 'singleplayer' or 'multiplayer'
 let currentSubject = 'History'; // Selected subject
-let CurrentSubjectTitle = ''; // Current subject title for display
+let CurrentSubjectTitle = ''; // Current subject title for display (names per language, or a plain title)
+let currentTopics = []; // Sub-topic ids ticked for the current subject (empty = the whole subject)
 let isInGameLoop = false; // Track if we're in the singleplayer question loop
+let singleplayerLevel = 0; // Prize ladder step (0-11), sets the question difficulty like room.currentLevel in multiplayer
+const LADDER_LEVELS = 12;
+const DIFFICULTIES = ['easy', 'medium', 'hard', 'expert']; // Named by the difficulty.* messages in locales/
 
 // Audio management
 let audioContext = null;
@@ -407,8 +411,6 @@ function stopMainBGM() {
 window.addEventListener('DOMContentLoaded', () => {
     // Restore theme preference
     restoreThemePreference();
-    // Restore game state from language switch
-    restoreGameState();
     // Initialize audio context and load all audio files
     initAudio();
     // Preload all sound effects
@@ -436,26 +438,28 @@ function closeModal() {
 window.showModal = showModal;
 window.closeModal = closeModal;
 
+// Persistent anonymous player id - lets the server avoid repeating questions across sessions
+function getPlayerId() {
+    let playerId = localStorage.getItem('playerId');
+    if (!playerId) {
+        playerId = (window.crypto && crypto.randomUUID) 
+            ? crypto.randomUUID() 
+            : 'p-' + Date.now().toString(36) + Math.random().toString(36).substring(2, 10);
+        localStorage.setItem('playerId', playerId);
+    }
+    return playerId;
+}
+
 
 // Navigation functions
-// Subject data array (name, image, id)
-window.SUBJECTS = [
-    { name: 'History', zh_name: '歷史', image: 'image/hist.png', id: 'History' },
-    { name: 'Chinese History', zh_name: '中國歷史', image: 'image/chist.png', id: '中文的中國歷史' },
-    { name: 'Cantonese', zh_name: '粵語', image: 'image/canton.webp', id: '粵語' },
-    { name: 'Science', zh_name: '科學', image: 'image/science.png', id: 'Science' },
-    { name: 'Physics', zh_name: '物理學', image: 'image/phy.png', id: 'Physics' },
-    { name: 'Math', zh_name: '數學', image: 'image/math.png', id: 'Math' },
-    { name: 'Geography', zh_name: '地理', image: 'image/geo.png', id: 'Geography' },
-    { name: 'War', zh_name: '戰爭', image: 'image/war.png', id: 'War' },
-    { name: 'Music', zh_name: '音樂', image: 'image/music.png', id: 'Music Theory' },
-    { name: 'Music Technology', zh_name: '音樂科技', image: 'image/musictech.png', id: 'Music Technology' },
-    { name: 'EDM', zh_name: '電子舞曲', image: 'image/edm.png', id: 'electonic dance music' },
-    { name: 'World Trigger', zh_name: '境界触发者', image: 'image/worldTrigger.png', id: 'World Trigger TV Series' },
-    { name: 'Minecraft', zh_name: '我的世界', image: 'image/minecraft.png', id: 'Minecraft' }
-
-    // Add more subjects here if needed
-];
+// Subject data array (names per language, image, id), filled from the server's subject catalog (see loadSubjects)
+window.SUBJECTS = [];
+
+// A subject's names per language, or the given title when the subject is not in the list (e.g. a room's unknown subject)
+function getSubjectNames(subjectId, fallbackTitle) {
+    const subj = SUBJECTS.find(s => s.id === subjectId);
+    return subj ? subj.names : (fallbackTitle || subjectId);
+}
 
 function renderSubjectGrid(mode) {
     // mode: 'singleplayer' or 'multiplayer'
@@ -467,53 +471,158 @@ function renderSubjectGrid(mode) {
     grid.classList.remove('grid-2x3', 'grid-2x2');
     grid.classList.add(mode === 'singleplayer' ? 'grid-2x3' : 'grid-2x2');
     
-    // For singleplayer: show all subjects with scrolling in 2x3 grid
-    // For multiplayer: only show first 4 subjects in 2x2 grid
-    const subjectsToShow = mode === 'singleplayer' ? SUBJECTS : SUBJECTS.slice(0, 4);
+    // Each catalog subject says which modes it can be played in
+    const subjectsToShow = SUBJECTS.filter(subj => !subj.modes || subj.modes[mode] !== false);
     
-    if(document.documentElement.lang === "en"){
-    subjectsToShow.forEach(subj => {
-        const btn = document.createElement('button');
-        btn.className = 'subject-card';
-        btn.onclick = () => {
-            if (mode === 'singleplayer') {
-                startChat(subj.id, subj.name);
-            } else {
-                if (window.selectRoomSubject) window.selectRoomSubject(subj.id);
-            }
-        };
-        btn.innerHTML = `
-            <div class="subject-icon"><img class="subject-icon" src="${subj.image}" alt="${subj.name}"></div>
-            <div class="subject-name">${subj.name}</div>
-        `;
-        grid.appendChild(btn);
-    });}
-    else{
     subjectsToShow.forEach(subj => {
         const btn = document.createElement('button');
         btn.className = 'subject-card';
+        btn.setAttribute('data-subject-id', subj.id);
         btn.onclick = () => {
             if (mode === 'singleplayer') {
-                startChat(subj.id, subj.zh_name);
+                if (subj.topics && subj.topics.length > 0) {
+                    showSingleplayerTopics(subj, subj.names); // Pick sub-topics before starting
+                } else {
+                    startChat(subj.id, subj.names);
+                }
             } else {
-                if (window.selectRoomSubject) window.selectRoomSubject(subj.id);
+                if (window.selectRoomSubject) window.selectRoomSubject(subj.id, subj.names);
             }
         };
         btn.innerHTML = `
-            <div class="subject-icon"><img class="subject-icon" src="${subj.image}" alt="${subj.zg_name}"></div>
-            <div class="subject-name">${subj.zh_name}</div>
+            <div class="subject-icon"><img class="subject-icon" src="${subj.image}" alt=""></div>
+            <div class="subject-name"></div>
         `;
+        i18n.bind(btn.querySelector('.subject-name'), 'common.name', { name: subj.names });
+        if (subj.description) btn.title = subj.description;
         grid.appendChild(btn);
-    });}
+    });
 }
 
 // Render subject grids on page show
-window.addEventListener('DOMContentLoaded', () => {
-    // Restore game state from language switch
-    restoreGameState();
+window.addEventListener('DOMContentLoaded', async () => {
+    await i18n.ready;
+    await loadSubjects();
+    await loadQuestionPacks();
+    await loadStudyMaterials();
+});
+
+// Enabled subjects from the server's catalog (managed in subjects.html)
+async function loadSubjects() {
+    try {
+        const response = await fetch(window.location.origin + '/api/subjects');
+        if (!response.ok) return;
+        const data = await response.json();
+        window.SUBJECTS = (data.subjects || []).map(subject => ({
+            names: subject.names,
+            image: subject.icon,
+            id: subject.id,
+            description: subject.description,
+            modes: subject.modes,
+            topics: subject.topics || []
+        }));
+    } catch (error) {
+        console.warn('[Subjects] Failed to load the subject catalog:', error);
+    }
     renderSubjectGrid('singleplayer');
     renderSubjectGrid('multiplayer');
-});
+}
+
+// Render a subject's sub-topics as checkboxes into a .topic-picker container.
+// onChange receives the ticked topic ids; with disabled set the boxes only show the selection (e.g. for non-hosts).
+function renderTopicPicker(container, subj, selectedTopics, { onChange = null, disabled = false } = {}) {
+    container.innerHTML = '';
+    const topics = (subj && subj.topics) || [];
+    container.style.display = topics.length > 0 ? 'flex' : 'none';
+    if (topics.length === 0) return;
+    
+    const title = document.createElement('div');
+    title.className = 'topic-picker-title';
+    i18n.bind(title, 'topics.title');
+    container.appendChild(title);
+    
+    const options = document.createElement('div');
+    options.className = 'topic-options';
+    topics.forEach(topic => {
+        const label = document.createElement('label');
+        label.className = 'topic-option';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = topic.id;
+        checkbox.checked = selectedTopics.includes(topic.id);
+        checkbox.disabled = disabled;
+        checkbox.onchange = () => {
+            label.classList.toggle('checked', checkbox.checked);
+            if (onChange) {
+                onChange(Array.from(options.querySelectorAll('input:checked')).map(input => input.value));
+            }
+        };
+        label.classList.toggle('checked', checkbox.checked);
+        label.classList.toggle('disabled', disabled);
+        label.appendChild(checkbox);
+        label.appendChild(i18n.bind(document.createElement('span'), 'common.name', { name: topic.names }));
+        options.appendChild(label);
+    });
+    container.appendChild(options);
+}
+
+// Singleplayer: the subject's topic picker with a Start button under the grid
+function showSingleplayerTopics(subj, title) {
+    const container = document.getElementById('topicPickerSingle');
+    if (!container) {
+        startChat(subj.id, title);
+        return;
+    }
+    let selected = [];
+    renderTopicPicker(container, subj, selected, { onChange: topics => { selected = topics; } });
+    
+    const startBtn = document.createElement('button');
+    startBtn.className = 'topic-start';
+    i18n.bind(startBtn, 'topics.start', { subject: title });
+    startBtn.onclick = () => {
+        container.style.display = 'none';
+        startChat(subj.id, title, selected);
+    };
+    container.appendChild(startBtn);
+    document.querySelectorAll('#subjectGridSingle .subject-card').forEach(card => {
+        card.classList.toggle('selected', card.getAttribute('data-subject-id') === subj.id);
+    });
+    container.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+}
+
+// Imported question packs (see packs.html) are appended to the subject list as "pack:<id>" subjects
+async function loadQuestionPacks() {
+    try {
+        const response = await fetch(window.location.origin + '/api/packs');
+        if (!response.ok) return;
+        const data = await response.json();
+        (data.packs || []).forEach(pack => {
+            if (SUBJECTS.some(subj => subj.id === pack.subject)) return;
+            SUBJECTS.push({ names: { en: pack.name }, image: 'image/pack.svg', id: pack.subject });
+        });
+        renderSubjectGrid('singleplayer');
+        renderSubjectGrid('multiplayer');
+    } catch (error) {
+        console.warn('[Packs] Failed to load question packs:', error);
+    }
+}
+
+// Uploaded study notes (materials.html) are playable like packs, as "material:<id>" subjects
+async function loadStudyMaterials() {
+    try {
+        const response = await fetch(window.location.origin + '/api/materials');
+        if (!response.ok) return;
+        const data = await response.json();
+        (data.materials || []).forEach(material => {
+            if (SUBJECTS.some(subj => subj.id === material.subject)) return;
+            SUBJECTS.push({ names: { en: material.name }, image: 'image/notes.svg', id: material.subject });
+        });
+        renderSubjectGrid('singleplayer');
+        renderSubjectGrid('multiplayer');
+    } catch (error) {
+        console.warn('[Materials] Failed to load study materials:', error);
+    }
+}
 
 // If you want to re-render on mode switch, call renderSubjectGrid('singleplayer') or renderSubjectGrid('multiplayer') as needed.
 function goToModeSelection(mode) {
@@ -551,10 +660,7 @@ function goToModeSelection(mode) {
     } else {
         // Show subject selection for singleplayer
         document.getElementById('subjectPage').style.display = 'flex';
-        if(document.documentElement.lang === "en")
-        document.getElementById('modeSubtitle').textContent = 'Select a subject for singleplayer mode';
-        else
-        document.getElementById('modeSubtitle').textContent = '選擇單人模式的主題';
+        i18n.bind(document.getElementById('modeSubtitle'), 'subjects.singleplayerSubtitle');
     }
 }
 
@@ -594,9 +700,11 @@ function goBackToSubjects() {
     
     
 
-function startChat(subject, subjectTitle) {
+function startChat(subject, subjectTitle, topics = []) {
     currentSubject = subject;
     CurrentSubjectTitle = subjectTitle;
+    currentTopics = topics;
+    singleplayerLevel = 0;
     
     // Stop background music when entering game
     isInGame = true;
@@ -609,12 +717,7 @@ function startChat(subject, subjectTitle) {
         document.getElementById('roomSetupPage').style.display = 'flex';
         
         const multiplayerType = window.getMultiplayerType();
-        if (!document.documentElement.lang === "zh"){
-            const modeText = multiplayerType === 'collab' ? 'Collab' : 'Compete';
-            document.getElementById('roomModeSubtitle').textContent = `${subject} - ${modeText} Mode`;}
-        else{
-            const modeText = multiplayerType === 'collab' ? '合作' : '競爭';
-            document.getElementById('roomModeSubtitle').textContent = `${subjectTitle} - ${modeText} 模式`;}
+        i18n.bind(document.getElementById('roomModeSubtitle'), 'game.title', { subject: subjectTitle, mode: { key: `mode.${multiplayerType}` } });
         return;
     }
     
@@ -623,15 +726,8 @@ function startChat(subject, subjectTitle) {
     document.getElementById('chatContainer').style.display = 'flex';
     
     // Update chat header
-    if(document.documentElement.lang === "en"){
-        const modeText = 'Singleplayer';
-        document.getElementById('chatTitle').textContent = `${CurrentSubjectTitle} - ${modeText} Mode`;
-        document.getElementById('chatSubtitle').textContent = 'Is it AI or not';}
-    else{
-        const modeText = '單人模式';
-        document.getElementById('chatTitle').textContent = `${CurrentSubjectTitle}-${modeText}`;
-        document.getElementById('chatSubtitle').textContent = '是AI還是不是AI';
-    }
+    i18n.bind(document.getElementById('chatTitle'), 'game.title', { subject: CurrentSubjectTitle, mode: { key: 'mode.singleplayer' } });
+    i18n.bind(document.getElementById('chatSubtitle'), 'game.subtitle');
     
     // Clear chat
     if (!chatMessages) chatMessages = document.getElementById('chatMessages');
@@ -640,45 +736,13 @@ function startChat(subject, subjectTitle) {
     // Show loading message
     const loadingDiv = addLoadingMessage();
     
-    // Detect current language from page
-    const currentLanguage = document.documentElement.lang || 'en';
+    // Questions are asked for in the UI language
+    const currentLanguage = i18n.language;
     
     console.log('[Singleplayer] Starting with subject:', currentSubject, 'Language:', currentLanguage);
     
-    // Automatically send preset question based on subject
-    const presetQuestion = `Generate a ${currentSubject.toLowerCase()} multiple choice question with 4 options. 
-
-CRITICAL: You MUST respond ONLY in XML format. Do NOT use JSON. Do NOT use any other format.
-
-Required XML structure:
-<question>
-    <text>Your question here</text>
-    <options>
-        <option>First option</option>
-        <option>Second option</option>
-        <option>Third option</option>
-        <option>Fourth option</option>
-    </options>
-    <answer>Index of correct option (0-based)</answer>
-</question>
-
-Generate the question now using ONLY the XML format above:`;
-    
-    // Send the preset question to AI
-    const apiUrl = window.location.origin + '/chat';
-    fetch(apiUrl, {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ message: presetQuestion , subject: currentSubject, language: currentLanguage}),
-    })
-    .then(response => {
-        if (!response.ok) {
-            throw new Error('Failed to get response from AI');
-        }
-        return response.json();
-    })
+    // Ask the server for a question (the prompt is built server-side from prompts/)
+    fetchQuestion({ subject: currentSubject, language: currentLanguage, playerId: getPlayerId(), level: singleplayerLevel, topics: currentTopics }, loadingDiv)
     .then(async data => {
         // Remove loading message
         loadingDiv.remove();
@@ -688,6 +752,9 @@ Generate the question now using ONLY the XML format above:`;
             window.currentCorrectAnswer = data.correctAnswer;
             console.log('[Singleplayer] AI-verified correct answer stored:', data.correctAnswer);
         }
+        window.currentQuestionId = data.questionId || null; // For reporting the question
+        updateSingleplayerLevelDisplay(data.difficulty);
+        setOfflineBanner(data.offline);
         
         // Add AI response (quiz only)
         await addMessage(data.response, 'ai');
@@ -695,10 +762,140 @@ Generate the question now using ONLY the XML format above:`;
     .catch(async error => {
         console.error('Error:', error);
         loadingDiv.remove();
-        await addMessage('Connection error. Please start the server with "npm start".', 'ai');
+        if (error.code === 'CANCELLED') {
+            goBackToSubjects(); // Cancel returns to subject selection
+            return;
+        }
+        await addMessage(error.code ? getQuestionErrorMessage(error.code) : t('error.connection'), 'ai');
     });
 }
 
+// Request a question from /chat as a progress stream (Server-Sent Events).
+// The loading message shows each generation step with a Cancel button; cancelling rejects with code CANCELLED.
+async function fetchQuestion(body, loadingDiv) {
+    const controller = new AbortController();
+    try {
+        const response = await fetch(window.location.origin + '/chat', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'text/event-stream'
+            },
+            body: JSON.stringify(body),
+            signal: controller.signal
+        });
+        if (!(response.headers.get('Content-Type') || '').includes('text/event-stream')) {
+            return await readQuestionResponse(response);
+        }
+        return await readQuestionStream(response, progress => showGenerationProgress(loadingDiv, progress, () => controller.abort()));
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            throw createQuestionError({ code: 'CANCELLED', details: 'Question generation was cancelled' });
+        }
+        throw error;
+    }
+}
+
+// Read "progress" events until the closing "question" (resolves with its data) or "error" event (throws)
+async function readQuestionStream(response, onProgress) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            const frame = buffer.slice(0, boundary);
+            buffer = buffer.slice(boundary + 2);
+            const event = (frame.match(/^event: (.*)$/m) || [])[1];
+            const data = JSON.parse((frame.match(/^data: (.*)$/m) || [])[1] || '{}');
+            
+            if (event === 'progress') onProgress(data);
+            else if (event === 'question') return data;
+            else if (event === 'error') throw createQuestionError(data);
+        }
+    }
+    throw new Error('The question stream ended without a question');
+}
+
+// Parse a /chat JSON response; failed requests throw an Error carrying the server's error code (see script/errors.js)
+async function readQuestionResponse(response) {
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw createQuestionError(data);
+    }
+    return data;
+}
+
+function createQuestionError(data) {
+    const error = new Error(data.details || data.error || 'Failed to get response from AI');
+    error.code = data.code || null;
+    return error;
+}
+
+// Progress stages with a progress.<stage> message in locales/
+const PROGRESS_STAGES = ['generating', 'parse_failed', 'duplicate', 'verifying', 'rejected', 'waiting', 'explaining', 'translating'];
+
+// Player-facing message for a generation progress event, e.g. "Attempt 2: verifying answer..."
+// @returns {{ key: string, params: Object }}
+function describeGenerationProgress(progress) {
+    if (progress.stage === 'offline') {
+        return { key: 'progress.offline', params: {} };
+    }
+    const step = PROGRESS_STAGES.includes(progress.stage) ? `progress.${progress.stage}` : 'progress.working';
+    return { key: 'progress.attempt', params: { attempt: progress.attempt, step: { key: step, params: { seconds: progress.seconds } } } };
+}
+
+// Show a progress event under the loading ring, adding a Cancel button the first time
+function showGenerationProgress(loadingDiv, progress, onCancel) {
+    if (!loadingDiv) return;
+    let text = loadingDiv.querySelector('.loading-progress');
+    if (!text) {
+        text = document.createElement('div');
+        text.className = 'loading-progress';
+        loadingDiv.appendChild(text);
+        
+        const cancelBtn = document.createElement('button');
+        cancelBtn.className = 'loading-cancel';
+        i18n.bind(cancelBtn, 'common.cancel');
+        cancelBtn.addEventListener('click', () => {
+            cancelBtn.disabled = true;
+            onCancel();
+        });
+        loadingDiv.appendChild(cancelBtn);
+    }
+    const { key, params } = describeGenerationProgress(progress);
+    i18n.bind(text, key, params);
+}
+
+// Message key for a question error code (see script/errors.js)
+const QUESTION_ERROR_KEYS = {
+    CANCELLED: 'error.cancelled',
+    SUBJECT_UNAVAILABLE: 'error.subjectUnavailable',
+    NO_QUESTIONS_AVAILABLE: 'error.noQuestions'
+};
+
+function getQuestionErrorKey(code) {
+    return QUESTION_ERROR_KEYS[code] || 'error.generation';
+}
+
+// Player-facing text for a question error code
+function getQuestionErrorMessage(code) {
+    return t(getQuestionErrorKey(code));
+}
+
+// Show or hide the "using offline questions" banner above the chat
+function setOfflineBanner(offline) {
+    const banner = document.getElementById('offlineBanner');
+    if (!banner) return;
+    i18n.bind(banner, 'game.offline');
+    banner.style.display = offline ? 'block' : 'none';
+}
+
 async function addMessage(text, type) {
     if (!chatMessages) chatMessages = document.getElementById('chatMessages');
     
@@ -738,7 +935,7 @@ function tryParseQuizJSON(text) {
             
             // Extract question text
             const questionMatch = xmlText.match(/<text>([\s\S]*?)<\/text>/);
-            const question = questionMatch ? questionMatch[1].trim() : '';
+            const question = questionMatch ? decodeXmlText(questionMatch[1].trim()) : '';
             
             // Extract options
             const optionsMatch = xmlText.match(/<options>([\s\S]*?)<\/options>/);
@@ -746,14 +943,25 @@ function tryParseQuizJSON(text) {
             if (optionsMatch) {
                 const optionMatches = optionsMatch[1].matchAll(/<option>([\s\S]*?)<\/option>/g);
                 for (const match of optionMatches) {
-                    options.push(match[1].trim());
+                    options.push(decodeXmlText(match[1].trim()));
                 }
             }
             
+            // Extract question type (single, truefalse or multi)
+            const typeMatch = xmlText.match(/<type>([\s\S]*?)<\/type>/);
+            const type = typeMatch ? typeMatch[1].trim() : 'single';
+            
             // Extract answer if present (could be index or text)
             const answerMatch = xmlText.match(/<answer>([\s\S]*?)<\/answer>/);
             let answer = 0; // Default to first option
-            if (answerMatch) {
+            let answers = null;
+            if (answerMatch && type === 'multi') {
+                // Multi-select answers are a comma-separated list of indices
+                answers = answerMatch[1].split(',')
+                    .map(part => parseInt(part.trim()))
+                    .filter(index => !isNaN(index) && index >= 0 && index < options.length);
+                answer = answers.length > 0 ? answers[0] : 0;
+            } else if (answerMatch) {
                 const answerText = answerMatch[1].trim();
                 // Check if it's a number (index)
                 if (!isNaN(answerText)) {
@@ -767,12 +975,58 @@ function tryParseQuizJSON(text) {
                 }
             }
             
+            // Extract explanation and why each wrong option is wrong (shown after reveal)
+            const explanationMatch = xmlText.match(/<explanation>([\s\S]*?)<\/explanation>/);
+            const distractorNotes = options.map(() => '');
+            for (const match of xmlText.matchAll(/<distractor\s+index="(\d+)"\s*>([\s\S]*?)<\/distractor>/g)) {
+                if (parseInt(match[1]) < options.length) distractorNotes[parseInt(match[1])] = decodeXmlText(match[2].trim());
+            }
+            
+            // Cantonese readings (Jyutping) of the question and of options written in Cantonese
+            const jyutpingMatch = xmlText.match(/<jyutping>([\s\S]*?)<\/jyutping>/);
+            let jyutping = null;
+            if (jyutpingMatch) {
+                const readingMatch = jyutpingMatch[1].match(/<reading\s+for="question"\s*>([\s\S]*?)<\/reading>/);
+                jyutping = { question: readingMatch ? readingMatch[1].trim() : '', options: options.map(() => '') };
+                for (const match of jyutpingMatch[1].matchAll(/<reading\s+index="(\d+)"\s*>([\s\S]*?)<\/reading>/g)) {
+                    if (parseInt(match[1]) < options.length) jyutping.options[parseInt(match[1])] = match[2].trim();
+                }
+            }
+            
+            // Clip of an ear-training question, played by script/ear_training_player.js
+            const audioMatch = xmlText.match(/<audio\s+kind="(\w+)"([^>]*?)\/?>/);
+            let audio = null;
+            if (audioMatch) {
+                const notesMatch = audioMatch[2].match(/notes="([^"]*)"/);
+                const playMatch = audioMatch[2].match(/play="([^"]*)"/);
+                const bpmMatch = audioMatch[2].match(/bpm="(\d+)"/);
+                audio = {
+                    kind: audioMatch[1],
+                    notes: notesMatch ? notesMatch[1].trim().split(/\s+/) : [],
+                    play: playMatch ? playMatch[1] : 'melodic',
+                    bpm: bpmMatch ? parseInt(bpmMatch[1]) : null
+                };
+            }
+            
+            // Passage of the study material the question was written from
+            const sourceMatch = xmlText.match(/<source\s+material="([^"]*)"\s+passage="(\d+)"\s*>([\s\S]*?)<\/source>/);
+            const source = sourceMatch
+                ? { material: decodeXmlText(sourceMatch[1]), passage: parseInt(sourceMatch[2]), text: decodeXmlText(sourceMatch[3]) }
+                : null;
+            
             if (question && options.length > 0) {
                 return {
                     quizData: {
                         question: question,
                         options: options,
-                        answer: answer
+                        answer: answer,
+                        type: type,
+                        answers: answers || [answer],
+                        explanation: explanationMatch ? decodeXmlText(explanationMatch[1].trim()) : '',
+                        distractorNotes: distractorNotes,
+                        jyutping: jyutping,
+                        audio: audio,
+                        source: source
                     },
                     beforeText: '',
                     afterText: ''
@@ -1161,9 +1415,36 @@ async function createQuizTable(quizData) {
     // Question only - no extra styling div
     const questionDiv = document.createElement('div');
     questionDiv.className = 'quiz-question';
-    questionDiv.textContent = quizData.question;
+    renderNotation(questionDiv, quizData.question);
     container.appendChild(questionDiv);
     
+    // Jyutping reading under a Cantonese question
+    if (quizData.jyutping && quizData.jyutping.question) {
+        const readingDiv = document.createElement('div');
+        readingDiv.className = 'quiz-reading';
+        readingDiv.textContent = quizData.jyutping.question;
+        container.appendChild(readingDiv);
+    }
+    
+    // Ear-training clip: played once when the question appears, and as often as the player likes before answering
+    if (quizData.audio) {
+        const replayBtn = document.createElement('button');
+        replayBtn.className = 'quiz-play-clip';
+        i18n.bind(replayBtn, 'quiz.playClip');
+        replayBtn.addEventListener('click', () => {
+            if (!grid.classList.contains('answered')) playEarTrainingClip(quizData.audio);
+        });
+        container.appendChild(replayBtn);
+    }
+    
+    const isMulti = quizData.type === 'multi';
+    if (isMulti) {
+        const hintDiv = document.createElement('div');
+        hintDiv.className = 'quiz-hint';
+        i18n.bind(hintDiv, 'quiz.selectAll');
+        container.appendChild(hintDiv);
+    }
+    
     // Options grid (now using div instead of table)
     const grid = document.createElement('div');
     grid.className = 'quiz-table';
@@ -1174,13 +1455,33 @@ async function createQuizTable(quizData) {
         
         const textSpan = document.createElement('span');
         textSpan.className = 'option-text';
-        textSpan.textContent = option;
+        renderNotation(textSpan, option);
         
-        optionDiv.appendChild(textSpan);
+        // An option's reading sits next to (not inside) .option-text, whose text is the answer sent for checking
+        const reading = quizData.jyutping && quizData.jyutping.options[index];
+        if (reading) {
+            const body = document.createElement('span');
+            body.className = 'option-body';
+            const readingSpan = document.createElement('span');
+            readingSpan.className = 'option-reading';
+            readingSpan.textContent = reading;
+            body.appendChild(textSpan);
+            body.appendChild(readingSpan);
+            optionDiv.appendChild(body);
+        } else {
+            optionDiv.appendChild(textSpan);
+        }
         
         // Make option clickable - pass the parsed answer (AI verification happens server-side)
         optionDiv.addEventListener('click', function() {
-            handleAnswerSelection(optionDiv, index, quizData.answer, grid, quizData.question, option);
+            if (isMulti) {
+                // Multi-select: toggle the option, the answer is sent with the submit button
+                if (!grid.classList.contains('answered')) {
+                    optionDiv.classList.toggle('selected');
+                }
+                return;
+            }
+            handleAnswerSelection(optionDiv, index, quizData.answer, grid, quizData.question, option, quizData);
         });
         
         grid.appendChild(optionDiv);
@@ -1188,8 +1489,39 @@ async function createQuizTable(quizData) {
     
     container.appendChild(grid);
     
-    // Play level BGM when quiz appears
-    if (window.playLevelBGM) {
+    if (isMulti) {
+        const actionsDiv = document.createElement('div');
+        actionsDiv.className = 'quiz-actions quiz-submit';
+        
+        const submitBtn = document.createElement('button');
+        submitBtn.className = 'quiz-action-btn continue-btn';
+        i18n.bind(submitBtn, 'quiz.submit');
+        submitBtn.addEventListener('click', () => {
+            const optionDivs = Array.from(grid.querySelectorAll('.quiz-option'));
+            const selectedIndices = optionDivs
+                .map((optionDiv, index) => optionDiv.classList.contains('selected') ? index : -1)
+                .filter(index => index >= 0);
+            if (selectedIndices.length === 0) return;
+            
+            actionsDiv.remove();
+            const selectedTexts = selectedIndices.map(index => quizData.options[index]).join(', ');
+            handleAnswerSelection(null, selectedIndices, quizData.answers, grid, quizData.question, selectedTexts, quizData);
+        });
+        
+        actionsDiv.appendChild(submitBtn);
+        container.appendChild(actionsDiv);
+    }
+    
+    // Questions from the bank can be flagged for an admin to review (see the review queue in server.html)
+    if (window.currentQuestionId) {
+        container.appendChild(createReportControl(window.currentQuestionId));
+    }
+    
+    // Play level BGM when quiz appears, unless the player has a clip to listen to
+    if (quizData.audio) {
+        if (window.stopLevelBGM) window.stopLevelBGM();
+        playEarTrainingClip(quizData.audio);
+    } else if (window.playLevelBGM) {
         window.playLevelBGM();
     }
     
@@ -1208,7 +1540,96 @@ async function createQuizTable(quizData) {
 
 // Client-side verifyAnswerWithAI function removed - all verification now happens server-side
 
-async function handleAnswerSelection(selectedRow, selectedIndex, correctAnswer, table, question, selectedAnswer) {
+const REPORT_REASONS = ['wrong_answer', 'ambiguous', 'offensive', 'off_subject'];
+
+// "🚩 Report" link under a question: pick a reason, optionally say what is wrong, and send it to the server
+function createReportControl(questionId) {
+    const reportDiv = document.createElement('div');
+    reportDiv.className = 'quiz-report';
+    
+    const toggleBtn = document.createElement('button');
+    toggleBtn.className = 'quiz-report-toggle';
+    i18n.bind(toggleBtn, 'quiz.report');
+    reportDiv.appendChild(toggleBtn);
+    
+    const form = document.createElement('div');
+    form.className = 'quiz-report-form';
+    form.style.display = 'none';
+    let reason = null;
+    
+    const reasonsDiv = document.createElement('div');
+    reasonsDiv.className = 'quiz-report-reasons';
+    REPORT_REASONS.forEach(value => {
+        const reasonBtn = document.createElement('button');
+        reasonBtn.className = 'quiz-report-reason';
+        i18n.bind(reasonBtn, `quiz.reportReason.${value}`);
+        reasonBtn.addEventListener('click', () => {
+            reason = value;
+            reasonsDiv.querySelectorAll('.quiz-report-reason').forEach(btn => btn.classList.toggle('selected', btn === reasonBtn));
+            sendBtn.disabled = false;
+        });
+        reasonsDiv.appendChild(reasonBtn);
+    });
+    form.appendChild(reasonsDiv);
+    
+    const commentInput = document.createElement('input');
+    commentInput.type = 'text';
+    commentInput.className = 'quiz-report-comment';
+    commentInput.maxLength = 500;
+    commentInput.dataset.i18nPlaceholder = 'quiz.reportComment';
+    commentInput.placeholder = t('quiz.reportComment');
+    form.appendChild(commentInput);
+    
+    const sendBtn = document.createElement('button');
+    sendBtn.className = 'quiz-report-send';
+    sendBtn.disabled = true;
+    i18n.bind(sendBtn, 'quiz.reportSend');
+    sendBtn.addEventListener('click', async () => {
+        sendBtn.disabled = true;
+        const multiplayerState = typeof window.getMultiplayerState === 'function' ? window.getMultiplayerState() : null;
+        const inRoom = multiplayerState && multiplayerState.isActive;
+        try {
+            const response = await fetch('/api/reports', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    questionId,
+                    reason,
+                    comment: commentInput.value,
+                    playerId: getPlayerId(),
+                    playerName: inRoom ? multiplayerState.playerName : null,
+                    roomCode: inRoom ? multiplayerState.roomCode : null
+                })
+            });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            form.remove();
+            toggleBtn.remove();
+            const sentDiv = document.createElement('div');
+            sentDiv.className = 'quiz-report-status';
+            i18n.bind(sentDiv, 'quiz.reportSent');
+            reportDiv.appendChild(sentDiv);
+        } catch (error) {
+            console.error('[Report] Failed to send report:', error);
+            i18n.bind(sendBtn, 'quiz.reportFailed');
+            sendBtn.disabled = false;
+        }
+    });
+    form.appendChild(sendBtn);
+    reportDiv.appendChild(form);
+    
+    toggleBtn.addEventListener('click', () => {
+        form.style.display = form.style.display === 'none' ? 'flex' : 'none';
+    });
+    
+    return reportDiv;
+}
+
+// `selected` is an option index, or an array of indices for multi-select questions
+function isOptionSelected(selected, index) {
+    return Array.isArray(selected) ? selected.includes(index) : selected === index;
+}
+
+async function handleAnswerSelection(selectedRow, selectedIndex, correctAnswer, table, question, selectedAnswer, quizData = {}) {
     // Prevent multiple selections
     if (table.classList.contains('answered')) return;
     
@@ -1220,6 +1641,8 @@ async function handleAnswerSelection(selectedRow, selectedIndex, correctAnswer,
     }
     
     table.classList.add('answered');
+    table.parentElement?.querySelector('.quiz-play-clip')?.remove(); // The clip can no longer be replayed
+    stopEarTrainingClip();
     
     // Stop level BGM when answer is selected
     if (window.stopLevelBGM) {
@@ -1233,7 +1656,7 @@ async function handleAnswerSelection(selectedRow, selectedIndex, correctAnswer,
         // In multiplayer: only show which option was selected (no colors yet)
         rows.forEach((row, index) => {
             row.style.pointerEvents = 'none';
-            if (index === selectedIndex) {
+            if (isOptionSelected(selectedIndex, index)) {
                 row.style.opacity = '0.7';
                 row.style.backgroundColor = '#2c2c2e';
             }
@@ -1260,51 +1683,52 @@ async function handleAnswerSelection(selectedRow, selectedIndex, correctAnswer,
     
     let isCorrect;
     let correctAnswerIndex;
+    let correctAnswers;
+    let credit = 0;
     
-    console.log('[Singleplayer] Current subject:', currentSubject);
-    console.log('[Singleplayer] Is Cantonese check:', currentSubject === '粵語', 'Subject value:', typeof currentSubject, currentSubject.length);
-    
-    // Check if current subject is Cantonese - skip verification and mark as correct
-    if (currentSubject === '粵語' || currentSubject === 'Cantonese') {
-        console.log('[Singleplayer] Cantonese category detected - skipping answer verification');
-        isCorrect = true;
-        correctAnswerIndex = selectedIndex; // Mark the selected answer as correct for Cantonese
-    } else {
-        try {
-            // Get all option texts for verification
-            const allOptions = Array.from(rows).map(row => 
-                row.querySelector('.option-text').textContent
-            );
-            
-            // Send to server for AI verification
-            const response = await fetch(window.location.origin + '/checkAnswer', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({ 
-                    question: question,
-                    selectedAnswer: selectedAnswer,
-                    allOptions: allOptions,
-                    correctAnswerIndex: correctAnswer,  // Pass the correct answer index from parsed XML
-                    subject: currentSubject  // Pass subject for server-side Cantonese check
-                }),
-            });
-            
-            const result = await response.json();
-            isCorrect = result.isCorrect;
-            correctAnswerIndex = result.correctAnswerIndex;
-            
-            console.log('[Singleplayer] STEP 8: AI verification complete - Correct: ' + isCorrect);
-        } catch (error) {
-            console.error('[Singleplayer] Error checking answer:', error);
-            
-            // Fallback: use parsed correctAnswer if available
-            isCorrect = (selectedIndex === correctAnswer);
-            correctAnswerIndex = correctAnswer;
-        }
+    try {
+        // Get all option texts for verification
+        const allOptions = Array.from(rows).map(row => 
+            notationText(row.querySelector('.option-text'))
+        );
+        
+        // Send to server for AI verification
+        const response = await fetch(window.location.origin + '/checkAnswer', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ 
+                question: question,
+                selectedAnswer: selectedAnswer,
+                allOptions: allOptions,
+                correctAnswerIndex: Array.isArray(correctAnswer) ? correctAnswer[0] : correctAnswer,  // Pass the correct answer index from parsed XML
+                correctAnswers: Array.isArray(correctAnswer) ? correctAnswer : undefined,
+                questionType: quizData.type,
+                selectedIndices: Array.isArray(selectedIndex) ? selectedIndex : undefined
+            }),
+        });
+        
+        const result = await response.json();
+        isCorrect = result.isCorrect;
+        correctAnswerIndex = result.correctAnswerIndex;
+        correctAnswers = result.correctAnswers || [correctAnswerIndex];
+        credit = result.credit || 0;
+        
+        console.log('[Singleplayer] STEP 8: AI verification complete - Correct: ' + isCorrect);
+    } catch (error) {
+        console.error('[Singleplayer] Error checking answer:', error);
+        
+        // Fallback: use parsed correctAnswer if available
+        correctAnswers = Array.isArray(correctAnswer) ? correctAnswer : [correctAnswer];
+        const picked = Array.isArray(selectedIndex) ? selectedIndex : [selectedIndex];
+        isCorrect = picked.length === correctAnswers.length && picked.every(index => correctAnswers.includes(index));
+        correctAnswerIndex = correctAnswers[0];
     }
     
+    // Climb the ladder on a correct answer, drop back to the bottom on a wrong one
+    singleplayerLevel = isCorrect ? Math.min(singleplayerLevel + 1, LADDER_LEVELS - 1) : 0;
+    
     // Play sound effect based on result
     if (isCorrect) {
         playCorrectSound();
@@ -1315,18 +1739,29 @@ async function handleAnswerSelection(selectedRow, selectedIndex, correctAnswer,
     // Highlight answers - show what was selected and what was correct
     rows.forEach((row, index) => {
         row.style.pointerEvents = 'none';
+        row.classList.remove('selected');
         
-        // Show correct answer in green
-        if (index === correctAnswerIndex) {
+        // Show correct answers in green
+        if (correctAnswers.includes(index)) {
             row.classList.add('correct');
         }
         
-        // Show selected answer (red if wrong)
-        if (index === selectedIndex && !isCorrect) {
+        // Show selected answers that were wrong in red
+        if (isOptionSelected(selectedIndex, index) && !correctAnswers.includes(index)) {
             row.classList.add('incorrect');
         }
     });
     
+    showAnswerExplanation(table, quizData.explanation, quizData.distractorNotes, correctAnswers, quizData.source);
+    
+    // Multi-select: show the partial credit earned when not every pick was right
+    if (!isCorrect && credit > 0) {
+        const creditDiv = document.createElement('div');
+        creditDiv.className = 'quiz-answer-info';
+        i18n.bind(creditDiv, 'quiz.partial', { percent: Math.round(credit * 100) });
+        table.after(creditDiv);
+    }
+    
     // Add action buttons after answer is revealed
     const quizContainer = table.closest('.quiz-container');
     if (quizContainer && !quizContainer.querySelector('.quiz-actions')) {
@@ -1335,10 +1770,7 @@ async function handleAnswerSelection(selectedRow, selectedIndex, correctAnswer,
         
         const backBtn = document.createElement('button');
         backBtn.className = 'quiz-action-btn back-btn';
-        if (document.documentElement.lang === "en")
-            backBtn.textContent = 'Back';
-        else
-            backBtn.textContent = '返回';
+        i18n.bind(backBtn, 'common.back');
 
         backBtn.addEventListener('click', () => {
             // Exit the game loop
@@ -1348,10 +1780,7 @@ async function handleAnswerSelection(selectedRow, selectedIndex, correctAnswer,
         
         const continueBtn = document.createElement('button');
         continueBtn.className = 'quiz-action-btn continue-btn';
-        if (document.documentElement.lang === "en")
-            continueBtn.textContent = 'Continue';
-        else
-            continueBtn.textContent = '繼續';
+        i18n.bind(continueBtn, 'common.continue');
         continueBtn.addEventListener('click', () => {
             // Set flag to stay in game loop
             isInGameLoop = true;
@@ -1371,6 +1800,56 @@ async function handleAnswerSelection(selectedRow, selectedIndex, correctAnswer,
     }
 }
 
+// Show why the correct answer is right and why the other options are wrong, under the revealed options.
+// Questions written from study material also show the passage they came from.
+function showAnswerExplanation(table, explanation, distractorNotes = [], correctAnswers = [], source = null) {
+    const quizContainer = table.closest('.quiz-container');
+    if ((!explanation && !source) || !quizContainer || quizContainer.querySelector('.quiz-explanation')) return;
+    
+    const explanationDiv = document.createElement('div');
+    explanationDiv.className = 'quiz-explanation';
+    
+    const summary = document.createElement('div');
+    summary.className = 'explanation-summary';
+    renderNotation(summary, '💡 ' + explanation);
+    if (explanation) explanationDiv.appendChild(summary);
+    
+    const optionTexts = Array.from(table.querySelectorAll('.option-text')).map(notationText);
+    distractorNotes.forEach((note, index) => {
+        if (!note || correctAnswers.includes(index) || !optionTexts[index]) return;
+        const noteDiv = document.createElement('div');
+        noteDiv.className = 'explanation-note';
+        renderNotation(noteDiv, `✗ ${optionTexts[index]}: ${note}`);
+        explanationDiv.appendChild(noteDiv);
+    });
+    
+    if (source) {
+        const sourceDiv = document.createElement('details');
+        sourceDiv.className = 'explanation-source';
+        const sourceTitle = document.createElement('summary');
+        i18n.bind(sourceTitle, 'quiz.source', { material: source.material, passage: source.passage });
+        const sourceText = document.createElement('blockquote');
+        sourceText.textContent = source.text;
+        sourceDiv.appendChild(sourceTitle);
+        sourceDiv.appendChild(sourceText);
+        explanationDiv.appendChild(sourceDiv);
+    }
+    
+    table.after(explanationDiv);
+}
+
+// Undo escapeXml (script/question_formats.js) for the text of the question XML
+function decodeXmlText(text) {
+    return text.replace(/&quot;/g, '"').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+}
+
+// Show the ladder step and difficulty of the current question in the chat header
+function updateSingleplayerLevelDisplay(difficulty) {
+    const subtitle = document.getElementById('chatSubtitle');
+    if (!subtitle || !DIFFICULTIES.includes(difficulty)) return;
+    i18n.bind(subtitle, 'game.level', { level: singleplayerLevel + 1, total: LADDER_LEVELS, difficulty: { key: `difficulty.${difficulty}` } });
+}
+
 function addLoadingMessage() {
     if (!chatMessages) chatMessages = document.getElementById('chatMessages');
     
@@ -1406,40 +1885,13 @@ async function generateNextSingleplayerQuestion() {
         loadingDiv.remove();
     } else {
         // Singleplayer: fetch from API with current subject and language
-        const currentLanguage = document.documentElement.lang || 'en';
+        const currentLanguage = i18n.language;
         
         console.log('[Singleplayer] Requesting next question with:');
         console.log('  Subject:', currentSubject);
         console.log('  Language:', currentLanguage);
-        console.log('  HTML lang attribute:', document.documentElement.lang);
         
-        const presetQuestion = `Generate a ${currentSubject.toLowerCase()} multiple choice question with 4 options.
-
-CRITICAL: You MUST respond ONLY in XML format. Do NOT use JSON. Do NOT use any other format.
-
-Required XML structure:
-<question>
-    <text>Your question here</text>
-    <options>
-        <option>First option</option>
-        <option>Second option</option>
-        <option>Third option</option>
-        <option>Fourth option</option>
-    </options>
-    <answer>Index of correct option (0-based)</answer>
-</question>
-
-Generate the question now using ONLY the XML format above:`;
-        
-        const apiUrl = window.location.origin + '/chat';
-        fetch(apiUrl, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify({ message: presetQuestion, subject: currentSubject, language: currentLanguage })
-        })
-        .then(response => response.json())
+        fetchQuestion({ subject: currentSubject, language: currentLanguage, playerId: getPlayerId(), level: singleplayerLevel, topics: currentTopics }, loadingDiv)
         .then(async data => {
             loadingDiv.remove();
             
@@ -1448,6 +1900,9 @@ Generate the question now using ONLY the XML format above:`;
                 window.currentCorrectAnswer = data.correctAnswer;
                 console.log('[Singleplayer] AI-verified correct answer stored:', data.correctAnswer);
             }
+            window.currentQuestionId = data.questionId || null; // For reporting the question
+            updateSingleplayerLevelDisplay(data.difficulty);
+            setOfflineBanner(data.offline);
             
             // Add the new question
             await addMessage(data.response, 'ai');
@@ -1456,7 +1911,11 @@ Generate the question now using ONLY the XML format above:`;
             console.error('[Singleplayer] Error:', error);
             loadingDiv.remove();
             isInGameLoop = false; // Exit loop on error
-            await addMessage('Sorry, I encountered an error. Please try again.', 'ai');
+            if (error.code === 'CANCELLED') {
+                goBackToSubjects(); // Cancel returns to subject selection
+                return;
+            }
+            await addMessage(error.code ? getQuestionErrorMessage(error.code) : t('error.generic'), 'ai');
         });
     }
 }
@@ -1465,44 +1924,21 @@ Generate the question now using ONLY the XML format above:`;
 // LANGUAGE SWITCHER FUNCTION
 // ============================================================================
 /**
- * Switches between English (index.html) and Chinese (index_zh.html) versions
- * WITHOUT preserving game state
- * @param {boolean} useChineseVersion - true for Chinese, false for English
- * @returns {boolean} - true if switch was successful
+ * Switches the UI language in place (see script/i18n.js); the game carries on where it is.
+ * Questions already on screen stay in their language, the next ones are asked for in the new one.
+ * @param {string|boolean} language - a locale code ('en', 'zh-Hant', 'zh-Hans', ...); true/false still mean Traditional Chinese/English
+ * @returns {Promise<boolean>} - true if switch was successful
  */
-function switchLanguage(useChineseVersion) {
+async function switchLanguage(language) {
+    const code = typeof language === 'boolean' ? (language ? 'zh-Hant' : 'en') : language;
     try {
-        // Save current theme preference before switching language
-        const currentLink = document.querySelector('link[href="styles.css"]') || 
-                           document.querySelector('link[href="styles-light.css"]');
-        if (currentLink) {
-            const isCurrentlyDark = currentLink.href.includes('styles.css') && !currentLink.href.includes('styles-light.css');
-            localStorage.setItem('themePreference', isCurrentlyDark ? 'dark' : 'light');
-        }
-        
-        // Determine target URL
-        const baseUrl = window.location.origin + window.location.pathname.substring(0, window.location.pathname.lastIndexOf('/'));
-        const targetUrl = useChineseVersion ? 
-            baseUrl + '/index_zh.html' : 
-            baseUrl + '/index.html';
-        
-        // Navigate to the new language version (no state saving)
-        window.location.href = targetUrl;
-        return true;
+        return await i18n.setLanguage(code);
     } catch (error) {
         console.error('Error switching language:', error);
         return false;
     }
 }
 
-/**
- * Placeholder for future use - currently does nothing
- */
-function restoreGameState() {
-    // No state restoration - just navigate to home page
-    return false;
-}
-
 // ============================================================================
 // THEME TOGGLE FUNCTION
 // ============================================================================
@@ -1562,6 +1998,15 @@ window.goBackToLanding = goBackToLanding;
 window.goBackToSubjects = goBackToSubjects;
 window.startChat = startChat;
 window.addMessage = addMessage;
+window.isOptionSelected = isOptionSelected;
+window.showAnswerExplanation = showAnswerExplanation;
+window.setOfflineBanner = setOfflineBanner;
+window.getQuestionErrorMessage = getQuestionErrorMessage;
+window.getQuestionErrorKey = getQuestionErrorKey;
+window.getSubjectNames = getSubjectNames;
+window.showGenerationProgress = showGenerationProgress;
+window.renderTopicPicker = renderTopicPicker;
+window.getPlayerId = getPlayerId;
 window.getCurrentSubject = () => currentSubject;
 window.setCurrentSubject = (subject) => { currentSubject = subject; };
 window.playMainBGM = playMainBGM;
@@ -1579,7 +2024,6 @@ window.playLevelBGM = playLevelBGM;
 window.stopLevelBGM = stopLevelBGM;
 window.generateNextSingleplayerQuestion = generateNextSingleplayerQuestion;
 window.switchLanguage = switchLanguage;
-window.restoreGameState = restoreGameState;
 window.toggleTheme = toggleTheme;
 window.restoreThemePreference = restoreThemePreference;
 
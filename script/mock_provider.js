@@ -0,0 +1,192 @@
+// Mock AI provider
+// Deterministic, offline stand-in for an LLM so the game runs without network access and in CI
+
+import { otherScript } from './languages.js';
+import { convertScript, convertQuestion, toTraditional } from './chinese_script.js';
+import { buildAudioXML } from './ear_training.js';
+
+const MOCK_QUESTIONS = [
+    {
+        question: 'Which planet is known as the Red Planet?', options: ['Venus', 'Mars', 'Jupiter', 'Mercury'], answer: 1,
+        explanation: 'Iron oxide dust on its surface gives Mars its red colour.',
+        distractorNotes: ['Venus is covered in pale yellow clouds.', '', 'Jupiter is a banded gas giant.', 'Mercury is grey and cratered.']
+    },
+    {
+        question: 'What is the chemical symbol for gold?', options: ['Ag', 'Gd', 'Au', 'Go'], answer: 2,
+        explanation: 'Au comes from aurum, the Latin word for gold.',
+        distractorNotes: ['Ag is silver.', 'Gd is gadolinium.', '', 'Go is not an element symbol.']
+    },
+    { question: 'How many continents are there on Earth?', options: ['Five', 'Six', 'Seven', 'Eight'], answer: 2 },
+    { question: 'Which ocean is the largest by area?', options: ['Pacific Ocean', 'Atlantic Ocean', 'Indian Ocean', 'Arctic Ocean'], answer: 0 },
+    { question: 'Who painted the Mona Lisa?', options: ['Michelangelo', 'Raphael', 'Donatello', 'Leonardo da Vinci'], answer: 3 },
+    { question: 'What is the boiling point of water at sea level in Celsius?', options: ['90', '100', '110', '120'], answer: 1 },
+    { question: 'In which year did World War II end?', options: ['1943', '1944', '1945', '1946'], answer: 2 },
+    { question: 'What is the square root of 144?', options: ['12', '14', '16', '11'], answer: 0 },
+    { question: 'Which gas do plants absorb from the atmosphere for photosynthesis?', options: ['Oxygen', 'Nitrogen', 'Hydrogen', 'Carbon dioxide'], answer: 3 },
+    { question: 'Which is the longest river in Africa?', options: ['Congo', 'Nile', 'Niger', 'Zambezi'], answer: 1 },
+    { question: 'How many semitones make up a perfect fifth?', options: ['5', '6', '7', '8'], answer: 2 },
+    {
+        question: 'What is the derivative of \\(x^2\\)?', options: ['\\(2x\\)', '\\(x\\)', '\\(\\frac{x^3}{3}\\)', '\\(2\\)'], answer: 0,
+        explanation: 'By the power rule, \\(\\frac{d}{dx}x^n = nx^{n-1}\\), so the derivative is \\(2x\\).',
+        distractorNotes: ['', 'That drops the factor 2 from the power rule.', 'That is an antiderivative.', 'That is the second derivative.']
+    },
+    { question: 'What is the chemical formula of sulfuric acid?', options: ['\\(\\ce{H2SO3}\\)', '\\(\\ce{H2SO4}\\)', '\\(\\ce{HNO3}\\)', '\\(\\ce{HCl}\\)'], answer: 1 },
+    { question: 'Which block in Minecraft is needed to build a Nether portal frame?', options: ['Obsidian', 'Bedrock', 'Cobblestone', 'End stone'], answer: 0 },
+    // Ambiguous on purpose (two options verify as correct) - consensus verification rejects it
+    { question: 'Which of these is a primary colour of light?', options: ['Red', 'Green', 'Yellow', 'Brown'], answer: 0, accepted: [0, 1] },
+    { type: 'truefalse', question: 'The Great Wall of China is in Asia.', options: ['True', 'False'], answer: 0 },
+    { type: 'truefalse', question: 'Sound travels faster than light.', options: ['True', 'False'], answer: 1 },
+    { type: 'truefalse', question: 'A hexagon has six sides.', options: ['True', 'False'], answer: 0 },
+    { type: 'multi', question: 'Which of these are prime numbers?', options: ['2', '4', '5', '9', '11'], answers: [0, 2, 4] },
+    { type: 'multi', question: 'Which of these are noble gases?', options: ['Helium', 'Oxygen', 'Neon', 'Nitrogen'], answers: [0, 2] },
+    { type: 'multi', question: 'Which of these countries are in South America?', options: ['Peru', 'Chile', 'Spain', 'Kenya'], answers: [0, 1] },
+    { type: 'audio', question: 'Which interval do you hear?', options: ['Major third', 'Perfect fourth', 'Perfect fifth', 'Octave'], answer: 2, audio: { kind: 'interval', notes: ['C4', 'G4'], play: 'melodic' } },
+    { type: 'audio', question: 'What is the quality of this chord?', options: ['Major triad', 'Minor triad', 'Diminished triad', 'Augmented triad'], answer: 1, audio: { kind: 'chord', notes: ['A3', 'C4', 'E4'] } },
+    { type: 'audio', question: 'What is the tempo of this drum loop?', options: ['100 BPM', '115 BPM', '128 BPM', '140 BPM'], answer: 2, audio: { kind: 'tempo', bpm: 128 } }
+];
+
+// Written natively in Traditional Chinese, served (converted for 'zh-Hans') when the generation context asks for Chinese
+const MOCK_QUESTIONS_ZH = [
+    {
+        question: '哪一個行星被稱為「紅色星球」？', options: ['金星', '火星', '木星', '水星'], answer: 1,
+        explanation: '火星表面的氧化鐵塵土令它呈紅色。',
+        distractorNotes: ['金星被淡黃色的雲層覆蓋。', '', '木星是有條紋的氣態巨行星。', '水星是灰色、佈滿隕石坑的。']
+    },
+    { question: '秦朝的開國皇帝是誰？', options: ['漢武帝', '秦始皇', '唐太宗', '宋太祖'], answer: 1 },
+    { question: '「畫蛇添足」比喻甚麼？', options: ['做事多此一舉', '做事認真仔細', '畫畫技巧高超', '做事半途而廢'], answer: 0 },
+    { question: '水在海平面的沸點是攝氏多少度？', options: ['90', '100', '110', '120'], answer: 1 },
+    { type: 'truefalse', question: '長城位於亞洲。', options: ['對', '錯'], answer: 0 },
+    { type: 'multi', question: '以下哪些是質數？', options: ['2', '4', '5', '9', '11'], answers: [0, 2, 4] },
+    { type: 'audio', question: '你聽到的是甚麼音程？', options: ['大三度', '純四度', '純五度', '八度'], answer: 3, audio: { kind: 'interval', notes: ['E4', 'E5'], play: 'harmonic' } }
+];
+
+// Wrong meanings for questions about a Cantonese seed entry; none of them is the meaning of a seed term
+const MOCK_CANTONESE_DECOYS = {
+    en: ['to be in a hurry', 'to borrow money', 'to tell a lie'],
+    'zh-Hant': ['趕時間', '借錢', '說謊']
+};
+
+const normalize = (text) => String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+const BLANK = '_____';
+
+class MockProvider {
+    constructor(name, options = {}) {
+        this.name = name;
+        this.model = options.model || 'mock-quiz-1';
+        this.cursor = Number(options.seed) || 0; // Position in the question rotation
+    }
+
+    async chat({ purpose, context = {} }) {
+        let content;
+        switch (purpose) {
+            case 'generate':
+                content = context.seed ? this.generateSeedQuestion(context.seed, context.language)
+                    : context.passage ? this.generatePassageQuestion(context.passage)
+                    : this.generateQuestion(context.type, context.language);
+                break;
+            case 'verify':
+                content = context.passage
+                    ? this.verifyAgainstPassage(context.question, context.answer, context.passage)
+                    : this.verifyAnswer(context.question, context.answer);
+                break;
+            case 'explain':
+                content = this.explain(context.options || [], context.answers || [], context.language);
+                break;
+            default:
+                content = 'OK';
+        }
+        return { content, model: this.model };
+    }
+
+    // Next question of the requested type in the rotation (single-choice when no type is given),
+    // from the Chinese set, in the requested script, when the question is written natively in Chinese
+    generateQuestion(type = 'single', language = 'en') {
+        const questions = otherScript(language) ? MOCK_QUESTIONS_ZH : MOCK_QUESTIONS;
+        let item;
+        do {
+            item = questions[this.cursor % questions.length];
+            this.cursor++;
+        } while ((item.type || 'single') !== type && questions.some(q => (q.type || 'single') === type));
+        item = convertQuestion(item, language);
+        return `<question>
+    <type>${item.type || 'single'}</type>
+    <text>${item.question}</text>
+    <options>
+${item.options.map(option => `        <option>${option}</option>`).join('\n')}
+    </options>
+    <answer>${(item.answers || [item.answer]).join(',')}</answer>${item.explanation ? `
+    <explanation>${item.explanation}</explanation>
+    <distractors>
+${item.distractorNotes.map((note, index) => note ? `        <distractor index="${index}">${note}</distractor>` : '').filter(Boolean).join('\n')}
+    </distractors>` : ''}${buildAudioXML(item)}
+</question>`;
+    }
+
+    // Fill-in-the-blank question from a study material passage: one long word of a sentence is blanked,
+    // the other options are long words from elsewhere in the passage
+    generatePassageQuestion(passage) {
+        const sentences = (passage.match(/[^.!?\n]+[.!?]?/g) || []).map(sentence => sentence.trim()).filter(sentence => sentence.split(/\s+/).length >= 5);
+        const words = Array.from(new Set(passage.match(/[A-Za-z]{5,}/g) || []));
+        const sentence = sentences.length > 0 ? sentences[this.cursor++ % sentences.length] : passage.slice(0, 200);
+        const answer = (sentence.match(/[A-Za-z]{5,}/g) || ['passage']).sort((a, b) => b.length - a.length)[0];
+        const distractors = words.filter(word => word.toLowerCase() !== answer.toLowerCase()).slice(0, 3);
+        const options = [answer, ...distractors];
+        return `<question>
+    <type>single</type>
+    <text>Complete the sentence from your notes: "${sentence.replace(answer, BLANK)}"</text>
+    <options>
+${options.map(option => `        <option>${option}</option>`).join('\n')}
+    </options>
+    <answer>0</answer>
+    <explanation>The notes say: "${sentence}"</explanation>
+</question>`;
+    }
+
+    // "What does this mean" question about a Cantonese seed entry (see script/cantonese.js), with its reading
+    generateSeedQuestion(seed, language = 'en') {
+        const zh = otherScript(language) !== null;
+        const options = [zh ? seed.meaning['zh-Hant'] : seed.meaning.en, ...MOCK_CANTONESE_DECOYS[zh ? 'zh-Hant' : 'en']];
+        return convertScript(`<question>
+    <type>single</type>
+    <text>${zh ? `粵語「${seed.term}」係咩意思？` : `What does the Cantonese 「${seed.term}」 mean?`}</text>
+    <options>
+${options.map(option => `        <option>${option}</option>`).join('\n')}
+    </options>
+    <answer>0</answer>
+    <jyutping>
+        <reading for="question">${seed.jyutping}</reading>
+    </jyutping>
+</question>`, language);
+    }
+
+    // A blank filled with the answer must give back the passage's own words;
+    // a question without a blank (about a Cantonese seed entry) needs an answer the passage states
+    verifyAgainstPassage(question, answer, passage) {
+        const quoted = String(question).match(/"([^"]*)"/);
+        if (!quoted || !quoted[1].includes(BLANK)) {
+            return normalize(toTraditional(passage)).includes(normalize(toTraditional(answer))) ? 'YES' : 'NO';
+        }
+        return normalize(passage).includes(normalize(quoted[1].replace(BLANK, answer))) ? 'YES' : 'NO';
+    }
+
+    // Template explanation for questions generated without one
+    explain(options, answers, language = 'en') {
+        const zh = otherScript(language) !== null;
+        const correct = answers.map(index => options[index]).join(zh ? '和' : ' and ');
+        return convertScript(`<explanation>${correct}${zh ? '是經驗證的答案。' : ' is the verified answer.'}</explanation>
+<distractors>
+${options.map((option, index) => answers.includes(index) ? '' : `    <distractor index="${index}">${option}${zh ? '並不是題目的答案。' : ' does not answer the question.'}</distractor>`).filter(Boolean).join('\n')}
+</distractors>`, language);
+    }
+
+    verifyAnswer(question, answer) {
+        const item = [...MOCK_QUESTIONS, ...MOCK_QUESTIONS_ZH].find(q => normalize(q.question) === normalize(toTraditional(question)));
+        // Questions the mock did not write are accepted as-is
+        if (!item) return 'YES';
+        const correct = (item.accepted || item.answers || [item.answer]).map(index => normalize(item.options[index]));
+        return correct.includes(normalize(toTraditional(answer))) ? 'YES' : 'NO';
+    }
+}
+
+export default MockProvider;
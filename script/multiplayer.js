@@ -26,6 +26,7 @@ let levelStatus = []; // Track status of each level: 'unanswered', 'correct', 'i
 let conversationHistory = []; // Track Q&A history for AI context
 let currentLoadingMessage = null; // Track current loading message element
 let currentMultiplayerSubjectTitle = ''; // Track current subject title for display in multiplayer
+let roomTopics = []; // Sub-topic ids the host ticked for the room's subject (see setTopics)
 
 // Initialize Socket.IO
 function initializeSocket() {
@@ -52,10 +53,7 @@ function initializeSocket() {
         };
         script.onerror = () => {
             console.error('Failed to load Socket.IO');
-            if (!document.documentElement.lang === "zh")
-                showModal('Failed to load multiplayer features. Please make sure the server is running.');
-            else
-                showModal('無法加載多人遊戲功能。請確保伺服器正在運行。');
+            showModal(t('room.loadFailed'));
         };
         document.head.appendChild(script);
     } else {
@@ -77,19 +75,17 @@ function connectSocket() {
         const currentTable = quizTables[quizTables.length - 1];
         if (currentTable && !currentTable.classList.contains('answered')) {
             currentTable.classList.add('answered');
+            removeSubmitButton(currentTable);
             const rows = currentTable.querySelectorAll('.quiz-option');
             rows.forEach((row, index) => {
                 row.style.pointerEvents = 'none';
-                if (index === selectedIndex) {
+                if (window.isOptionSelected(selectedIndex, index)) {
                     row.classList.add('incorrect');
                     row.style.opacity = '0.7';
                     row.style.backgroundColor = '#2c2c2e';
                 }
             });
-            if (!document.documentElement.lang === "zh")
-                addSystemMessage(`❌ You selected a wrong answer! Game Over in Collab Mode.`);
-            else
-                addSystemMessage(`❌ 你選錯了答案！協作模式遊戲結束。`);
+            addSystemMessage('room.collabWrongSelf');
             // Show continue button to view level screen
             const quizContainer = currentTable.closest('.quiz-container');
             if (quizContainer && !quizContainer.querySelector('.quiz-actions')) {
@@ -97,10 +93,7 @@ function connectSocket() {
                 actionsDiv.className = 'quiz-actions';
                 const continueBtn = document.createElement('button');
                 continueBtn.className = 'quiz-action-btn continue-btn';
-                    if (!document.documentElement.lang === "zh")
-                        continueBtn.textContent = 'Continue';
-                    else
-                        continueBtn.textContent = '繼續';
+                i18n.bind(continueBtn, 'common.continue');
                 continueBtn.style.width = '100%';
                 continueBtn.addEventListener('click', () => {
                     if (socket && currentRoomCode) {
@@ -125,27 +118,15 @@ function connectSocket() {
         showWaitingRoom(roomCode);
     });
     
-    socket.on('playerJoined', ({ playerName: pName, players, subject, subjectTitle }) => {
+    socket.on('playerJoined', ({ playerName: pName, players, subject, subjectTitle, topics }) => {
         updatePlayersList(players);
-        if (!document.documentElement.lang === "zh")
-            addSystemMessage(`${pName} joined the room`);
-        else
-            addSystemMessage(`${pName} 加入了房間`);
+        addSystemMessage('room.playerJoined', { name: pName });
         
         // Sync the subject selection from the room (when a new player joins)
         if (subject) {
             window.setCurrentSubject(subject);
-            if (subjectTitle) {
-                currentMultiplayerSubjectTitle = subjectTitle;
-            } else {
-                // Fallback: find subject title from SUBJECTS array
-                const subjectObj = window.SUBJECTS && window.SUBJECTS.find(s => s.id === subject);
-                if (subjectObj) {
-                    currentMultiplayerSubjectTitle = document.documentElement.lang === "zh" ? subjectObj.zh_name : subjectObj.name;
-                } else {
-                    currentMultiplayerSubjectTitle = subject;
-                }
-            }
+            // The catalog's names follow this player's language; the host's title is only a fallback
+            currentMultiplayerSubjectTitle = window.getSubjectNames(subject, subjectTitle);
             
             // Update UI to show selected state using data attribute
             const subjectCards = document.querySelectorAll('.waiting-room-page .subject-card');
@@ -155,19 +136,18 @@ function connectSocket() {
                     card.classList.add('selected');
                 }
             });
+            roomTopics = topics || [];
+            renderRoomTopics();
         }
     });
     
     socket.on('playerLeft', ({ players }) => {
         updatePlayersList(players);
-        if (!document.documentElement.lang === "zh")
-            addSystemMessage('A player left the room');
-        else
-            addSystemMessage('有玩家離開了房間');
+        addSystemMessage('room.playerLeft');
     });
     
     // Sync game state when a player joins during an active round
-    socket.on('syncGameState', ({ currentQuestion, parsedQuestionData, correctAnswer, currentLevelSynced, mode, subject, subjectTitle, questionStartTime, timerDuration }) => {
+    socket.on('syncGameState', ({ currentQuestion, questionId, parsedQuestionData, correctAnswer, currentLevelSynced, mode, subject, subjectTitle, questionStartTime, timerDuration }) => {
         console.log('Received game state sync:', { currentLevelSynced, mode, subject, questionStartTime });
         
         // Update local game state
@@ -178,9 +158,7 @@ function connectSocket() {
         // Set subject
         if (subject) {
             window.setCurrentSubject(subject);
-            if (subjectTitle) {
-                currentMultiplayerSubjectTitle = subjectTitle;
-            }
+            currentMultiplayerSubjectTitle = window.getSubjectNames(subject, subjectTitle);
         }
         
         // Hide waiting room and show chat container
@@ -188,26 +166,16 @@ function connectSocket() {
         document.getElementById('chatContainer').style.display = 'flex';
         
         // Update chat title with subject and mode
-        if (!document.documentElement.lang === "zh"){
-            const modeText = mode === 'collab' ? 'Collab' : 'Compete';
-            document.getElementById('chatTitle').textContent = `${currentMultiplayerSubjectTitle} - ${modeText} Mode`;
-            document.getElementById('chatSubtitle').textContent = `Room: ${currentRoomCode}`;
-        } else {
-            const modeText = mode === 'collab' ? '協作' : '競爭';
-            document.getElementById('chatTitle').textContent = `${currentMultiplayerSubjectTitle}-${modeText}模式`;
-            document.getElementById('chatSubtitle').textContent = `房間: ${currentRoomCode}`;
-        }
+        showRoomChatHeader(mode);
         
         // Clear chat and add system message
         const chatMessages = document.getElementById('chatMessages');
         chatMessages.innerHTML = '';
-        if (!document.documentElement.lang === "zh")
-            addSystemMessage(`📍 Joined at Question ${currentLevel + 1}/12`);
-        else
-            addSystemMessage(`📍 加入了第 ${currentLevel + 1}/12 題`);
+        addSystemMessage('room.joinedAt', { question: currentLevel + 1, total: 12 });
         
         // Show the question immediately
         if (currentQuestion) {
+            window.currentQuestionId = questionId || null;
             window.addMessage(currentQuestion, 'ai').then(() => {
                 console.log('[Client] Synced question UI ready');
                 socket.emit('questionReady', { roomCode: currentRoomCode });
@@ -228,25 +196,15 @@ function connectSocket() {
     
     socket.on('playerLeft', ({ players }) => {
         updatePlayersList(players);
-        if (!document.documentElement.lang === "zh")
-            addSystemMessage('A player left the room');
-        else
-            addSystemMessage('有玩家離開了房間');
+        addSystemMessage('room.playerLeft');
     });
     
     socket.on('subjectChanged', ({ subject, subjectTitle, playerName: pName }) => {
-        window.setCurrentSubject(subject);
-        if (subjectTitle) {
-            currentMultiplayerSubjectTitle = subjectTitle;
-        } else {
-            // Fallback: find subject title from SUBJECTS array
-            const subjectObj = window.SUBJECTS && window.SUBJECTS.find(s => s.id === subject);
-            if (subjectObj) {
-                currentMultiplayerSubjectTitle = document.documentElement.lang === "zh" ? subjectObj.zh_name : subjectObj.name;
-            } else {
-                currentMultiplayerSubjectTitle = subject;
-            }
+        if (subject !== window.getCurrentSubject()) {
+            roomTopics = []; // The server clears the topics with a new subject
         }
+        window.setCurrentSubject(subject);
+        currentMultiplayerSubjectTitle = window.getSubjectNames(subject, subjectTitle);
         
         // Update UI to show selected state using data attribute
         const subjectCards = document.querySelectorAll('.waiting-room-page .subject-card');
@@ -257,28 +215,24 @@ function connectSocket() {
             }
         });
         
+        renderRoomTopics();
+        
         // Show notification
-        if (!document.documentElement.lang === "zh")
-            addSystemMessage(`${pName} selected a subject`);
-        else
-            addSystemMessage(`${pName} 選擇了一個主題`);
+        addSystemMessage('room.subjectSelected', { name: pName });
+    });
+    
+    // The host changed the room's sub-topics
+    socket.on('topicsChanged', ({ subject, topics }) => {
+        if (subject !== window.getCurrentSubject()) return;
+        roomTopics = topics || [];
+        renderRoomTopics();
     });
     
     socket.on('gameStarted', ({ subject, subjectTitle, mode, startedBy }) => {
         console.log('Game started event received:', { subject, subjectTitle, mode, startedBy });
         isMultiplayerActive = true;
         window.setCurrentSubject(subject);
-        if (subjectTitle) {
-            currentMultiplayerSubjectTitle = subjectTitle;
-        } else {
-            // Fallback: find subject title from SUBJECTS array
-            const subjectObj = window.SUBJECTS && window.SUBJECTS.find(s => s.id === subject);
-            if (subjectObj) {
-                currentMultiplayerSubjectTitle = document.documentElement.lang === "zh" ? subjectObj.zh_name : subjectObj.name;
-            } else {
-                currentMultiplayerSubjectTitle = subject;
-            }
-        }
+        currentMultiplayerSubjectTitle = window.getSubjectNames(subject, subjectTitle);
         
         // Stop background music when game starts
         if (window.stopMainBGM) {
@@ -291,16 +245,7 @@ function connectSocket() {
         conversationHistory = []; // Clear conversation history for new game
         
         document.getElementById('waitingRoomPage').style.display = 'none';
-        if (!document.documentElement.lang === "zh"){
-            const modeText = mode === 'collab' ? 'Collab' : 'Compete';
-            document.getElementById('chatTitle').textContent = `${currentMultiplayerSubjectTitle} - ${modeText} Mode`;
-            document.getElementById('chatSubtitle').textContent = `Room: ${currentRoomCode}`;
-        }
-        else{
-            const modeText = mode === 'collab' ? '協作' : '競爭';
-            document.getElementById('chatTitle').textContent = `${currentMultiplayerSubjectTitle}-${modeText}模式`;
-            document.getElementById('chatSubtitle').textContent = `房間: ${currentRoomCode}`;
-        }
+        showRoomChatHeader(mode);
         
         // Show level screen in collab mode before questions
         if (mode === 'collab') {
@@ -310,24 +255,24 @@ function connectSocket() {
             document.getElementById('chatContainer').style.display = 'flex';
             const chatMessages = document.getElementById('chatMessages');
             chatMessages.innerHTML = '';
-            if (!document.documentElement.lang === "zh")
-                addSystemMessage(`Game started. 🤖 Cooking up a spicy question...`);
-            else
-                addSystemMessage(`遊戲開始。🤖 正在準備一個刺激的問題...`);
+            addSystemMessage('room.gameStarted');
             currentLoadingMessage = addLoadingMessage();
         }
     });
     
-    socket.on('newQuestion', ({ question }) => {
+    socket.on('newQuestion', ({ question, questionId, offline }) => {
         // Remove loading message before showing question
         if (currentLoadingMessage && currentLoadingMessage.parentNode) {
             currentLoadingMessage.remove();
             currentLoadingMessage = null;
         }
+        removeRetryQuestionButtons();
+        window.setOfflineBanner(offline);
         
         // Store question in conversation history
         conversationHistory.push({ role: 'assistant', content: question });
         
+        window.currentQuestionId = questionId || null; // For reporting the question
         window.addMessage(question, 'ai').then(() => {
             // After message is added and buttons are rendered, notify server and start visual timer
             console.log('[Client] Question UI ready, notifying server to start timer');
@@ -343,11 +288,14 @@ function connectSocket() {
         startTimer(30); // Start visual timer display for 30 seconds
     };
     
+    // An admin fixed a question this room played; players it cost points got them back
+    socket.on('pointsRefunded', ({ players, scores }) => {
+        addSystemMessage('room.refunded', { players: players.map(p => `${p.name} (${p.points > 0 ? '+' : ''}${p.points})`).join(', ') });
+        updateScoreboard(scores);
+    });
+    
     socket.on('answerSubmitted', ({ playerName: pName, selectedOption, totalAnswers, totalPlayers }) => {
-        if (!document.documentElement.lang === "zh")
-            addSystemMessage(`${pName} answered (${totalAnswers}/${totalPlayers})`);
-        else
-            addSystemMessage(`${pName} 答了 (${totalAnswers}/${totalPlayers})`);
+        addSystemMessage('room.answered', { name: pName, answers: totalAnswers, players: totalPlayers });
     });
     
     // Stop visual timer when all players have answered or time expires
@@ -373,23 +321,23 @@ function connectSocket() {
         
         if (currentTable && !currentTable.classList.contains('answered')) {
             currentTable.classList.add('answered');
+            removeSubmitButton(currentTable);
             const rows = currentTable.querySelectorAll('.quiz-option');
             rows.forEach((row, index) => {
                 row.style.pointerEvents = 'none';
-                if (index === selectedIndex) {
+                if (window.isOptionSelected(selectedIndex, index)) {
+                    row.classList.add('selected');
                     row.style.opacity = '0.7';
                     row.style.backgroundColor = '#2c2c2e';
                 }
             });
-            if (!document.documentElement.lang === "zh")
-                addSystemMessage(`${pName} selected an answer`);
-            else
-                addSystemMessage(`${pName} 選擇了一個答案`);
+            addSystemMessage('room.answerSelected', { name: pName });
         }
     });
     
-    socket.on('revealAnswers', ({ correctAnswer, playerAnswers, scores }) => {
-        console.log('revealAnswers received:', { correctAnswer, playerAnswers, scores });
+    socket.on('revealAnswers', ({ correctAnswer, correctAnswers, questionType, explanation, distractorNotes, source, playerAnswers, scores }) => {
+        console.log('revealAnswers received:', { correctAnswer, correctAnswers, questionType, playerAnswers, scores });
+        const correctIndices = correctAnswers || [correctAnswer];
         
         // Hide AI checking overlay
         const overlay = document.getElementById('aiCheckingOverlay');
@@ -441,22 +389,24 @@ function connectSocket() {
         
         if (currentTable) {
             console.log('Processing reveal on table');
+            removeSubmitButton(currentTable);
             const rows = currentTable.querySelectorAll('.quiz-option');
             
             rows.forEach((row, index) => {
                 row.style.pointerEvents = 'none';
+                row.classList.remove('selected');
                 
-                // Highlight correct answer in green
-                if (index === correctAnswer) {
+                // Highlight correct answers in green
+                if (correctIndices.includes(index)) {
                     row.classList.add('correct');
                     console.log('Marking row', index, 'as correct');
                 }
                 
                 // Show who chose each option
-                playerAnswers.forEach(({ playerName: pName, selectedIndex, isCorrect }) => {
-                    if (selectedIndex === index) {
-                        // Add red highlight for wrong answers
-                        if (!isCorrect) {
+                playerAnswers.forEach(({ playerName: pName, selectedIndex }) => {
+                    if (window.isOptionSelected(selectedIndex, index)) {
+                        // Add red highlight for wrong picks
+                        if (!correctIndices.includes(index)) {
                             row.classList.add('incorrect');
                             console.log('Marking row', index, 'as incorrect');
                         }
@@ -464,29 +414,26 @@ function connectSocket() {
                 });
             });
             
-            // Show summary message
+            window.showAnswerExplanation(currentTable, explanation, distractorNotes, correctIndices, source);
+            
+            // Show summary message (multi-select questions can be partially correct)
             let correctPlayers = playerAnswers.filter(p => p.isCorrect).map(p => p.playerName);
-            let wrongPlayers = playerAnswers.filter(p => !p.isCorrect).map(p => p.playerName);
+            let partialPlayers = playerAnswers.filter(p => !p.isCorrect && p.credit > 0).map(p => `${p.playerName} (+${p.credit})`);
+            let wrongPlayers = playerAnswers.filter(p => !p.isCorrect && !(p.credit > 0)).map(p => p.playerName);
             
             if (correctPlayers.length > 0) {
-                if (!document.documentElement.lang === "zh")
-                    addSystemMessage(`✓ Correct: ${correctPlayers.join(', ')}`);
-                else
-                    addSystemMessage(`✓ 答對: ${correctPlayers.join(', ')}`);
+                addSystemMessage('room.correctPlayers', { names: correctPlayers.join(', ') });
+            }
+            if (partialPlayers.length > 0) {
+                addSystemMessage('room.partialPlayers', { names: partialPlayers.join(', ') });
             }
             if (wrongPlayers.length > 0) {
-                if (!document.documentElement.lang === "zh")
-                    addSystemMessage(`✗ Wrong: ${wrongPlayers.join(', ')}`);
-                else 
-                    addSystemMessage(`✗ 答錯: ${wrongPlayers.join(', ')}`);
+                addSystemMessage('room.wrongPlayers', { names: wrongPlayers.join(', ') });
             }
             
             // In collab mode, game over if answer is wrong (show continue button to view level screen)
             if (isWrongInCollab) {
-                if (!document.documentElement.lang === "zh")
-                    addSystemMessage('❌ Wrong answer! Game Over in Collab Mode.');
-                else
-                    addSystemMessage('❌ 答案錯誤！協作模式遊戲結束。');
+                addSystemMessage('room.collabWrong');
                 
                 // Add continue button to show level screen with results (for all players)
                 const quizContainer = currentTable.closest('.quiz-container');
@@ -496,10 +443,7 @@ function connectSocket() {
                     
                     const continueBtn = document.createElement('button');
                     continueBtn.className = 'quiz-action-btn continue-btn';
-                    if (!document.documentElement.lang === "zh")
-                        continueBtn.textContent = 'Continue';
-                    else
-                        continueBtn.textContent = '繼續';
+                    i18n.bind(continueBtn, 'common.continue');
                     continueBtn.style.width = '100%';
                     continueBtn.addEventListener('click', () => {
                         // Notify server - this will sync to all players
@@ -533,10 +477,7 @@ function connectSocket() {
                     
                     const continueBtn = document.createElement('button');
                     continueBtn.className = 'quiz-action-btn continue-btn';
-                    if (!document.documentElement.lang === "zh")
-                        continueBtn.textContent = 'Continue';
-                    else
-                        continueBtn.textContent = '繼續';
+                    i18n.bind(continueBtn, 'common.continue');
                     continueBtn.addEventListener('click', () => {
                         // Notify server that a player clicked continue to show score
                         if (socket && currentRoomCode) {
@@ -564,10 +505,7 @@ function connectSocket() {
                 
                 const continueBtn = document.createElement('button');
                 continueBtn.className = 'quiz-action-btn continue-btn';
-                    if (!document.documentElement.lang === "zh")
-                        continueBtn.textContent = 'Continue';
-                    else
-                        continueBtn.textContent = '繼續';
+                i18n.bind(continueBtn, 'common.continue');
                 continueBtn.style.width = '100%'; // Full width since no back button
                 continueBtn.addEventListener('click', () => {
                     // If wrong in collab mode, just show level screen (don't continue game)
@@ -604,10 +542,7 @@ function connectSocket() {
                         // Request new question
                         const chatMessages = document.getElementById('chatMessages');
                         chatMessages.innerHTML = '';
-                        if (!document.documentElement.lang === "zh")
-                            addSystemMessage('🎲 Rolling a new question...');
-                        else
-                            addSystemMessage('🎲 正在擲出一個新問題...');
+                        addSystemMessage('room.nextQuestionRolling');
                         currentLoadingMessage = addLoadingMessage();
                         requestMultiplayerQuestion();
                     }
@@ -625,15 +560,34 @@ function connectSocket() {
         console.error('Server error:', message);
         // Check if it's a host-only error
         if (message.includes('Only the host')) {
-            if (!document.documentElement.lang === "zh")
-                addSystemMessage('⏳ Only the host can perform this action');
-            else
-                addSystemMessage('⏳ 只有主機玩家才能執行此操作');
+            addSystemMessage('room.hostOnly');
         } else {
             showModal(message);
         }
     });
     
+    // Question could not be generated or served - stop waiting and explain why
+    socket.on('questionError', ({ code, message }) => {
+        console.error('Question error:', code, message);
+        if (currentLoadingMessage && currentLoadingMessage.parentNode) {
+            currentLoadingMessage.remove();
+            currentLoadingMessage = null;
+        }
+        addSystemMessage('common.warning', { message: { key: window.getQuestionErrorKey(code) } });
+        if (code === 'CANCELLED') {
+            addRetryQuestionButton();
+        }
+    });
+    
+    // Live generation steps for the room's next question ("Attempt 2: verifying answer...")
+    socket.on('generationProgress', (progress) => {
+        removeRetryQuestionButtons();
+        if (!currentLoadingMessage || !currentLoadingMessage.parentNode) {
+            currentLoadingMessage = addLoadingMessage(); // Another player asked for the question
+        }
+        window.showGenerationProgress(currentLoadingMessage, progress, cancelMultiplayerGeneration);
+    });
+    
     // Handle answer check stopped
     socket.on('answerCheckStopped', ({ message }) => {
         console.log('[Answer Check] Stopped:', message);
@@ -645,7 +599,7 @@ function connectSocket() {
         }
         
         // Show message and return to appropriate screen
-        addSystemMessage(`⚠️ ${message}`);
+        addSystemMessage('common.warning', { message });
         
         setTimeout(() => {
             returnToGameMenuFromAnswerCheck();
@@ -657,10 +611,7 @@ function connectSocket() {
         
         // Only show message if it's not from current player (to avoid duplicate messages)
         if (pName !== playerName) {
-            if (!document.documentElement.lang === "zh")
-                addSystemMessage(`${pName} clicked continue`);
-            else
-                addSystemMessage(`${pName} 點擊了繼續`);
+            addSystemMessage('room.playerContinued', { name: pName });
         }
         
         if (action === 'showScore') {
@@ -710,10 +661,7 @@ function connectSocket() {
             const chatMessages = document.getElementById('chatMessages');
             if (chatMessages) {
                 chatMessages.innerHTML = '';
-                if (!document.documentElement.lang === "zh")
-                    addSystemMessage('🤖 Cooking up a spicy question...');
-                else
-                    addSystemMessage('🤖 正在準備一個刺激的問題...');
+                addSystemMessage('room.nextQuestion');
                 currentLoadingMessage = addLoadingMessage();
             }
             
@@ -746,10 +694,7 @@ function connectSocket() {
             const chatMessages = document.getElementById('chatMessages');
             if (chatMessages) {
                 chatMessages.innerHTML = '';
-                if (!document.documentElement.lang === "zh")
-                    addSystemMessage('🧠 Brain power activating...');
-                else
-                    addSystemMessage('🧠 大腦啟動中...');
+                addSystemMessage('room.nextQuestionBrain');
                 currentLoadingMessage = addLoadingMessage();
             }
             
@@ -769,10 +714,7 @@ function createRoom() {
     const name = nameInput.value.trim();
     
     if (!name) {
-        if (!document.documentElement.lang === "zh")
-            showModal('Please enter your name');
-        else
-            showModal('請輸入您的名字');
+        showModal(t('room.enterName'));
         return;
     }
     
@@ -791,8 +733,10 @@ function createRoom() {
             if (socket && socket.connected) {
                 socket.emit('createRoom', { 
                     playerName: name, 
+                    playerId: window.getPlayerId(),
                     mode: multiplayerType, 
-                    subject: '' // Subject will be selected later
+                    subject: '', // Subject will be selected later
+                    language: i18n.language
                 });
             } else {
                 // Try one more time after additional delay
@@ -800,14 +744,13 @@ function createRoom() {
                     if (socket && socket.connected) {
                         socket.emit('createRoom', { 
                             playerName: name, 
+                            playerId: window.getPlayerId(),
                             mode: multiplayerType, 
-                            subject: ''
+                            subject: '',
+                            language: i18n.language
                         });
                     } else {
-                        if (!document.documentElement.lang === "zh")
-                            showModal('Failed to connect to server. Please try again.');
-                        else
-                            showModal('無法連接到伺服器。請再試一次。');
+                        showModal(t('room.connectFailed'));
                     }
                 }, 1000);
             }
@@ -815,8 +758,10 @@ function createRoom() {
     } else {
         socket.emit('createRoom', { 
             playerName: name, 
+            playerId: window.getPlayerId(),
             mode: multiplayerType, 
-            subject: '' // Subject will be selected later
+            subject: '', // Subject will be selected later
+            language: i18n.language
         });
     }
 }
@@ -828,18 +773,12 @@ function joinRoom() {
     const code = codeInput.value.trim().toUpperCase();
     
     if (!name) {
-        if (!document.documentElement.lang === "zh")
-            showModal('Please enter your name');
-        else
-            showModal('請輸入您的名字');
+        showModal(t('room.enterName'));
         return;
     }
     
     if (!code || code.length !== 6) {
-        if (!document.documentElement.lang === "zh")
-            showModal('Please enter a valid 6-character room code');
-        else
-            showModal('請輸入有效的6位數房間代碼');
+        showModal(t('room.invalidCode'));
         return;
     }
     
@@ -852,25 +791,22 @@ function joinRoom() {
         // Wait longer for socket to connect (especially for remote servers)
         setTimeout(() => {
             if (socket && socket.connected) {
-                socket.emit('joinRoom', { roomCode: code, playerName: name });
+                socket.emit('joinRoom', { roomCode: code, playerName: name, playerId: window.getPlayerId() });
                 showWaitingRoom(code);
             } else {
                 // Try one more time after additional delay
                 setTimeout(() => {
                     if (socket && socket.connected) {
-                        socket.emit('joinRoom', { roomCode: code, playerName: name });
+                        socket.emit('joinRoom', { roomCode: code, playerName: name, playerId: window.getPlayerId() });
                         showWaitingRoom(code);
                     } else {
-                        if (!document.documentElement.lang === "zh")
-                            showModal('Failed to connect to server. Please try again.');
-                        else
-                            showModal('無法連接到伺服器。請再試一次。');
+                        showModal(t('room.connectFailed'));
                     }
                 }, 1000);
             }
         }, 2000);
     } else {
-        socket.emit('joinRoom', { roomCode: code, playerName: name });
+        socket.emit('joinRoom', { roomCode: code, playerName: name, playerId: window.getPlayerId() });
         showWaitingRoom(code);
     }
 }
@@ -880,35 +816,12 @@ function showWaitingRoom(roomCode) {
     document.getElementById('waitingRoomPage').style.display = 'flex';
     document.getElementById('displayRoomCode').textContent = roomCode;
 
-    // Dynamically render subject grid from window.SUBJECTS, retry if not ready
-    const grid = document.getElementById('subjectGridMulti');
-    if (!grid) return;
-    if (!window.SUBJECTS) {
-        setTimeout(() => showWaitingRoom(roomCode), 100);
-        return;
-    }
-    grid.innerHTML = '';
-    grid.classList.remove('grid-2x3', 'grid-2x2');
-    grid.classList.add('grid-2x2');
-        window.SUBJECTS.forEach(subj => {
-        const btn = document.createElement('button');
-        btn.className = 'subject-card';
-        btn.setAttribute('data-subject-id', subj.id);
-        btn.onclick = () => {
-            if (window.selectRoomSubject) window.selectRoomSubject(subj.id, document.documentElement.lang === "zh" ? subj.zh_name : subj.name);
-        };
-        if (document.documentElement.lang === "en")
-            btn.innerHTML = `
-                <div class="subject-icon"><img class="subject-icon" src="${subj.image}" alt="${subj.name}"></div>
-                <div class="subject-name">${subj.name}</div>
-            `;
-        else
-            btn.innerHTML = `
-                <div class="subject-icon"><img class="subject-icon" src="${subj.image}" alt="${subj.zh_name}"></div>
-                <div class="subject-name">${subj.zh_name}</div>
-            `;
-        grid.appendChild(btn);
-    });
+    // Subject grid from the catalog (re-rendered by main.js once /api/subjects has loaded)
+    renderSubjectGrid('multiplayer');
+    // Topics appear once the room has a subject
+    roomTopics = [];
+    const topicPicker = document.getElementById('topicPickerMulti');
+    if (topicPicker) topicPicker.style.display = 'none';
 }
 
 function updatePlayersList(players) {
@@ -921,18 +834,13 @@ function updatePlayersList(players) {
 }
 
 function selectRoomSubject(subject, subjectTitle) {
+    if (subject !== window.getCurrentSubject()) {
+        roomTopics = [];
+    }
     window.setCurrentSubject(subject);
     
     // If subjectTitle not provided, find it from SUBJECTS array (same as singleplayer)
-    if (!subjectTitle) {
-        const subjectObj = window.SUBJECTS && window.SUBJECTS.find(s => s.id === subject);
-        if (subjectObj) {
-            subjectTitle = document.documentElement.lang === "zh" ? subjectObj.zh_name : subjectObj.name;
-        } else {
-            subjectTitle = subject;
-        }
-    }
-    currentMultiplayerSubjectTitle = subjectTitle;
+    currentMultiplayerSubjectTitle = subjectTitle || window.getSubjectNames(subject);
     
     // Update UI to show selected state using data attribute
     const subjectCards = document.querySelectorAll('.waiting-room-page .subject-card');
@@ -945,8 +853,26 @@ function selectRoomSubject(subject, subjectTitle) {
     
     // Notify server of subject selection for real-time sync
     if (socket && currentRoomCode) {
-        socket.emit('setSubject', { roomCode: currentRoomCode, subject: subject, subjectTitle: subjectTitle });
+        socket.emit('setSubject', { roomCode: currentRoomCode, subject: subject, subjectTitle: i18n.name(currentMultiplayerSubjectTitle) });
     }
+    
+    renderRoomTopics();
+}
+
+// Sub-topic checkboxes for the room's subject; only the host can change them
+function renderRoomTopics() {
+    const container = document.getElementById('topicPickerMulti');
+    if (!container || !window.renderTopicPicker) return;
+    const subjectObj = window.SUBJECTS && window.SUBJECTS.find(s => s.id === window.getCurrentSubject());
+    window.renderTopicPicker(container, subjectObj, roomTopics, {
+        disabled: !isHost,
+        onChange: topics => {
+            roomTopics = topics;
+            if (socket && currentRoomCode) {
+                socket.emit('setTopics', { roomCode: currentRoomCode, topics });
+            }
+        }
+    });
 }
 
 function startMultiplayerGame() {
@@ -959,51 +885,31 @@ function startMultiplayerGame() {
     
     // Check if player is the host
     if (!isHost) {
-        if (!document.documentElement.lang === "zh")
-            showModal('Only the host can start the game');
-        else
-            showModal('只有主機玩家才能開始遊戲');
+        showModal(t('room.hostStartOnly'));
         return;
     }
     
-    if (!document.documentElement.lang === "zh"){
-        if (!currentSubject) {
-            showModal('Please select a subject first');
-            return;
-        }
-
-        if (!socket) {
-            showModal('Not connected to server. Please try refreshing the page.');
-            return;
-        }
-
-        if (!currentRoomCode) {
-            showModal('No room code found. Please create or join a room.');
-            return;
-        }
+    if (!currentSubject) {
+        showModal(t('room.selectSubject'));
+        return;
     }
-    else{
-        if (!currentSubject) {
-            showModal('請選擇一個主題');
-            return;
-        }
 
-        if (!socket) {
-            showModal('未連接到伺服器。請嘗試重新整理頁面。');
-            return;
-        }
+    if (!socket) {
+        showModal(t('room.notConnected'));
+        return;
+    }
 
-        if (!currentRoomCode) {
-            showModal('未找到房間代碼。請創建或加入房間。');
-            return;
-        }
+    if (!currentRoomCode) {
+        showModal(t('room.noRoom'));
+        return;
     }
     // Emit to server to start game for all players
     console.log('Emitting startGame event');
-    socket.emit('startGame', { roomCode: currentRoomCode });
+    socket.emit('startGame', { roomCode: currentRoomCode, language: i18n.language });
 }
 
-function addSystemMessage(text) {
+// System messages are locale keys (locales/*.json), so they follow a language switch like the rest of the page
+function addSystemMessage(key, params = {}) {
     const chatMessages = document.getElementById('chatMessages');
     const messageDiv = document.createElement('div');
     messageDiv.className = 'message system-message';
@@ -1011,11 +917,17 @@ function addSystemMessage(text) {
     messageDiv.style.color = '#8e8e93';
     messageDiv.style.fontSize = '14px';
     messageDiv.style.margin = '10px 0';
-    messageDiv.textContent = text;
+    i18n.bind(messageDiv, key, params);
     chatMessages.appendChild(messageDiv);
     chatMessages.scrollTop = chatMessages.scrollHeight;
 }
 
+// Chat header for a room's round: "<subject> - <mode> Mode" over the room code
+function showRoomChatHeader(mode) {
+    i18n.bind(document.getElementById('chatTitle'), 'game.title', { subject: currentMultiplayerSubjectTitle, mode: { key: `mode.${mode}` } });
+    i18n.bind(document.getElementById('chatSubtitle'), 'room.code', { code: currentRoomCode });
+}
+
 function addLoadingMessage() {
     const chatMessages = document.getElementById('chatMessages');
     
@@ -1041,14 +953,7 @@ function goToRoomSetup(type) {
     window.setMultiplayerType(type);
     document.getElementById('multiplayerPage').style.display = 'none';
     document.getElementById('roomSetupPage').style.display = 'flex';
-    if (document.documentElement.lang === "en"){
-        const modeText = type === 'collab' ? 'Collab' : 'Compete';
-        document.getElementById('roomModeSubtitle').textContent = `${modeText} Mode - Create or join a room`;
-    }
-    else{
-        const modeText = type === 'collab' ? '協作' : '競爭';
-        document.getElementById('roomModeSubtitle').textContent = `${modeText}模式-建立或加入房間`;
-    }
+    i18n.bind(document.getElementById('roomModeSubtitle'), 'room.modeSubtitle', { mode: { key: `mode.${type}` } });
     // Keep background music playing on multiplayer screens
     if (window.playMainBGM) window.playMainBGM();
 }
@@ -1065,10 +970,7 @@ function goBackToMultiplayerMode() {
 // Request new question in multiplayer
 function checkHostAndNotify() {
     if (!isHost) {
-        if (!document.documentElement.lang === "zh")
-            addSystemMessage('⏳ Waiting for the host to continue...');
-        else
-            addSystemMessage('⏳ 等待主機玩家繼續遊戲...');
+        addSystemMessage('room.waitingForHost');
         return false;
     }
     return true;
@@ -1084,7 +986,43 @@ function requestMultiplayerQuestion() {
     }
 }
 
-// Submit answer in multiplayer
+// Ask the server to stop generating the room's question (everyone gets questionError CANCELLED)
+function cancelMultiplayerGeneration() {
+    if (socket && currentRoomCode) {
+        socket.emit('cancelGeneration', { roomCode: currentRoomCode });
+    }
+}
+
+// After a cancelled question, let any player ask for a new one
+function addRetryQuestionButton() {
+    const chatMessages = document.getElementById('chatMessages');
+    const actionsDiv = document.createElement('div');
+    actionsDiv.className = 'quiz-actions retry-question';
+    const retryBtn = document.createElement('button');
+    retryBtn.className = 'quiz-action-btn continue-btn';
+    i18n.bind(retryBtn, 'common.tryAgain');
+    retryBtn.addEventListener('click', () => {
+        removeRetryQuestionButtons();
+        currentLoadingMessage = addLoadingMessage();
+        requestMultiplayerQuestion();
+    });
+    actionsDiv.appendChild(retryBtn);
+    chatMessages.appendChild(actionsDiv);
+    chatMessages.scrollTop = chatMessages.scrollHeight;
+}
+
+function removeRetryQuestionButtons() {
+    document.querySelectorAll('.retry-question').forEach(button => button.remove());
+}
+
+// Drop the multi-select submit button once the question can no longer be answered
+function removeSubmitButton(table) {
+    const quizContainer = table.closest('.quiz-container');
+    const submitDiv = quizContainer && quizContainer.querySelector('.quiz-submit');
+    if (submitDiv) submitDiv.remove();
+}
+
+// Submit answer in multiplayer (an option index, or an array of indices for multi-select)
 function submitMultiplayerAnswer(selectedIndex) {
     console.log('submitMultiplayerAnswer called:', { selectedIndex, hasSocket: !!socket, roomCode: currentRoomCode });
     
@@ -1287,10 +1225,7 @@ function showScoreScreen(scores) {
     title.style.color = 'white';
     title.style.marginBottom = '16px';
     title.style.fontSize = '18px';
-    if (!document.documentElement.lang === "zh")
-        title.textContent = 'Current Standings';
-    else
-        title.textContent = '目前排名';
+    i18n.bind(title, 'score.standings');
     scoreboardContainer.appendChild(title);
     
     // Add each player's score
@@ -1320,7 +1255,7 @@ function showScoreScreen(scores) {
         
         const scoreDiv = document.createElement('div');
         scoreDiv.className = 'score-value';
-        scoreDiv.textContent = `${player.score} pts`;
+        i18n.bind(scoreDiv, 'score.points', { score: player.score });
         
         scoreItem.appendChild(nameDiv);
         scoreItem.appendChild(scoreDiv);
@@ -1372,10 +1307,7 @@ function showLevelScreen(screenState = 'firstLevel') {
     
     // Update room code display
     if (levelRoomCode) {
-        if (!document.documentElement.lang === "zh")
-            levelRoomCode.textContent = `Room: ${currentRoomCode}`;
-        else
-            levelRoomCode.textContent = `房間: ${currentRoomCode}`;
+        i18n.bind(levelRoomCode, 'room.code', { code: currentRoomCode });
     }
     
     // Update all level indicators
@@ -1491,10 +1423,7 @@ function continueLevelScreen() {
     }
     
     // Always request question when continuing from level screen
-    if (!document.documentElement.lang === "zh")
-        addSystemMessage('🤖 Cooking up a spicy question...');
-    else
-        addSystemMessage('🤖 正在準備一個刺激的問題...');
+    addSystemMessage('room.nextQuestion');
     currentLoadingMessage = addLoadingMessage();
     
     // Play next question sound
@@ -1533,10 +1462,7 @@ function continueFromScore() {
     // Clear chat and request new question
     const chatMessages = document.getElementById('chatMessages');
     chatMessages.innerHTML = '';
-    if (!document.documentElement.lang === "zh")
-        addSystemMessage('✨ Summoning next challenge...');
-    else
-        addSystemMessage('✨ 正在召喚下一個挑戰...');
+    addSystemMessage('room.nextQuestionSummoning');
     currentLoadingMessage = addLoadingMessage();
     requestMultiplayerQuestion();
 }
@@ -1561,10 +1487,7 @@ function endGame() {
     if (scoreScreen) scoreScreen.style.display = 'none';
     
     // Show completion message
-    if (!document.documentElement.lang === "zh")
-        addSystemMessage('🎉 Game Complete! All 12 questions finished!');
-    else
-        addSystemMessage('🎉 遊戲完成！所有12個問題都完成了！');
+    addSystemMessage('room.gameComplete', { total: 12 });
 
     // Resume background music when game ends
     if (window.playMainBGM) {
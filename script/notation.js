@@ -0,0 +1,41 @@
+// Notation module
+// Math and chemistry markup in question text: LaTeX between \( \) (inline) or \[ \] (display), chemical formulas as \ce{...}
+//
+// The markup is typeset in the browser by the bundled KaTeX and its mhchem extension (script/notation_render.js).
+// On the server it is only found: translation leaves it untouched, and a question whose markup is broken is regenerated.
+
+// A math span; group 1 is inline TeX, group 2 display TeX
+export const MATH_PATTERN = /\\\(([\s\S]+?)\\\)|\\\[([\s\S]+?)\\\]/g;
+
+// Added to the generation prompts ({{notationRule}})
+export const NOTATION_RULE = 'Write math as LaTeX between \\( and \\), e.g. \\(\\frac{x^2}{3}\\) or \\(9.8\\,\\text{m/s}^2\\), and chemical formulas with \\ce inside them, e.g. \\(\\ce{H2SO4}\\). Write everything else as plain text.';
+
+/**
+ * Text with every math span removed
+ */
+export function stripMath(text) {
+    return String(text ?? '').replace(MATH_PATTERN, '');
+}
+
+/**
+ * True when a text has a delimiter without its partner or a math span with unbalanced braces
+ */
+export function hasBrokenMath(text) {
+    const value = String(text ?? '');
+    if (/\\[()[\]]/.test(stripMath(value))) return true;
+    return Array.from(value.matchAll(MATH_PATTERN)).some(([, inline, display]) => {
+        let depth = 0;
+        for (const character of (inline ?? display).replace(/\\[{}]/g, '')) { // \{ and \} are literal braces
+            depth += character === '{' ? 1 : character === '}' ? -1 : 0;
+            if (depth < 0) return true;
+        }
+        return depth !== 0;
+    });
+}
+
+/**
+ * True when the question, an option, the explanation or a distractor note of a parsed question has broken markup
+ */
+export function questionHasBrokenMath(question) {
+    return [question.question, ...question.options, question.explanation, ...(question.distractorNotes || [])].some(hasBrokenMath);
+}
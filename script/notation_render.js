@@ -0,0 +1,43 @@
+// Notation rendering module
+// Typesets the math and chemistry markup of question text (see script/notation.js) with the bundled KaTeX and mhchem
+//
+// renderNotation(element, text) sets an element's text like textContent does, with every \( \) and \[ \] span
+// typeset. The plain text is kept in data-text, because the rendered element's textContent is no longer the text the
+// server sent (options are checked by their text). Without KaTeX, or with markup KaTeX rejects, a span is shown as written.
+
+const NOTATION_PATTERN = /\\\(([\s\S]+?)\\\)|\\\[([\s\S]+?)\\\]/g;
+
+function renderNotation(element, text) {
+    const value = String(text ?? '');
+    element.dataset.text = value;
+    element.textContent = '';
+    let last = 0;
+    for (const match of value.matchAll(NOTATION_PATTERN)) {
+        element.appendChild(document.createTextNode(value.slice(last, match.index)));
+        element.appendChild(renderMathSpan(match[0], match[1] ?? match[2], match[2] !== undefined));
+        last = match.index + match[0].length;
+    }
+    element.appendChild(document.createTextNode(value.slice(last)));
+}
+
+function renderMathSpan(source, tex, displayMode) {
+    const span = document.createElement('span');
+    span.className = 'math';
+    if (typeof katex === 'undefined') {
+        span.textContent = source;
+        return span;
+    }
+    try {
+        katex.render(tex, span, { displayMode, throwOnError: true });
+    } catch (error) {
+        console.warn('[Notation] Could not render', source, error.message);
+        span.textContent = source;
+        span.classList.add('math-error');
+    }
+    return span;
+}
+
+// Text of an element filled by renderNotation, as the server sent it
+function notationText(element) {
+    return element.dataset.text ?? element.textContent;
+}
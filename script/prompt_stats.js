@@ -0,0 +1,96 @@
+// Prompt statistics module
+// Counts generation outcomes per prompt template version so prompt changes can be compared with data
+
+import fs from 'fs';
+import path from 'path';
+
+// Outcomes of one generation attempt (see generateAndValidateQuestion)
+export const PROMPT_OUTCOMES = ['valid', 'parseFailed', 'duplicate', 'rejected', 'error'];
+
+class PromptStats {
+    constructor(filePath = path.join('data', 'prompt_stats.json'), logFn = console.log) {
+        this.filePath = filePath;
+        this.log = logFn;
+        this.versions = new Map(); // version id -> { attempts, valid, parseFailed, duplicate, rejected, error, firstSeen, lastSeen }
+        this.saveTimer = null;
+
+        this.load();
+    }
+
+    load() {
+        try {
+            if (!fs.existsSync(this.filePath)) {
+                return;
+            }
+            const data = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+            Object.entries(data.versions || {}).forEach(([versionId, counts]) => this.versions.set(versionId, counts));
+        } catch (error) {
+            this.log(`[PROMPTS] Failed to load ${this.filePath}: ${error.message}`, 'error');
+        }
+    }
+
+    // Writes are batched like the question bank's
+    scheduleSave() {
+        if (this.saveTimer) return;
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.save();
+        }, 500);
+    }
+
+    flush() {
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+            this.save();
+        }
+    }
+
+    save() {
+        try {
+            const dir = path.dirname(this.filePath);
+            if (!fs.existsSync(dir)) {
+                fs.mkdirSync(dir, { recursive: true });
+            }
+            const tempPath = this.filePath + '.tmp';
+            fs.writeFileSync(tempPath, JSON.stringify({ version: 1, versions: Object.fromEntries(this.versions) }), 'utf-8');
+            fs.renameSync(tempPath, this.filePath);
+        } catch (error) {
+            this.log(`[PROMPTS] Failed to save ${this.filePath}: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Count one generation attempt made with a template version
+     * @param {string} versionId - e.g. "default@1"
+     * @param {string} outcome - one of PROMPT_OUTCOMES
+     */
+    record(versionId, outcome) {
+        if (!PROMPT_OUTCOMES.includes(outcome)) return;
+        const now = new Date().toISOString();
+        const counts = this.versions.get(versionId) ||
+            { attempts: 0, ...Object.fromEntries(PROMPT_OUTCOMES.map(name => [name, 0])), firstSeen: now };
+        counts.attempts++;
+        counts[outcome]++;
+        counts.lastSeen = now;
+        this.versions.set(versionId, counts);
+        this.scheduleSave();
+    }
+
+    /**
+     * Counts and rates per version, most used first.
+     * validityRate: attempts that produced a servable question; duplicateRate: attempts rejected as duplicates.
+     */
+    summary() {
+        return Array.from(this.versions.entries())
+            .map(([versionId, counts]) => ({
+                versionId,
+                ...counts,
+                validityRate: counts.attempts ? Math.round(counts.valid / counts.attempts * 1000) / 1000 : null,
+                duplicateRate: counts.attempts ? Math.round(counts.duplicate / counts.attempts * 1000) / 1000 : null
+            }))
+            .sort((a, b) => b.attempts - a.attempts);
+    }
+}
+
+export default PromptStats;
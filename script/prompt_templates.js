@@ -0,0 +1,195 @@
+// Prompt template module
+// Loads the question generation and verification prompts from prompt files, with per-language and per-subject overrides and {{variables}}
+//
+// A prompt file has a header of "key: value" lines, then sections that start with a "[name]" line:
+//
+//     id: physics
+//     version: 2
+//     subjects: Physics, 物理學
+//
+//     [generate]
+//     Generate a {{typeLabel}} about {{subject}}...
+//
+// prompts/default.prompt must define every section. Files in prompts/languages/ override sections for
+// questions written natively in the languages they list, and files in prompts/subjects/ override sections
+// for the subjects they list; a subject ending in "*" matches by prefix ("material:*"). Subject sections win
+// over language sections, which win over the default. Each template has a version id ("physics@2", or
+// "physics@2+zh@1+default@3" when it inherits sections) so results can be compared per version.
+
+import fs from 'fs';
+import path from 'path';
+
+export const PROMPT_SECTIONS = ['generate', 'retry_rejected', 'retry_invalid', 'retry_duplicate', 'retry_wrong_answer', 'verify', 'verify_passage'];
+
+// Variables filled in by generateAndValidateQuestion (question and answer by verifyAnswerWithAI)
+export const PROMPT_VARIABLES = ['subject', 'subjectLower', 'scope', 'topic', 'typeLabel', 'typeLabelZh', 'typeRule', 'optionCount', 'difficulty', 'difficultyZh', 'explanationRule', 'notationRule', 'format', 'reason', 'passage', 'jyutping', 'language', 'question', 'answer'];
+
+const SECTION_LINE = /^\[([a-z_]+)\]\s*$/;
+const VARIABLE = /\{\{\s*(\w+)\s*\}\}/g;
+
+/**
+ * Parse the text of a prompt file
+ * @returns {{ id: string, version: string, subjects: string[], sections: Object }}
+ */
+export function parsePromptFile(text) {
+    const header = {};
+    const sections = {};
+    let current = null;
+
+    text.replace(/\r\n/g, '\n').split('\n').forEach(line => {
+        const sectionMatch = line.match(SECTION_LINE);
+        if (sectionMatch) {
+            current = sectionMatch[1];
+            sections[current] = [];
+        } else if (current) {
+            sections[current].push(line);
+        } else if (line.trim() && !line.trim().startsWith('#')) {
+            const separator = line.indexOf(':');
+            if (separator > 0) {
+                header[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+            }
+        }
+    });
+
+    return {
+        id: header.id,
+        version: header.version || '1',
+        subjects: (header.subjects || '').split(',').map(subject => subject.trim()).filter(Boolean),
+        languages: (header.languages || '').split(',').map(language => language.trim()).filter(Boolean),
+        sections: Object.fromEntries(Object.entries(sections).map(([name, lines]) => [name, lines.join('\n').trim()]))
+    };
+}
+
+/**
+ * Fill {{variables}} in a template string. Unknown or missing variables become ''.
+ */
+export function renderTemplate(template, variables) {
+    return template.replace(VARIABLE, (_, name) => variables[name] === undefined || variables[name] === null ? '' : String(variables[name]));
+}
+
+class PromptTemplates {
+    /**
+     * @param {string} dir - folder with default.prompt and languages/ and subjects/ folders of overrides
+     * @param {Function} logFn - logger (message, type)
+     */
+    constructor(dir = 'prompts', logFn = console.log) {
+        this.dir = dir;
+        this.log = logFn;
+        this.defaultTemplate = null;
+        this.overrides = new Map(); // lower-cased subject -> parsed override file
+        this.prefixOverrides = []; // [lower-cased prefix, parsed override file] for "prefix*" subjects
+        this.languageOverrides = new Map(); // language code -> parsed override file
+        this.load();
+    }
+
+    load() {
+        this.overrides.clear();
+        this.prefixOverrides = [];
+        this.languageOverrides.clear();
+        try {
+            const template = this.readFile(path.join(this.dir, 'default.prompt'));
+            const missing = PROMPT_SECTIONS.filter(section => !template.sections[section]);
+            if (missing.length > 0) {
+                throw new Error(`default.prompt is missing section(s): ${missing.join(', ')}`);
+            }
+            this.defaultTemplate = template;
+        } catch (error) {
+            this.log(`[PROMPTS] ${error.message}`, 'error');
+            throw error; // Generation cannot run without the default prompts
+        }
+
+        this.readFolder('languages', template => {
+            template.languages.forEach(language => this.languageOverrides.set(language, template));
+        });
+        this.readFolder('subjects', template => {
+            template.subjects.forEach(subject => {
+                if (subject.endsWith('*')) {
+                    this.prefixOverrides.push([subject.slice(0, -1).toLowerCase(), template]);
+                } else {
+                    this.overrides.set(subject.toLowerCase(), template);
+                }
+            });
+        });
+        this.log(`[PROMPTS] Loaded ${this.defaultTemplate.id}@${this.defaultTemplate.version} with ${this.languageOverrides.size} language and ${this.overrides.size + this.prefixOverrides.length} subject override(s) from ${this.dir}`);
+    }
+
+    // Parse every .prompt file of a sub-folder; broken files are skipped with a warning
+    readFolder(name, register) {
+        const folder = path.join(this.dir, name);
+        if (!fs.existsSync(folder)) return;
+        fs.readdirSync(folder).filter(file => file.endsWith('.prompt')).forEach(file => {
+            try {
+                register(this.readFile(path.join(folder, file)));
+            } catch (error) {
+                this.log(`[PROMPTS] Skipping ${name}/${file}: ${error.message}`, 'warn');
+            }
+        });
+    }
+
+    readFile(filePath) {
+        const template = parsePromptFile(fs.readFileSync(filePath, 'utf-8'));
+        if (!template.id) {
+            throw new Error(`${filePath} has no "id:" header`);
+        }
+        Object.entries(template.sections).forEach(([section, text]) => {
+            if (!PROMPT_SECTIONS.includes(section)) {
+                this.log(`[PROMPTS] ${filePath}: unknown section [${section}] is ignored`, 'warn');
+            }
+            for (const [, name] of text.matchAll(VARIABLE)) {
+                if (!PROMPT_VARIABLES.includes(name)) {
+                    this.log(`[PROMPTS] ${filePath}: unknown variable {{${name}}} in [${section}] renders empty`, 'warn');
+                }
+            }
+        });
+        return template;
+    }
+
+    /**
+     * The effective template for a subject: its override's sections on top of the language's, on top of the default
+     * @param {string} language - language the question is written in natively; 'en' (or a translated question) uses no language override
+     * @returns {{ versionId: string, sections: Object }}
+     */
+    forSubject(subject, language = 'en') {
+        const key = String(subject).toLowerCase();
+        const layers = [
+            this.overrides.get(key) || this.prefixOverrides.find(([prefix]) => key.startsWith(prefix))?.[1],
+            language !== 'en' ? this.languageOverrides.get(language) : null,
+            this.defaultTemplate
+        ].filter(Boolean);
+
+        // A lower layer is part of the version id only when it supplies a section the layers above leave out
+        const covered = new Set();
+        const versions = [];
+        layers.forEach(layer => {
+            const sections = Object.keys(layer.sections).filter(section => PROMPT_SECTIONS.includes(section));
+            if (versions.length === 0 || sections.some(section => !covered.has(section))) {
+                versions.push(`${layer.id}@${layer.version}`);
+            }
+            sections.forEach(section => covered.add(section));
+        });
+        return {
+            versionId: versions.join('+'),
+            sections: Object.assign({}, ...layers.slice().reverse().map(layer => layer.sections))
+        };
+    }
+
+    /**
+     * Summaries of every loaded template (for /api/prompts)
+     */
+    list() {
+        const templates = [this.defaultTemplate, ...new Set([
+            ...this.languageOverrides.values(),
+            ...this.overrides.values(),
+            ...this.prefixOverrides.map(([, template]) => template)
+        ])];
+        return templates.map(template => ({
+            id: template.id,
+            version: template.version,
+            subjects: template.subjects,
+            languages: template.languages,
+            sections: Object.keys(template.sections)
+        }));
+    }
+}
+
+export default PromptTemplates;
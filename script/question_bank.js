@@ -0,0 +1,410 @@
+// Question bank module
+// Persists every verified question, imported question packs and which players/rooms have already seen them
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import DuplicateIndex, { duplicateCandidate, withClip } from './similarity.js';
+import { detectScript } from './chinese_script.js';
+
+const MAX_SEEN_PER_AUDIENCE = 2000; // Oldest entries are forgotten beyond this
+
+// What makes two stored questions the same one (see record): ear-training questions often share their text,
+// so the clip is part of it, and so are the options and answer key an admin may have corrected
+function contentKey({ subject, language, question, audio, options, answers }) {
+    return JSON.stringify([subject, language, String(question).trim(), audio || null, options, answers]);
+}
+
+class QuestionBank {
+    constructor(filePath = path.join('data', 'question_bank.json'), logFn = console.log) {
+        this.filePath = filePath;
+        this.log = logFn;
+        this.questions = new Map(); // id -> question record
+        this.seen = new Map(); // audience key (e.g. "player:abc") -> [question ids], oldest first
+        this.packs = new Map(); // pack id -> { id, name, language, format, createdAt }
+        this.duplicates = new DuplicateIndex(); // Paraphrase index of every question, per subject (see script/similarity.js)
+        this.byContent = new Map(); // contentKey -> id of a question still in play, so storing it again finds it
+        this.saveTimer = null;
+
+        this.load();
+    }
+
+    load() {
+        try {
+            if (!fs.existsSync(this.filePath)) {
+                return;
+            }
+            const data = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+            (data.questions || []).forEach(record => {
+                // Banks from before Traditional and Simplified Chinese were separate languages stored both as "zh"
+                if (record.language === 'zh') {
+                    record.language = detectScript(record.question) || 'zh-Hant';
+                }
+                this.questions.set(record.id, record);
+                this.indexContent(record);
+                this.duplicates.add(record.subject, record.id, this.getDuplicateCandidate(record.id));
+            });
+            Object.entries(data.seen || {}).forEach(([audience, ids]) => this.seen.set(audience, ids));
+            (data.packs || []).forEach(pack => this.packs.set(pack.id, { ...pack, language: pack.language === 'zh' ? 'zh-Hant' : pack.language }));
+            this.log(`[Question Bank] Loaded ${this.questions.size} questions from ${this.filePath}`);
+        } catch (error) {
+            this.log(`[Question Bank] Failed to load ${this.filePath}: ${error.message}`, 'error');
+        }
+    }
+
+    // Writes are batched so a burst of generations costs a single write
+    scheduleSave() {
+        if (this.saveTimer) return;
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.save();
+        }, 500);
+    }
+
+    // Write any pending changes immediately (used on shutdown)
+    flush() {
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+            this.save();
+        }
+    }
+
+    save() {
+        try {
+            const dir = path.dirname(this.filePath);
+            if (!fs.existsSync(dir)) {
+                fs.mkdirSync(dir, { recursive: true });
+            }
+            const data = {
+                version: 1,
+                questions: Array.from(this.questions.values()),
+                seen: Object.fromEntries(this.seen),
+                packs: Array.from(this.packs.values())
+            };
+            // Write to a temp file first so a crash never leaves a half-written bank
+            const tempPath = this.filePath + '.tmp';
+            fs.writeFileSync(tempPath, JSON.stringify(data), 'utf-8');
+            fs.renameSync(tempPath, this.filePath);
+        } catch (error) {
+            this.log(`[Question Bank] Failed to save ${this.filePath}: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Store a verified question. The same text for the same subject/language is stored once.
+     * @returns {string} question id
+     */
+    record({ subject, topic, language, question, sourceQuestion, sourceAnswer, options, answer, type, answers, difficulty, explanation, distractorNotes, jyutping, audio, confidence, promptVersion, provider, model, packId, source }) {
+        // A retired question, or one an admin gave another answer key, is not the question being stored
+        const existingId = this.byContent.get(contentKey({ subject, language, question, audio, options, answers: answers || [answer] }));
+        if (existingId) {
+            return existingId;
+        }
+
+        const id = crypto.randomUUID();
+        this.questions.set(id, {
+            id,
+            subject,
+            topic: topic || null, // Catalog sub-topic id it was generated for (see script/subject_catalog.js)
+            language,
+            question,
+            sourceQuestion: sourceQuestion || question, // Text before translation, used for duplicate checks
+            sourceAnswer: sourceAnswer || null, // Correct option text(s) before translation, used for duplicate checks
+            options,
+            answer,
+            type: type || 'single', // See script/question_types.js
+            answers: answers || [answer], // Every correct index (several for multi-select)
+            difficulty: difficulty || null, // Tier from script/difficulty.js
+            explanation: explanation || null, // Why the answer is right (see script/explanations.js)
+            distractorNotes: explanation ? (distractorNotes || []) : [], // Why each option is wrong, '' for correct options
+            jyutping: jyutping || null, // Cantonese readings of the question and options (see script/jyutping.js)
+            audio: audio || null, // Ear-training clip the player hears (see script/ear_training.js)
+            confidence: typeof confidence === 'number' ? confidence : null, // Share of verification verdicts backing the answer key
+            promptVersion: promptVersion || null, // Prompt template version that generated it (see script/prompt_templates.js)
+            provider: provider || null,
+            model: model || null,
+            packId: packId || null, // Set for questions imported from a pack instead of generated
+            source: source || null, // Study material passage it was written from (see script/study_material.js)
+            tags: [], // Admin labels set on questions.html
+            createdAt: new Date().toISOString()
+        });
+        this.indexContent(this.questions.get(id));
+        this.duplicates.add(subject, id, this.getDuplicateCandidate(id));
+        this.scheduleSave();
+        return id;
+    }
+
+    get(id) {
+        return this.questions.get(id) || null;
+    }
+
+    indexContent(record) {
+        if (!record.retired) this.byContent.set(contentKey(record), record.id);
+    }
+
+    unindexContent(record) {
+        const key = contentKey(record);
+        if (this.byContent.get(key) === record.id) this.byContent.delete(key);
+    }
+
+    /**
+     * Apply an admin's correction ({ question, options, answer, answers, explanation, distractorNotes, ... }, already
+     * checked by the caller). The corrected wording becomes what duplicate checks compare.
+     * @returns {Object|null} the updated record
+     */
+    update(id, changes) {
+        const record = this.questions.get(id);
+        if (!record) return null;
+        this.unindexContent(record);
+        Object.assign(record, changes, { editedAt: new Date().toISOString() });
+        this.indexContent(record);
+        if (['question', 'options', 'answers'].some(field => field in changes)) {
+            record.sourceQuestion = record.question;
+            record.sourceAnswer = null;
+        }
+        this.duplicates.remove(record.subject, id);
+        this.duplicates.add(record.subject, id, this.getDuplicateCandidate(id));
+        this.scheduleSave();
+        return record;
+    }
+
+    /**
+     * Take a question out of play. It is kept but never served again: generated questions that repeat it are
+     * rejected as duplicates (see getNextQuestion in server.js) and storing its text again makes a new record.
+     * @returns {Object|null} the retired record
+     */
+    retire(id) {
+        const record = this.questions.get(id);
+        if (!record) return null;
+        this.unindexContent(record);
+        record.retired = true;
+        record.retiredAt = new Date().toISOString();
+        this.scheduleSave();
+        return record;
+    }
+
+    /**
+     * Delete a question for good (retire keeps it for duplicate checks). Players' seen lists may keep its id; it is skipped.
+     * @returns {boolean} whether it existed
+     */
+    remove(id) {
+        const record = this.questions.get(id);
+        if (!record) return false;
+        this.questions.delete(id);
+        this.unindexContent(record);
+        this.duplicates.remove(record.subject, id);
+        this.scheduleSave();
+        return true;
+    }
+
+    /**
+     * Add and remove tags on questions. Tags are trimmed and lower-cased.
+     * @returns {number} questions changed
+     */
+    tag(ids, { add = [], remove = [] } = {}) {
+        const clean = tags => tags.map(tag => String(tag).trim().toLowerCase()).filter(Boolean);
+        const adding = clean(add);
+        const removing = clean(remove);
+        let changed = 0;
+        ids.forEach(id => {
+            const record = this.questions.get(id);
+            if (!record) return;
+            const before = (record.tags || []).join(',');
+            record.tags = Array.from(new Set([...(record.tags || []), ...adding])).filter(tag => !removing.includes(tag)).sort();
+            if (record.tags.join(',') !== before) changed++;
+        });
+        if (changed > 0) this.scheduleSave();
+        return changed;
+    }
+
+    /**
+     * Every tag in use, alphabetically
+     */
+    listTags() {
+        const tags = new Set();
+        this.questions.forEach(record => (record.tags || []).forEach(tag => tags.add(tag)));
+        return Array.from(tags).sort();
+    }
+
+    /**
+     * Keep the outcome of re-verifying a stored question ({ valid, reason, confidence, provider, model, verifiedAt });
+     * a passing verdict also becomes its confidence
+     */
+    setVerification(id, verification) {
+        const record = this.questions.get(id);
+        if (!record) return null;
+        record.verification = verification;
+        if (verification.valid) record.confidence = verification.confidence;
+        this.scheduleSave();
+        return record;
+    }
+
+    /**
+     * Remember that every given audience has now seen this question
+     */
+    markSeen(audiences, questionId) {
+        if (!questionId) return;
+        audiences.forEach(audience => {
+            const ids = this.seen.get(audience) || [];
+            if (!ids.includes(questionId)) {
+                ids.push(questionId);
+                if (ids.length > MAX_SEEN_PER_AUDIENCE) {
+                    ids.splice(0, ids.length - MAX_SEEN_PER_AUDIENCE);
+                }
+                this.seen.set(audience, ids);
+            }
+        });
+        this.scheduleSave();
+    }
+
+    /**
+     * Ids of the questions any of the audiences has already seen for a subject
+     * @param {string[]} topics - only questions of these sub-topic ids (omit for the whole subject)
+     * @returns {Set<string>}
+     */
+    getSeenIds(audiences, subject, topics = null) {
+        const ids = new Set();
+        audiences.forEach(audience => {
+            (this.seen.get(audience) || []).forEach(id => {
+                const record = this.questions.get(id);
+                if (record && record.subject === subject && (!topics || topics.includes(record.topic))) {
+                    ids.add(id);
+                }
+            });
+        });
+        return ids;
+    }
+
+    /**
+     * The pre-translation { question, answer } of a stored question, as compared by the duplicate index
+     */
+    getDuplicateCandidate(id) {
+        const record = this.questions.get(id);
+        if (!record) return null;
+        return {
+            question: withClip(record.sourceQuestion || record.question, record.audio),
+            answer: record.sourceAnswer || duplicateCandidate(record).answer
+        };
+    }
+
+    /**
+     * The closest stored paraphrase of a candidate { question, answer } in a subject
+     * @param {Function} accept - (id) => boolean, e.g. only questions a player has seen
+     * @returns {{ id, question, similarity, sameAnswer } | null}
+     */
+    findDuplicate(subject, candidate, accept) {
+        return this.duplicates.findDuplicate(subject, candidate, accept);
+    }
+
+    /**
+     * All stored questions matching the given subject/language/pack (omitted fields match anything)
+     * @param {string[]} topics - sub-topic ids, any of which may match
+     * @param {boolean} includeRetired - also return questions taken out of play (see retire)
+     */
+    find({ subject, language, packId, topics, includeRetired = false } = {}) {
+        return Array.from(this.questions.values()).filter(record =>
+            (includeRetired || !record.retired) &&
+            (subject === undefined || record.subject === subject) &&
+            (topics === undefined || topics.includes(record.topic)) &&
+            (language === undefined || record.language === language) &&
+            (packId === undefined || record.packId === packId)
+        );
+    }
+
+    /**
+     * Store an imported question pack. Its questions are playable under the subject "pack:<id>".
+     * @returns {Object} pack summary
+     */
+    addPack({ name, language = 'en', format, questions }) {
+        const id = crypto.randomUUID().slice(0, 8);
+        const pack = { id, name, language, format, createdAt: new Date().toISOString() };
+        this.packs.set(id, pack);
+        questions.forEach(q => this.record({
+            subject: `pack:${id}`,
+            language,
+            question: q.question,
+            options: q.options,
+            answer: q.answer,
+            type: q.type,
+            answers: q.answers,
+            explanation: q.explanation,
+            distractorNotes: q.distractorNotes,
+            jyutping: q.jyutping,
+            audio: q.audio,
+            difficulty: q.difficulty,
+            provider: 'pack',
+            model: name,
+            packId: id
+        }));
+        this.scheduleSave();
+        return this.getPack(id);
+    }
+
+    getPack(id) {
+        const pack = this.packs.get(id);
+        if (!pack) return null;
+        return { ...pack, subject: `pack:${id}`, count: this.find({ packId: id }).length };
+    }
+
+    listPacks() {
+        return Array.from(this.packs.keys()).map(id => this.getPack(id));
+    }
+
+    /**
+     * Questions for the admin browser, newest first. Omitted fields match anything.
+     * @param {string} text - words that must all appear in the question or an option (any case)
+     * @param {string} from - ISO date; only questions stored on or after it
+     * @param {string} to - ISO date; only questions stored on or before that day
+     * @param {string} status - 'active', 'retired', 'failed' (failed its last re-verification) or 'all'
+     */
+    search({ subject, language, text, from, to, tag, status = 'all' } = {}) {
+        const words = String(text || '').toLowerCase().split(/\s+/).filter(Boolean);
+        const until = to && to.length === 10 ? `${to}T23:59:59.999Z` : to;
+        return this.find({ subject, language, includeRetired: true })
+            .filter(record =>
+                (status === 'all' || (status === 'retired' ? record.retired : status === 'failed' ? record.verification?.valid === false : !record.retired)) &&
+                (!from || record.createdAt >= from) &&
+                (!until || record.createdAt <= until) &&
+                (!tag || (record.tags || []).includes(tag)) &&
+                words.every(word => [record.question, ...record.options].some(field => field.toLowerCase().includes(word)))
+            )
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    listSubjects() {
+        return Array.from(new Set(Array.from(this.questions.values(), record => record.subject))).sort();
+    }
+
+    removePack(id) {
+        if (!this.packs.delete(id)) return false;
+        this.find({ packId: id, includeRetired: true }).forEach(record => {
+            this.questions.delete(record.id);
+            this.unindexContent(record);
+            this.duplicates.remove(record.subject, record.id);
+        });
+        this.scheduleSave();
+        return true;
+    }
+
+    /**
+     * Delete every stored question of a subject (e.g. when its study material is removed)
+     * @returns {number} questions removed
+     */
+    removeSubject(subject) {
+        const records = this.find({ subject, includeRetired: true });
+        records.forEach(record => {
+            this.questions.delete(record.id);
+            this.unindexContent(record);
+            this.duplicates.remove(subject, record.id);
+        });
+        if (records.length > 0) this.scheduleSave();
+        return records.length;
+    }
+
+    get size() {
+        return this.questions.size;
+    }
+}
+
+export default QuestionBank;
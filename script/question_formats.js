@@ -0,0 +1,534 @@
+// Question format module
+// Converts question sets to and from JSON, CSV, Moodle GIFT, Moodle XML, Open Trivia DB and the game's own XML
+//
+// Every parser returns an array of { question, options: [string], answer: number, answers?, type?, difficulty?, explanation?, distractorNotes?, jyutping?, audio? }
+// Every serializer takes that same array and returns a string
+
+import { isDifficulty } from './difficulty.js';
+import { isQuestionType, normalizeQuestion, getCorrectAnswers, TRUE_FALSE_OPTIONS } from './question_types.js';
+import { parseExplanation, buildExplanationXML } from './explanations.js';
+import { normalizeJyutping, parseJyutping, buildJyutpingXML } from './jyutping.js';
+import { normalizeAudio, parseAudio, buildAudioXML } from './ear_training.js';
+
+export const FORMATS = {
+    json: { extension: 'json', contentType: 'application/json' },
+    csv: { extension: 'csv', contentType: 'text/csv' },
+    gift: { extension: 'gift.txt', contentType: 'text/plain' },
+    moodlexml: { extension: 'xml', contentType: 'application/xml' },
+    opentdb: { extension: 'opentdb.json', contentType: 'application/json' },
+    gamexml: { extension: 'game.xml', contentType: 'application/xml' }
+};
+
+// Formats that can carry an ear-training clip; the others leave audio questions out, which cannot be played without it
+const AUDIO_FORMATS = ['json', 'gamexml'];
+
+const LETTERS = ['A', 'B', 'C', 'D', 'E', 'F'];
+
+// ============================================================================
+// SHARED HELPERS
+// ============================================================================
+export function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+export function decodeEntities(text) {
+    return String(text)
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#0?39;|&apos;|&rsquo;|&lsquo;/g, "'")
+        .replace(/&ldquo;|&rdquo;/g, '"')
+        .replace(/&#(\d+);/g, (m, code) => String.fromCodePoint(parseInt(code)))
+        .replace(/&#x([0-9a-f]+);/gi, (m, code) => String.fromCodePoint(parseInt(code, 16)))
+        .replace(/&amp;/g, '&');
+}
+
+// Accepts 0-based index, letter ("B") or the option text itself
+function resolveAnswer(answer, options) {
+    const text = String(answer ?? '').trim();
+    if (/^\d+$/.test(text)) {
+        return parseInt(text);
+    }
+    const letterIndex = LETTERS.indexOf(text.toUpperCase());
+    if (text.length === 1 && letterIndex >= 0) {
+        return letterIndex;
+    }
+    return options.findIndex(option => option.toLowerCase() === text.toLowerCase());
+}
+
+// Several answers separated by ; or | (e.g. "0;2" or "A|C") mark a multi-select question
+function resolveAnswers(answer, options) {
+    return String(answer ?? '').split(/[;|]/).map(part => resolveAnswer(part, options)).filter(index => index >= 0);
+}
+
+const isTrueFalse = (options) => options.length === 2 && options[0] === TRUE_FALSE_OPTIONS[0] && options[1] === TRUE_FALSE_OPTIONS[1];
+
+// Formats without an explicit type: several answers mean multi-select, True/False options mean true/false
+function inferType(q, options, answers) {
+    if (isQuestionType(q.type)) return q.type;
+    if (answers.length > 1) return 'multi';
+    return isTrueFalse(options) ? 'truefalse' : 'single';
+}
+
+// Drop anything the game cannot play (see normalizeQuestion in question_types.js)
+function validQuestions(questions) {
+    return questions
+        .map(q => {
+            // Empty options are dropped, so answers, notes and readings are moved to the options that remain
+            const kept = (q.options || []).map((option, index) => String(option).trim() ? index : -1).filter(index => index >= 0);
+            const options = kept.map(index => String(q.options[index]).trim());
+            const answers = (Array.isArray(q.answers) ? q.answers : [q.answer]).map(index => kept.indexOf(index));
+            const notes = Array.isArray(q.distractorNotes) ? kept.map(index => q.distractorNotes[index]) : q.distractorNotes;
+            const jyutping = q.jyutping && Array.isArray(q.jyutping.options) ? { ...q.jyutping, options: kept.map(index => q.jyutping.options[index]) } : q.jyutping;
+            q = { ...q, distractorNotes: notes, jyutping };
+            return normalizeQuestion({
+                question: String(q.question || '').trim(),
+                options,
+                answer: answers[0],
+                answers,
+                type: inferType(q, options, answers),
+                ...(isDifficulty(q.difficulty) ? { difficulty: q.difficulty } : {}),
+                ...explanationFields(q, options.length),
+                ...jyutpingFields(q, options.length),
+                ...audioFields(q)
+            });
+        })
+        .filter(q => q && q.question);
+}
+
+// Keep an explanation only with notes lined up with the options
+function explanationFields(q, optionCount) {
+    if (!q.explanation || !String(q.explanation).trim()) return {};
+    const notes = Array.isArray(q.distractorNotes) ? q.distractorNotes : [];
+    return {
+        explanation: String(q.explanation).trim(),
+        distractorNotes: Array.from({ length: optionCount }, (_, index) => String(notes[index] || '').trim())
+    };
+}
+
+// Keep Cantonese readings only when at least one is valid Jyutping (see script/jyutping.js)
+function jyutpingFields(q, optionCount) {
+    const jyutping = normalizeJyutping(q.jyutping, optionCount);
+    return jyutping ? { jyutping } : {};
+}
+
+// Keep an ear-training clip only when it can be played (see script/ear_training.js)
+function audioFields(q) {
+    const audio = normalizeAudio(q.audio);
+    return audio ? { audio } : {};
+}
+
+function stripHtml(text) {
+    return decodeEntities(String(text).replace(/<br\s*\/?>/gi, '\n').replace(/<[^>]+>/g, '')).trim();
+}
+
+// ============================================================================
+// JSON - { questions: [...] } or a bare array
+// ============================================================================
+function parseJSON(content) {
+    const data = typeof content === 'string' ? JSON.parse(content) : content;
+    const list = Array.isArray(data) ? data : (data.questions || []);
+    return list.map(q => {
+        const options = (q.options || []).map(String);
+        const rawAnswers = Array.isArray(q.answers) ? q.answers : (Array.isArray(q.answer) ? q.answer : [q.answer]);
+        const answers = rawAnswers.map(answer => resolveAnswer(answer, options)).filter(index => index >= 0);
+        return { question: q.question || q.text, options, answer: answers[0], answers, type: q.type, difficulty: q.difficulty, explanation: q.explanation, distractorNotes: q.distractorNotes, jyutping: q.jyutping, audio: q.audio };
+    });
+}
+
+function serializeJSON(questions, meta = {}) {
+    return JSON.stringify({ ...meta, questions }, null, 2);
+}
+
+// ============================================================================
+// CSV - question,option1..optionN,answer (answer is an index, a letter or the option text; "0;2" for multi-select)
+// ============================================================================
+function parseCSVRows(content) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+        if (inQuotes) {
+            if (char === '"' && content[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && content[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(r => r.some(cell => cell.trim()));
+}
+
+function parseCSV(content) {
+    const rows = parseCSVRows(content);
+    if (rows.length === 0) return [];
+
+    // Header is optional - detect it by the first cell
+    const header = rows[0].map(cell => cell.trim().toLowerCase());
+    const hasHeader = header[0] === 'question';
+    const answerColumn = hasHeader ? header.indexOf('answer') : -1;
+
+    return rows.slice(hasHeader ? 1 : 0).map(cells => {
+        const answerIndex = answerColumn >= 0 ? answerColumn : cells.length - 1;
+        const options = cells.slice(1).filter((cell, i) => i + 1 !== answerIndex && cell.trim());
+        const answers = resolveAnswers(cells[answerIndex], options);
+        return { question: cells[0], options, answer: answers[0], answers };
+    });
+}
+
+function csvField(value) {
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function serializeCSV(questions) {
+    const maxOptions = Math.max(0, ...questions.map(q => q.options.length));
+    const header = ['question', ...Array.from({ length: maxOptions }, (_, i) => `option${i + 1}`), 'answer'];
+    const lines = questions.map(q => [
+        q.question,
+        ...Array.from({ length: maxOptions }, (_, i) => q.options[i] || ''),
+        getCorrectAnswers(q).join(';')
+    ].map(csvField).join(','));
+    return [header.join(','), ...lines].join('\n') + '\n';
+}
+
+// ============================================================================
+// MOODLE GIFT - ::Title:: Question {=right ~wrong ~wrong}, {T}/{F}, multi-select as {~%50%right ~%50%right ~%-100%wrong}
+// ============================================================================
+const giftUnescape = (text) => text.replace(/\\([~=#{}:])/g, '$1').replace(/\\n/g, '\n').trim();
+const giftEscape = (text) => String(text).replace(/([~=#{}:\\])/g, '\\$1').replace(/\n/g, '\\n');
+
+function parseGIFT(content) {
+    // Remove comment lines, then split into blank-line separated items
+    const cleaned = content.split(/\r?\n/).filter(line => !line.trim().startsWith('//')).join('\n');
+    const items = cleaned.split(/\n\s*\n/).map(item => item.trim()).filter(Boolean);
+    const questions = [];
+
+    items.forEach(item => {
+        const match = item.match(/^(?:::((?:\\.|[^:])*?)::)?([\s\S]*?)(?<!\\)\{([\s\S]*?)(?<!\\)\}([\s\S]*)$/);
+        if (!match) return;
+
+        const questionText = giftUnescape((match[2] + ' ' + match[4]).replace(/^\s*\[\w+\]/, ''));
+        // General feedback (####...) is the explanation
+        const [body, generalFeedback] = match[3].trim().split(/(?<!\\)####/).map(part => part.trim());
+        const explanation = generalFeedback ? giftUnescape(generalFeedback) : undefined;
+
+        // True/false: {T} {TRUE} {F} {FALSE}
+        if (/^(T|TRUE|F|FALSE)(\s*#.*)?$/i.test(body)) {
+            const isTrue = /^T/i.test(body);
+            questions.push({ question: questionText, options: [...TRUE_FALSE_OPTIONS], answer: isTrue ? 0 : 1, type: 'truefalse', explanation });
+            return;
+        }
+
+        // Multiple choice: split on unescaped = or ~
+        // "=" marks the single right answer; positive weights (~%50%) mark the answers of a multi-select question
+        const options = [];
+        const notes = [];
+        const rightAnswers = [];
+        const weightedAnswers = [];
+        const parts = body.split(/(?<!\\)(?=[=~])/).map(part => part.trim()).filter(Boolean);
+        parts.forEach(part => {
+            const weightMatch = part.slice(1).match(/^%(-?\d+(?:\.\d+)?)%/);
+            // Drop weights (%50%); per-answer feedback (#...) is the note on that option
+            const [answerText, feedback = ''] = part.slice(1).replace(/^%-?\d+(\.\d+)?%/, '').split(/(?<!\\)#/);
+            const text = giftUnescape(answerText);
+            if (!text) return;
+            if (part.startsWith('=')) rightAnswers.push(options.length);
+            if (weightMatch && parseFloat(weightMatch[1]) > 0) weightedAnswers.push(options.length);
+            options.push(text);
+            notes.push(giftUnescape(feedback));
+        });
+        const answers = rightAnswers.length > 0 ? rightAnswers.slice(0, 1) : weightedAnswers;
+        questions.push({ question: questionText, options, answer: answers[0], answers, explanation, distractorNotes: notes });
+    });
+
+    return questions;
+}
+
+function serializeGIFT(questions) {
+    return questions.map((q, i) => {
+        const title = `::Q${i + 1}:: ${giftEscape(q.question)}`;
+        const generalFeedback = q.explanation ? ` ####${giftEscape(q.explanation)}` : '';
+        if (q.type === 'truefalse') {
+            return `${title} {${q.answer === 0 ? 'TRUE' : 'FALSE'}${generalFeedback}}`;
+        }
+
+        const correct = getCorrectAnswers(q);
+        const weight = Number((100 / correct.length).toFixed(5));
+        const notes = q.distractorNotes || [];
+        const answers = q.options.map((option, index) => {
+            const feedback = notes[index] ? ` #${giftEscape(notes[index])}` : '';
+            if (q.type === 'multi') {
+                return `    ~%${correct.includes(index) ? weight : -100}%${giftEscape(option)}${feedback}`;
+            }
+            return `    ${index === q.answer ? '=' : '~'}${giftEscape(option)}${feedback}`;
+        }).join('\n');
+        return `${title} {\n${answers}${generalFeedback ? `\n   ${generalFeedback}` : ''}\n}`;
+    }).join('\n\n') + '\n';
+}
+
+// ============================================================================
+// MOODLE XML - <quiz><question type="multichoice|truefalse">...</question></quiz>
+// Multi-select is a multichoice question with <single>false</single> and several positive fractions
+// ============================================================================
+const cdata = (text) => text.replace(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/, '$1');
+
+function parseMoodleXML(content) {
+    const questions = [];
+    const blocks = content.matchAll(/<question\s+type="(multichoice|truefalse)"[^>]*>([\s\S]*?)<\/question>/g);
+
+    for (const [, moodleType, block] of blocks) {
+        const textMatch = block.match(/<questiontext[^>]*>\s*<text>([\s\S]*?)<\/text>/);
+        if (!textMatch) continue;
+
+        const options = [];
+        const fractions = [];
+        const notes = [];
+        for (const answerMatch of block.matchAll(/<answer[^>]*fraction="(-?[\d.]+)"[^>]*>\s*<text>([\s\S]*?)<\/text>([\s\S]*?)<\/answer>/g)) {
+            fractions.push(parseFloat(answerMatch[1]));
+            options.push(stripHtml(cdata(answerMatch[2])));
+            const feedbackMatch = answerMatch[3].match(/<feedback[^>]*>\s*<text>([\s\S]*?)<\/text>/);
+            notes.push(feedbackMatch ? stripHtml(cdata(feedbackMatch[1])) : '');
+        }
+        const generalFeedbackMatch = block.match(/<generalfeedback[^>]*>\s*<text>([\s\S]*?)<\/text>/);
+
+        // Moodle stores true/false answers as lowercase "true"/"false"
+        const normalizedOptions = options.map(option => option === 'true' ? 'True' : option === 'false' ? 'False' : option);
+        const isMulti = moodleType === 'multichoice' && /<single>\s*false\s*<\/single>/.test(block);
+        const best = Math.max(...fractions);
+        const answers = isMulti
+            ? fractions.map((fraction, index) => fraction > 0 ? index : -1).filter(index => index >= 0)
+            : [fractions.indexOf(best)].filter(() => best > 0);
+        questions.push({
+            question: stripHtml(cdata(textMatch[1])),
+            options: normalizedOptions,
+            answer: answers[0],
+            answers,
+            type: moodleType === 'truefalse' ? 'truefalse' : (isMulti ? 'multi' : 'single'),
+            explanation: generalFeedbackMatch ? stripHtml(cdata(generalFeedbackMatch[1])) : undefined,
+            distractorNotes: notes
+        });
+    }
+
+    return questions;
+}
+
+function serializeMoodleXML(questions, meta = {}) {
+    const items = questions.map((q, i) => {
+        const notes = q.distractorNotes || [];
+        const name = `    <name><text>${escapeXml(meta.name || 'Question')} ${i + 1}</text></name>
+    <questiontext format="plain_text"><text>${escapeXml(q.question)}</text></questiontext>` + (q.explanation ? `
+    <generalfeedback format="plain_text"><text>${escapeXml(q.explanation)}</text></generalfeedback>` : '');
+        const answerXML = (fraction, text, index) => `    <answer fraction="${fraction}" format="plain_text">
+      <text>${escapeXml(text)}</text>` + (notes[index] ? `
+      <feedback format="plain_text"><text>${escapeXml(notes[index])}</text></feedback>` : '') + `
+    </answer>`;
+
+        if (q.type === 'truefalse') {
+            return `  <question type="truefalse">
+${name}
+${answerXML(q.answer === 0 ? 100 : 0, 'true', 0)}
+${answerXML(q.answer === 1 ? 100 : 0, 'false', 1)}
+  </question>`;
+        }
+
+        const correct = getCorrectAnswers(q);
+        const isMulti = q.type === 'multi';
+        const weight = Number((100 / correct.length).toFixed(5));
+        const answers = q.options.map((option, index) => {
+            const fraction = correct.includes(index) ? (isMulti ? weight : 100) : (isMulti ? -100 : 0);
+            return answerXML(fraction, option, index);
+        }).join('\n');
+        return `  <question type="multichoice">
+${name}
+    <single>${isMulti ? 'false' : 'true'}</single>
+    <shuffleanswers>true</shuffleanswers>
+    <answernumbering>abc</answernumbering>
+${answers}
+  </question>`;
+    }).join('\n');
+    return `<?xml version="1.0" encoding="UTF-8"?>\n<quiz>\n${items}\n</quiz>\n`;
+}
+
+// ============================================================================
+// OPEN TRIVIA DB - { response_code, results: [{ type, question, correct_answer, incorrect_answers }] }
+// ============================================================================
+function parseOpenTDB(content) {
+    const data = typeof content === 'string' ? JSON.parse(content) : content;
+    return (data.results || []).map(item => {
+        const correct = decodeEntities(item.correct_answer);
+        const incorrect = (item.incorrect_answers || []).map(decodeEntities);
+
+        if (item.type === 'boolean') {
+            return { question: decodeEntities(item.question), options: [...TRUE_FALSE_OPTIONS], answer: correct === 'True' ? 0 : 1, type: 'truefalse', difficulty: item.difficulty };
+        }
+
+        // OpenTDB keeps the correct answer separate - put it at a random position
+        const options = [...incorrect];
+        const answer = Math.floor(Math.random() * (options.length + 1));
+        options.splice(answer, 0, correct);
+        return { question: decodeEntities(item.question), options, answer, difficulty: item.difficulty };
+    });
+}
+
+// OpenTDB has no multi-select questions, so those are left out
+function serializeOpenTDB(questions, meta = {}) {
+    return JSON.stringify({
+        response_code: 0,
+        results: questions.filter(q => q.type !== 'multi').map(q => {
+            return {
+                type: q.type === 'truefalse' ? 'boolean' : 'multiple',
+                difficulty: q.difficulty === 'expert' ? 'hard' : (q.difficulty || 'medium'), // OpenTDB has no expert tier
+                category: meta.name || q.subject || 'General Knowledge',
+                question: q.question,
+                correct_answer: q.type === 'truefalse' ? TRUE_FALSE_OPTIONS[q.answer] : q.options[q.answer],
+                incorrect_answers: (q.type === 'truefalse' ? TRUE_FALSE_OPTIONS : q.options).filter((_, index) => index !== q.answer)
+            };
+        })
+    }, null, 2);
+}
+
+// ============================================================================
+// GAME XML - the <question><type><text><options><answer> format parseQuizJSON understands
+// Text is escaped, so a question with & < > survives a re-import (parseQuizJSON in main.js decodes it)
+// ============================================================================
+export function buildQuestionXML(q) {
+    const escapedExplanation = q.explanation
+        ? { explanation: escapeXml(q.explanation), distractorNotes: (q.distractorNotes || []).map(note => note && escapeXml(note)) }
+        : {};
+    return `<question>
+    <type>${q.type || 'single'}</type>
+    <text>${escapeXml(q.question)}</text>
+    <options>
+${q.options.map(option => `        <option>${escapeXml(option)}</option>`).join('\n')}
+    </options>
+    <answer>${getCorrectAnswers(q).join(',')}</answer>${buildExplanationXML({ ...q, ...escapedExplanation })}${buildJyutpingXML(q)}${buildAudioXML(q)}${buildSourceXML(q)}
+</question>`;
+}
+
+// Study material passage a question was written from (see script/study_material.js).
+// Passages are uploaded text, so they are escaped like the question and options.
+function buildSourceXML(q) {
+    if (!q.source) return '';
+    return `
+    <source material="${escapeXml(q.source.material).replace(/"/g, '&quot;')}" passage="${q.source.passage}">${escapeXml(q.source.text)}</source>`;
+}
+
+function parseGameXML(content) {
+    const questions = [];
+    for (const [block] of content.matchAll(/<question>[\s\S]*?<\/question>/g)) {
+        const textMatch = block.match(/<text>([\s\S]*?)<\/text>/);
+        const options = Array.from(block.matchAll(/<option>([\s\S]*?)<\/option>/g)).map(m => decodeEntities(m[1].trim()));
+        const typeMatch = block.match(/<type>([\s\S]*?)<\/type>/);
+        const answerMatch = block.match(/<answer>([\s\S]*?)<\/answer>/);
+        const answers = answerMatch
+            ? decodeEntities(answerMatch[1]).split(',').map(part => resolveAnswer(part, options)).filter(index => index >= 0)
+            : [];
+        const { explanation, distractorNotes } = parseExplanation(block, options.length);
+        questions.push({
+            question: textMatch ? decodeEntities(textMatch[1].trim()) : '',
+            options,
+            answer: answers[0],
+            answers,
+            type: typeMatch ? typeMatch[1].trim() : undefined,
+            explanation: decodeEntities(explanation),
+            distractorNotes: distractorNotes.map(decodeEntities),
+            ...parseJyutping(block, options.length),
+            ...parseAudio(block)
+        });
+    }
+    return questions;
+}
+
+function serializeGameXML(questions) {
+    return questions.map(buildQuestionXML).join('\n\n') + '\n';
+}
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+const PARSERS = {
+    json: parseJSON,
+    csv: parseCSV,
+    gift: parseGIFT,
+    moodlexml: parseMoodleXML,
+    opentdb: parseOpenTDB,
+    gamexml: parseGameXML
+};
+
+const SERIALIZERS = {
+    json: serializeJSON,
+    csv: serializeCSV,
+    gift: serializeGIFT,
+    moodlexml: serializeMoodleXML,
+    opentdb: serializeOpenTDB,
+    gamexml: serializeGameXML
+};
+
+/**
+ * Guess the format of uploaded content when the user did not pick one
+ */
+export function detectFormat(content) {
+    const text = content.trim();
+    if (text.startsWith('{') || text.startsWith('[')) {
+        return /"results"\s*:/.test(text) && /"correct_answer"/.test(text) ? 'opentdb' : 'json';
+    }
+    if (/<quiz[\s>]/.test(text)) return 'moodlexml';
+    if (/<question>/.test(text)) return 'gamexml';
+    if (/(?<!\\)\{[\s\S]*?[=~TF][\s\S]*?(?<!\\)\}/.test(text) && !/^question,/i.test(text)) return 'gift';
+    return 'csv';
+}
+
+/**
+ * Parse a question set. Unplayable entries are dropped.
+ * @returns {{ format: string, questions: Array, skipped: number }}
+ */
+export function parseQuestions(content, format = null) {
+    const resolvedFormat = format || detectFormat(content);
+    const parser = PARSERS[resolvedFormat];
+    if (!parser) {
+        throw new Error(`Unsupported import format "${resolvedFormat}"`);
+    }
+    const parsed = parser(content);
+    const questions = validQuestions(parsed);
+    return { format: resolvedFormat, questions, skipped: parsed.length - questions.length };
+}
+
+/**
+ * Serialize questions ({ question, options, answer, answers?, type? }) to a supported format.
+ * Audio questions are only written to formats that keep their clip.
+ */
+export function serializeQuestions(questions, format, meta = {}) {
+    const serializer = SERIALIZERS[format];
+    if (!serializer) {
+        throw new Error(`Unsupported export format "${format}"`);
+    }
+    const playable = AUDIO_FORMATS.includes(format) ? questions : questions.filter(q => q.type !== 'audio');
+    return serializer(playable.map(q => normalizeQuestion(q) || q), meta);
+}
@@ -0,0 +1,207 @@
+// Question pool module
+// Keeps a few verified questions ready per subject/language/difficulty so players don't wait on live generation
+
+class QuestionPool {
+    /**
+     * @param {Object} options
+     * @param {Function} options.generate - async (subject, language, difficulty, pooledResults) => generation result (same shape as generateAndValidateQuestion);
+     *                                     pooledResults are the questions already waiting, to avoid near-duplicates
+     * @param {Function} options.log - logger (message, type)
+     * @param {Function} options.isAvailable - () => false pauses background generation (e.g. while the AI is down)
+     * @param {Function} options.isSubjectActive - (subject) => false for subjects that are disabled or deleted; they are never pooled
+     * @param {number} options.depth - questions to keep ready per subject/language/difficulty (0 disables the pool)
+     * @param {number} options.concurrency - max background generations running at once
+     * @param {number} options.maxAgeMs - questions older than this are discarded as stale
+     * @param {number} options.retryDelayMs - wait after a failed generation before refilling that pool again
+     */
+    constructor({ generate, log = console.log, isAvailable = () => true, isSubjectActive = () => true, depth = 3, concurrency = 2, maxAgeMs = 60 * 60 * 1000, retryDelayMs = 30 * 1000 }) {
+        this.generate = generate;
+        this.log = log;
+        this.isAvailable = isAvailable;
+        this.isSubjectActive = isSubjectActive;
+        this.retryDelayMs = retryDelayMs;
+        this.depth = depth;
+        this.concurrency = Math.max(1, concurrency);
+        this.maxAgeMs = maxAgeMs;
+        this.entries = new Map(); // key -> { subject, language, difficulty, ready: [{ result, createdAt }], pending: number, retryAt: number }
+        this.running = 0;
+        this.sweepTimer = null;
+    }
+
+    get enabled() {
+        return this.depth > 0;
+    }
+
+    key(subject, language, difficulty) {
+        return `${subject}|${language}|${difficulty}`;
+    }
+
+    ensureEntry(subject, language, difficulty) {
+        if (!this.isSubjectActive(subject)) return null;
+        const key = this.key(subject, language, difficulty);
+        if (!this.entries.has(key)) {
+            this.entries.set(key, { subject, language, difficulty, ready: [], pending: 0, retryAt: 0 });
+        }
+        return this.entries.get(key);
+    }
+
+    /**
+     * Register subjects/languages/difficulties and start filling them in the background
+     */
+    start(subjects, languages, difficulties, sweepIntervalMs = 60 * 1000) {
+        if (!this.enabled) {
+            this.log('[POOL] Question pool disabled (depth 0)');
+            return;
+        }
+        subjects.forEach(subject => languages.forEach(language => difficulties.forEach(difficulty =>
+            this.ensureEntry(subject, language, difficulty) // Inactive subjects are skipped
+        )));
+        this.log(`[POOL] Warming ${this.entries.size} pools (depth ${this.depth}, concurrency ${this.concurrency})`);
+        this.refill();
+
+        this.sweepTimer = setInterval(() => {
+            this.dropStale();
+            this.refill();
+            this.logLevels();
+        }, sweepIntervalMs);
+        this.sweepTimer.unref();
+    }
+
+    stop() {
+        if (this.sweepTimer) {
+            clearInterval(this.sweepTimer);
+            this.sweepTimer = null;
+        }
+    }
+
+    /**
+     * Take the oldest ready question that passes `accept`, or null if none is available.
+     * Unknown subject/language/difficulty combinations are registered so they get filled from now on.
+     */
+    take(subject, language, difficulty, accept = () => true) {
+        if (!this.enabled) return null;
+
+        const entry = this.ensureEntry(subject, language, difficulty);
+        if (!entry) return null;
+        this.dropStale(entry);
+
+        const index = entry.ready.findIndex(item => accept(item.result));
+        let taken = null;
+        if (index >= 0) {
+            taken = entry.ready.splice(index, 1)[0].result;
+            this.log(`[POOL] Served ${this.describe(entry)} from pool, ${entry.ready.length}/${this.depth} left`);
+        } else {
+            this.log(`[POOL] No pooled ${this.describe(entry)} question available, falling back to live generation`, 'warn');
+        }
+
+        this.refill();
+        return taken;
+    }
+
+    dropStale(onlyEntry = null) {
+        const now = Date.now();
+        const targets = onlyEntry ? [onlyEntry] : Array.from(this.entries.values());
+        targets.forEach(entry => {
+            const before = entry.ready.length;
+            entry.ready = entry.ready.filter(item => now - item.createdAt < this.maxAgeMs);
+            if (entry.ready.length < before) {
+                this.log(`[POOL] Dropped ${before - entry.ready.length} stale ${this.describe(entry)} question(s)`);
+            }
+        });
+    }
+
+    /**
+     * Throw away the waiting questions that match (e.g. one an admin corrected or retired); refill replaces them
+     * @returns {number} questions dropped
+     */
+    discard(matches) {
+        let dropped = 0;
+        this.entries.forEach(entry => {
+            const before = entry.ready.length;
+            entry.ready = entry.ready.filter(item => !matches(item.result));
+            dropped += before - entry.ready.length;
+        });
+        if (dropped > 0) {
+            this.log(`[POOL] Discarded ${dropped} pooled question(s)`);
+            this.refill();
+        }
+        return dropped;
+    }
+
+    /**
+     * Forget a subject's pools once it is disabled or deleted; generations already running finish into the forgotten entries
+     * @returns {number} questions dropped
+     */
+    dropSubject(subject) {
+        let dropped = 0;
+        this.entries.forEach((entry, key) => {
+            if (entry.subject !== subject) return;
+            dropped += entry.ready.length;
+            this.entries.delete(key);
+        });
+        if (dropped > 0) {
+            this.log(`[POOL] Dropped ${dropped} pooled ${subject} question(s)`);
+        }
+        return dropped;
+    }
+
+    /**
+     * Start background generations for the emptiest pools, up to the concurrency limit.
+     * Pools whose last generation failed wait retryDelayMs; the periodic sweep picks them up again.
+     */
+    refill() {
+        if (!this.enabled || !this.isAvailable()) return;
+
+        const now = Date.now();
+        while (this.running < this.concurrency) {
+            const entry = Array.from(this.entries.values())
+                .filter(e => e.ready.length + e.pending < this.depth && e.retryAt <= now && this.isSubjectActive(e.subject))
+                .sort((a, b) => (a.ready.length + a.pending) - (b.ready.length + b.pending))[0];
+            if (!entry) return;
+            this.fillOne(entry);
+        }
+    }
+
+    async fillOne(entry) {
+        this.running++;
+        entry.pending++;
+        try {
+            const result = await this.generate(entry.subject, entry.language, entry.difficulty, entry.ready.map(item => item.result));
+            if (result && result.parsedData && result.correctAnswerIndex !== -1) {
+                entry.ready.push({ result, createdAt: Date.now() });
+                this.log(`[POOL] ${this.describe(entry)}: ${entry.ready.length}/${this.depth} ready`);
+            }
+        } catch (error) {
+            entry.retryAt = Date.now() + this.retryDelayMs;
+            this.log(`[POOL] Background generation failed for ${this.describe(entry)}: ${error.message}`, 'error');
+        } finally {
+            entry.pending--;
+            this.running--;
+            this.refill();
+        }
+    }
+
+    describe(entry) {
+        return `${entry.subject} (${entry.language}, ${entry.difficulty})`;
+    }
+
+    getLevels() {
+        return Array.from(this.entries.values()).map(entry => ({
+            subject: entry.subject,
+            language: entry.language,
+            difficulty: entry.difficulty,
+            ready: entry.ready.length,
+            pending: entry.pending,
+            depth: this.depth
+        }));
+    }
+
+    logLevels() {
+        const summary = this.getLevels()
+            .map(level => `${this.describe(level)} ${level.ready}/${level.depth}`)
+            .join(', ');
+        this.log(`[POOL] Levels: ${summary || 'empty'}`);
+    }
+}
+
+export default QuestionPool;
@@ -0,0 +1,148 @@
+// Question reports module
+// Player reports of wrong, ambiguous, offensive or off-subject questions, which form the review queue in server.html
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+export const REPORT_REASONS = ['wrong_answer', 'ambiguous', 'offensive', 'off_subject'];
+// What an admin can do with a reported question: fix its answer key, edit its text, take it out of play, or keep it as is
+export const REPORT_ACTIONS = ['correct', 'edit', 'retire', 'dismiss'];
+
+const MAX_COMMENT_LENGTH = 500;
+
+class QuestionReports {
+    constructor(filePath = path.join('data', 'question_reports.json'), logFn = console.log) {
+        this.filePath = filePath;
+        this.log = logFn;
+        this.reports = new Map(); // id -> { id, questionId, reason, comment, playerId, playerName, roomCode, createdAt, status, resolution }
+        this.saveTimer = null;
+
+        this.load();
+    }
+
+    load() {
+        try {
+            if (!fs.existsSync(this.filePath)) {
+                return;
+            }
+            const data = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+            (data.reports || []).forEach(report => this.reports.set(report.id, report));
+        } catch (error) {
+            this.log(`[REPORTS] Failed to load ${this.filePath}: ${error.message}`, 'error');
+        }
+    }
+
+    // Writes are batched like the question bank's
+    scheduleSave() {
+        if (this.saveTimer) return;
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.save();
+        }, 500);
+    }
+
+    flush() {
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+            this.save();
+        }
+    }
+
+    save() {
+        try {
+            const dir = path.dirname(this.filePath);
+            if (!fs.existsSync(dir)) {
+                fs.mkdirSync(dir, { recursive: true });
+            }
+            const tempPath = this.filePath + '.tmp';
+            fs.writeFileSync(tempPath, JSON.stringify({ version: 1, reports: Array.from(this.reports.values()) }), 'utf-8');
+            fs.renameSync(tempPath, this.filePath);
+        } catch (error) {
+            this.log(`[REPORTS] Failed to save ${this.filePath}: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * File a player's report. A player reporting the same question again while it is open changes nothing.
+     * @returns {{ report: Object, created: boolean }}
+     */
+    add({ questionId, reason, comment, playerId, playerName, roomCode }) {
+        if (!REPORT_REASONS.includes(reason)) {
+            throw new Error(`Reason must be one of ${REPORT_REASONS.join(', ')}`);
+        }
+        const existing = playerId && Array.from(this.reports.values()).find(report =>
+            report.status === 'open' && report.questionId === questionId && report.playerId === playerId
+        );
+        if (existing) {
+            return { report: existing, created: false };
+        }
+
+        const report = {
+            id: crypto.randomUUID(),
+            questionId,
+            reason,
+            comment: String(comment || '').trim().slice(0, MAX_COMMENT_LENGTH),
+            playerId: playerId || null,
+            playerName: playerName ? String(playerName) : null, // Only known in multiplayer
+            roomCode: roomCode || null, // Room the question was played in, for refunds
+            createdAt: new Date().toISOString(),
+            status: 'open', // 'open' until an admin resolves the question, then 'resolved'
+            resolution: null // { action, note, refunds, resolvedAt }
+        };
+        this.reports.set(report.id, report);
+        this.scheduleSave();
+        return { report, created: true };
+    }
+
+    /**
+     * Open reports grouped per question, the most reported first (oldest first on a tie)
+     * @returns {Array<{ questionId, reports, reasons, firstReportedAt, lastReportedAt }>}
+     */
+    queue() {
+        const groups = new Map();
+        Array.from(this.reports.values())
+            .filter(report => report.status === 'open')
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+            .forEach(report => {
+                const group = groups.get(report.questionId) ||
+                    { questionId: report.questionId, reports: [], reasons: Object.fromEntries(REPORT_REASONS.map(reason => [reason, 0])) };
+                group.reports.push(report);
+                group.reasons[report.reason]++;
+                groups.set(report.questionId, group);
+            });
+        return Array.from(groups.values())
+            .map(group => ({ ...group, firstReportedAt: group.reports[0].createdAt, lastReportedAt: group.reports[group.reports.length - 1].createdAt }))
+            .sort((a, b) => b.reports.length - a.reports.length || a.firstReportedAt.localeCompare(b.firstReportedAt));
+    }
+
+    /**
+     * Close every open report of a question
+     * @param {Object} resolution - { action (one of REPORT_ACTIONS), note, refunds }
+     * @returns {number} reports closed
+     */
+    resolve(questionId, resolution) {
+        const open = Array.from(this.reports.values()).filter(report => report.status === 'open' && report.questionId === questionId);
+        const resolvedAt = new Date().toISOString();
+        open.forEach(report => {
+            report.status = 'resolved';
+            report.resolution = { ...resolution, resolvedAt };
+        });
+        if (open.length > 0) this.scheduleSave();
+        return open.length;
+    }
+
+    /**
+     * Reports ever filed against a question, open or resolved
+     */
+    countFor(questionId) {
+        return Array.from(this.reports.values()).filter(report => report.questionId === questionId).length;
+    }
+
+    get openCount() {
+        return Array.from(this.reports.values()).filter(report => report.status === 'open').length;
+    }
+}
+
+export default QuestionReports;
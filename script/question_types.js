@@ -0,0 +1,164 @@
+// Question type module
+// Defines single-choice, true/false, multi-select and audio (ear training) questions: validation, scoring and the XML prompt format
+
+import { EXPLANATION_PROMPT_XML } from './explanations.js';
+import { AUDIO_PROMPT_XML } from './ear_training.js';
+
+export const QUESTION_TYPES = {
+    single: {
+        minOptions: 2,
+        maxOptions: 6,
+        label: 'multiple choice question',
+        labelZh: '單選題',
+        rule: 'Exactly ONE option must be correct.'
+    },
+    truefalse: {
+        minOptions: 2,
+        maxOptions: 2,
+        label: 'true/false question',
+        labelZh: '是非題',
+        rule: 'The text must be a statement. The options must be exactly "True" and "False" in that order.'
+    },
+    multi: {
+        minOptions: 3,
+        maxOptions: 6,
+        label: '"select all that apply" question',
+        labelZh: '多選題（選出所有正確的選項）',
+        rule: 'At least TWO options must be correct and at least ONE must be wrong. List every correct index in <answer>.'
+    },
+    // Single-choice about a clip the player hears (see script/ear_training.js); only for EAR_TRAINING_SUBJECTS
+    audio: {
+        minOptions: 3,
+        maxOptions: 6,
+        label: 'ear-training question (the player hears a short clip)',
+        labelZh: '練耳題（玩家會聽到一小段音樂）',
+        rule: 'Describe ONE clip in <audio>: an interval, a chord or a drum loop tempo. Ask the player to name the interval, the chord quality or the tempo in BPM, without giving away the notes or tempo in the text. Exactly ONE option must name what the clip plays; the other options must be other interval names, chord qualities or tempos at least 8 BPM away.'
+    }
+};
+
+export const DEFAULT_QUESTION_TYPE = 'single';
+export const TRUE_FALSE_OPTIONS = ['True', 'False'];
+
+export function isQuestionType(value) {
+    return Object.prototype.hasOwnProperty.call(QUESTION_TYPES, value);
+}
+
+export function getQuestionType(question) {
+    return isQuestionType(question && question.type) ? question.type : DEFAULT_QUESTION_TYPE;
+}
+
+/**
+ * All correct option indices (multi-select questions can have several)
+ */
+export function getCorrectAnswers(question) {
+    if (Array.isArray(question.answers) && question.answers.length > 0) {
+        return question.answers;
+    }
+    return Number.isInteger(question.answer) && question.answer >= 0 ? [question.answer] : [];
+}
+
+/**
+ * Parse an <answer> value: an index, a comma-separated list of indices or option texts
+ */
+export function parseAnswerList(answerText, options) {
+    return String(answerText)
+        .split(/[,;|]/)
+        .map(part => part.trim())
+        .filter(Boolean)
+        .map(part => /^\d+$/.test(part)
+            ? parseInt(part)
+            : options.findIndex(option => option.toLowerCase() === part.toLowerCase()))
+        .filter((index, position, list) => index >= 0 && index < options.length && list.indexOf(index) === position)
+        .sort((a, b) => a - b);
+}
+
+/**
+ * Fill in `type`, `answers` and `answer` (first correct index) and check the question is playable.
+ * Returns null when the option count or answers do not fit the type, or an answer is not an option index.
+ */
+export function normalizeQuestion(question) {
+    const type = getQuestionType(question);
+    const options = question.options || [];
+    const { minOptions, maxOptions } = QUESTION_TYPES[type];
+    if (options.length < minOptions || options.length > maxOptions) {
+        return null;
+    }
+
+    let answers = getCorrectAnswers(question);
+    if (answers.some(index => !Number.isInteger(index) || index < 0 || index >= options.length)) {
+        return null;
+    }
+    if (type !== 'multi') {
+        answers = answers.slice(0, 1);
+    }
+    if (answers.length === 0) {
+        return null;
+    }
+    if (type === 'audio' && !question.audio) {
+        return null; // Nothing to listen to
+    }
+
+    return { ...question, type, options, answers, answer: answers[0] };
+}
+
+/**
+ * Score a selection (an index, or an array of indices for multi-select).
+ * Multi-select earns partial credit: each correct pick is worth an equal share,
+ * each wrong pick cancels one share, and the total never drops below zero.
+ * @returns {{ isCorrect: boolean, credit: number }} credit is between 0 and 1
+ */
+export function scoreAnswer(question, selected) {
+    const correct = getCorrectAnswers(question);
+    const picked = Array.from(new Set((Array.isArray(selected) ? selected : [selected])
+        .map(index => parseInt(index))
+        .filter(index => !isNaN(index))));
+
+    if (getQuestionType(question) !== 'multi') {
+        const isCorrect = picked.length === 1 && picked[0] === correct[0];
+        return { isCorrect, credit: isCorrect ? 1 : 0 };
+    }
+
+    const hits = picked.filter(index => correct.includes(index)).length;
+    const misses = picked.length - hits;
+    const isCorrect = hits === correct.length && misses === 0;
+    const credit = Math.max(0, (hits - misses) / correct.length);
+    return { isCorrect, credit: Math.round(credit * 100) / 100 };
+}
+
+/**
+ * Pick a question type (and option count) for the next generation.
+ * `types` is the enabled subset; single-choice is weighted to stay the most common.
+ */
+export function pickQuestionType(types = Object.keys(QUESTION_TYPES)) {
+    const weights = { single: 3, truefalse: 1, multi: 1, audio: 2 };
+    const enabled = types.filter(isQuestionType);
+    const pool = enabled.length > 0 ? enabled : [DEFAULT_QUESTION_TYPE];
+    const total = pool.reduce((sum, type) => sum + weights[type], 0);
+
+    let roll = Math.random() * total;
+    const type = pool.find(t => (roll -= weights[t]) < 0) || pool[0];
+    const optionCount = type === 'truefalse' ? 2 : [3, 4, 4, 4, 5, 6][Math.floor(Math.random() * 6)];
+    return { type, optionCount };
+}
+
+/**
+ * The XML structure the model must answer with, for the given type and option count
+ */
+export function buildPromptFormat(type, optionCount) {
+    const options = type === 'truefalse'
+        ? TRUE_FALSE_OPTIONS
+        : Array.from({ length: optionCount }, (_, i) => `Option ${i + 1}`);
+    const answerHint = type === 'multi'
+        ? 'Comma-separated 0-based indices of ALL correct options (at least 2, e.g. 0,2)'
+        : 'Index of correct option (0-based)';
+
+    return `<question>
+    <type>${type}</type>
+    <text>${type === 'truefalse' ? 'A statement that is either true or false' : 'Your question here'}</text>
+    <options>
+${options.map(option => `        <option>${option}</option>`).join('\n')}
+    </options>
+    <answer>${answerHint}</answer>
+${type === 'audio' ? `${AUDIO_PROMPT_XML}\n` : ''}${EXPLANATION_PROMPT_XML}
+</question>`;
+}
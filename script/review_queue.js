@@ -0,0 +1,193 @@
+// Review queue module
+// The server console's list of questions players reported (GET /api/reports), where an admin resolves each one
+//
+// A reported question is shown as an editable form: its text and options, with the correct ones ticked. An admin can
+// save a new answer key, save edited wording, retire the question or dismiss the reports, and settle the points it
+// cost players in rooms still playing. The queue count on the controls bar is refreshed while the console is open.
+
+const REVIEW_POLL_INTERVAL = 15000;
+const REPORT_REASON_NAMES = {
+    wrong_answer: 'wrong answer',
+    ambiguous: 'ambiguous',
+    offensive: 'offensive',
+    off_subject: 'off subject'
+};
+
+let reviewQueueOpen = false;
+
+function toggleReviewQueue() {
+    reviewQueueOpen = !reviewQueueOpen;
+    document.getElementById('console').style.display = reviewQueueOpen ? 'none' : '';
+    document.getElementById('reviewQueue').style.display = reviewQueueOpen ? 'block' : 'none';
+    if (reviewQueueOpen) loadReviewQueue();
+}
+
+async function loadReviewQueue() {
+    try {
+        const response = await fetch('/api/reports');
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const data = await response.json();
+        document.getElementById('reviewQueueCount').textContent = data.open;
+        if (reviewQueueOpen) renderReviewQueue(data.queue);
+    } catch (error) {
+        console.error('[Review] Failed to load the review queue:', error);
+    }
+}
+
+function renderReviewQueue(queue) {
+    const container = document.getElementById('reviewQueue');
+    // Don't throw away an admin's half-made edits on a refresh
+    if (container.contains(document.activeElement) && document.activeElement.matches('input, textarea')) return;
+    container.innerHTML = '';
+    if (queue.length === 0) {
+        container.innerHTML = '<div class="console-line info"><span class="message">No reported questions</span></div>';
+        return;
+    }
+    queue.forEach(group => container.appendChild(createReviewItem(group)));
+}
+
+function createReviewItem({ questionId, question: record, reports, reasons, refundableRooms }) {
+    const item = document.createElement('div');
+    item.className = 'review-item';
+
+    const header = document.createElement('div');
+    header.className = 'review-header';
+    const reasonSummary = Object.entries(reasons).filter(([, count]) => count > 0)
+        .map(([reason, count]) => `${REPORT_REASON_NAMES[reason] || reason} ×${count}`).join(', ');
+    header.textContent = record
+        ? `${record.subject} · ${record.language} · ${record.type}${record.retired ? ' · retired' : ''} — reported ${reports.length}× (${reasonSummary})`
+        : `Question ${questionId} is no longer in the bank — reported ${reports.length}× (${reasonSummary})`;
+    item.appendChild(header);
+
+    const reportList = document.createElement('ul');
+    reportList.className = 'review-reports';
+    reports.forEach(report => {
+        const line = document.createElement('li');
+        const who = [report.playerName, report.roomCode && `room ${report.roomCode}`].filter(Boolean).join(', ') || 'singleplayer';
+        line.textContent = `[${formatTime(report.createdAt)}] ${REPORT_REASON_NAMES[report.reason] || report.reason} (${who})${report.comment ? `: ${report.comment}` : ''}`;
+        reportList.appendChild(line);
+    });
+    item.appendChild(reportList);
+
+    if (!record) {
+        item.appendChild(createReviewActions(questionId, [], () => ({})));
+        return item;
+    }
+
+    const questionInput = document.createElement('textarea');
+    questionInput.className = 'filter-input review-question';
+    questionInput.rows = 2;
+    questionInput.value = record.question;
+    item.appendChild(questionInput);
+
+    // Options with the correct ones ticked; a single-answer question ticks exactly one
+    const isMulti = record.type === 'multi';
+    const optionRows = record.options.map((option, index) => {
+        const row = document.createElement('label');
+        row.className = 'review-option';
+        const tick = document.createElement('input');
+        tick.type = isMulti ? 'checkbox' : 'radio';
+        tick.name = `answer-${questionId}`;
+        tick.checked = (record.answers || [record.answer]).includes(index);
+        const text = document.createElement('input');
+        text.type = 'text';
+        text.className = 'filter-input';
+        text.value = option;
+        row.appendChild(tick);
+        row.appendChild(text);
+        item.appendChild(row);
+        return { tick, text };
+    });
+
+    if (record.explanation) {
+        const explanation = document.createElement('div');
+        explanation.className = 'review-meta';
+        explanation.textContent = `Explanation: ${record.explanation}`;
+        item.appendChild(explanation);
+    }
+    const provenance = document.createElement('div');
+    provenance.className = 'review-meta';
+    provenance.textContent = [record.provider, record.model, record.promptVersion && `prompt ${record.promptVersion}`, record.createdAt && `stored ${formatTime(record.createdAt)}`]
+        .filter(Boolean).join(' · ');
+    item.appendChild(provenance);
+
+    const readCorrection = () => ({
+        question: questionInput.value,
+        options: optionRows.map(row => row.text.value),
+        answers: optionRows.map((row, index) => row.tick.checked ? index : -1).filter(index => index >= 0)
+    });
+    item.appendChild(createReviewActions(questionId, refundableRooms, readCorrection, Boolean(record.retired)));
+    return item;
+}
+
+function createReviewActions(questionId, refundableRooms, readCorrection, retired = true) {
+    const actions = document.createElement('div');
+    actions.className = 'review-actions';
+
+    const note = document.createElement('input');
+    note.type = 'text';
+    note.className = 'filter-input review-note';
+    note.placeholder = 'Note (optional)';
+    actions.appendChild(note);
+
+    let refund = null;
+    if (refundableRooms.length > 0) {
+        const refundLabel = document.createElement('label');
+        refundLabel.className = 'review-refund';
+        refund = document.createElement('input');
+        refund.type = 'checkbox';
+        refundLabel.appendChild(refund);
+        refundLabel.appendChild(document.createTextNode(` Fix scores in room${refundableRooms.length > 1 ? 's' : ''} ${refundableRooms.join(', ')}`
+            + ' (a saved answer key or edit re-scores every answer; retiring gives everyone who missed full credit)'));
+        actions.appendChild(refundLabel);
+    }
+
+    const status = document.createElement('span');
+    status.className = 'review-status';
+
+    const addAction = (label, action, className = '') => {
+        const button = document.createElement('button');
+        button.className = `btn ${className}`.trim();
+        button.textContent = label;
+        button.addEventListener('click', () => resolveReportedQuestion(questionId, action, {
+            ...(action === 'correct' ? { answers: readCorrection().answers } : action === 'edit' ? readCorrection() : {}),
+            note: note.value,
+            refund: Boolean(refund && refund.checked)
+        }, status));
+        actions.appendChild(button);
+    };
+    if (!retired) {
+        addAction('✔ Save answer key', 'correct');
+        addAction('✎ Save edit', 'edit');
+        addAction('🗄 Retire', 'retire', 'danger');
+    }
+    addAction('✕ Dismiss', 'dismiss');
+    actions.appendChild(status);
+    return actions;
+}
+
+async function resolveReportedQuestion(questionId, action, body, status) {
+    if (action === 'retire' && !confirm('Retire this question? It will never be served again.')) return;
+    status.textContent = '';
+    try {
+        const response = await fetch(`/api/reports/${encodeURIComponent(questionId)}/resolve`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ action, ...body })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            status.textContent = `${data.error}${data.details ? `: ${data.details}` : ''}`;
+            return;
+        }
+        document.activeElement?.blur();
+        loadReviewQueue();
+    } catch (error) {
+        status.textContent = `Failed: ${error.message}`;
+    }
+}
+
+window.addEventListener('load', () => {
+    loadReviewQueue();
+    setInterval(loadReviewQueue, REVIEW_POLL_INTERVAL);
+});
@@ -0,0 +1,76 @@
+// Option shuffle module
+// Reorders a verified question's options so the correct answer is not always in the slot the model prefers
+//
+// Shuffles are seeded: the same seed and question always give the same order, so a room's games can be replayed.
+// The permutation lists the original index of each shown option (permutation[shownIndex] = originalIndex).
+
+import { getQuestionType } from './question_types.js';
+
+// Options that refer to the others only make sense where the model put them
+const PINNED_OPTION = /^(all|none|both|neither) of the (above|options)\.?$/i;
+
+// 32-bit FNV-1a of a string, used to turn seeds into PRNG states
+function hashSeed(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// Mulberry32: small, fast, deterministic PRNG returning floats in [0, 1)
+function createRandom(seed) {
+    let state = hashSeed(String(seed));
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * A random seed for a room or request
+ */
+export function createShuffleSeed() {
+    return Math.random().toString(36).substring(2, 10);
+}
+
+/**
+ * Shuffle a normalized question's options (see normalizeQuestion) and remap its answers, distractor notes and option readings.
+ * True/false questions and "all/none of the above" options keep their positions.
+ * @param {Object} question - { options, answer, answers, distractorNotes, jyutping, ... }
+ * @param {string} seed - same seed, same order
+ * @returns {{ question: Object, permutation: number[] }} a new question object and the original index of each shown option
+ */
+export function shuffleQuestion(question, seed) {
+    let permutation = question.options.map((_, index) => index);
+    if (getQuestionType(question) !== 'truefalse') {
+        const random = createRandom(seed);
+        const isPinned = index => PINNED_OPTION.test(String(question.options[index]).trim());
+        const movable = permutation.filter(index => !isPinned(index));
+        // Fisher-Yates over the movable slots only
+        for (let i = movable.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [movable[i], movable[j]] = [movable[j], movable[i]];
+        }
+        let next = 0;
+        permutation = permutation.map(index => isPinned(index) ? index : movable[next++]);
+    }
+
+    const shownIndex = original => permutation.indexOf(original);
+    const answers = question.answers.map(shownIndex).sort((a, b) => a - b);
+    return {
+        question: {
+            ...question,
+            options: permutation.map(original => question.options[original]),
+            answers,
+            answer: answers[0],
+            ...(question.distractorNotes ? { distractorNotes: permutation.map(original => question.distractorNotes[original] || '') } : {}),
+            ...(question.jyutping ? { jyutping: { ...question.jyutping, options: permutation.map(original => question.jyutping.options[original] || '') } } : {})
+        },
+        permutation
+    };
+}
@@ -0,0 +1,275 @@
+// Duplicate detection module
+// Finds paraphrased repeats of a question by comparing normalized word sets and the correct answer
+//
+// A question is compared as a candidate { question, answer }: the (pre-translation) question text and the
+// text of its correct option(s). Wording similarity is the Jaccard overlap of normalized tokens, so
+// "Who was the first US president?" and "Which man served as America's first president?" both become
+// { first, us, president }. A lower wording threshold applies when both questions share the same answer.
+// DuplicateIndex keeps MinHash signatures per subject and only compares the candidates that share an
+// LSH bucket or an answer, so lookups stay fast with thousands of stored questions.
+
+// Wording similarity above which two questions are duplicates whatever their answers
+export const DUPLICATE_THRESHOLD = 0.75;
+// Wording similarity above which two questions with the same answer are duplicates
+export const SAME_ANSWER_THRESHOLD = 0.45;
+
+// Question words and filler that do not change what a question asks about
+const STOPWORDS = new Set(`
+a an the of in on at to for by with from into as about than then and or but if so
+is are was were be been being am do does did done has have had can could would should will shall may might must
+which what who whom whose when where why how this that these those there here it its they them their he she his her
+our your we you
+following one ones name named called known considered served serve serves person man woman people thing things
+best describes describe correct true false statement option options answer answers choose select
+`.trim().split(/\s+/));
+
+// Phrases and words with the same meaning, mapped to one token (a small stand-in for embeddings)
+const SYNONYM_PHRASES = [
+    [/\bunited states of america\b|\bunited states\b|\busa\b|\bu\.s\.a?\.?|\bamerica\b|\bamerican\b/g, ' us '],
+    [/\bunited kingdom\b|\bgreat britain\b|\bbritain\b|\bbritish\b|\bu\.k\.?/g, ' uk '],
+    [/\b1st\b/g, ' first '],
+    [/\b2nd\b/g, ' second '],
+    [/\b3rd\b/g, ' third '],
+    [/\blargest\b|\bbiggest\b/g, ' largest '],
+    [/\bsmallest\b|\btiniest\b/g, ' smallest '],
+    [/\bauthored\b|\bpenned\b/g, ' wrote '],
+    [/\binvented\b|\bcreated\b|\bdeveloped\b/g, ' invented ']
+];
+
+// CJK scripts have no spaces, so they are compared as overlapping character pairs
+const CJK_RUN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]+/gu;
+// Chinese question words and particles, dropped before pairing
+const CJK_STOP_CHARS = /[的是誰谁哪個个位什麼么甚嗎吗呢了下列以]/g;
+
+const SIGNATURE_SIZE = 32;
+const BAND_ROWS = 2; // 16 bands of 2 rows: pairs above ~0.45 similarity almost always share a bucket
+const HASH_SEEDS = Array.from({ length: SIGNATURE_SIZE }, (_, i) => Math.imul(i + 1, 0x9e3779b1) >>> 0);
+
+function stem(token) {
+    if (/^\d+$/.test(token) || token.length <= 3) return token;
+    if (token.endsWith('ies') && token.length > 4) return token.slice(0, -3) + 'y';
+    if (token.endsWith('ing') && token.length > 5) return token.slice(0, -3);
+    if (token.endsWith('ed') && token.length > 4) return token.slice(0, -2);
+    if (token.endsWith('es') && /(ch|sh|x|ss)es$/.test(token)) return token.slice(0, -2);
+    if (token.endsWith('s') && !token.endsWith('ss')) return token.slice(0, -1);
+    return token;
+}
+
+/**
+ * Normalized tokens of a text: lower case, no punctuation, synonyms merged, stopwords dropped, light stemming.
+ * CJK runs become character pairs.
+ * @returns {Set<string>}
+ */
+export function tokenize(text) {
+    let normalized = String(text || '').normalize('NFKC').toLowerCase().replace(/['’]s\b/g, '');
+    SYNONYM_PHRASES.forEach(([pattern, replacement]) => {
+        normalized = normalized.replace(pattern, replacement);
+    });
+
+    const tokens = new Set();
+    normalized = normalized.replace(CJK_RUN, run => {
+        const chars = Array.from(run.replace(CJK_STOP_CHARS, ''));
+        if (chars.length === 1) tokens.add(chars[0]);
+        for (let i = 0; i < chars.length - 1; i++) {
+            tokens.add(chars[i] + chars[i + 1]);
+        }
+        return ' ';
+    });
+    normalized.replace(/[^\p{L}\p{N}\s]/gu, ' ').split(/\s+/).forEach(word => {
+        if (word && !STOPWORDS.has(word)) tokens.add(stem(word));
+    });
+    return tokens;
+}
+
+function jaccard(a, b) {
+    if (a.size === 0 || b.size === 0) return 0;
+    let shared = 0;
+    a.forEach(token => {
+        if (b.has(token)) shared++;
+    });
+    return shared / (a.size + b.size - shared);
+}
+
+// 32-bit FNV-1a
+function hashToken(token) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < token.length; i++) {
+        hash ^= token.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// Murmur3 finalizer, used to derive independent hashes from one token hash
+function mix(hash) {
+    hash ^= hash >>> 16;
+    hash = Math.imul(hash, 0x85ebca6b);
+    hash ^= hash >>> 13;
+    hash = Math.imul(hash, 0xc2b2ae35);
+    hash ^= hash >>> 16;
+    return hash >>> 0;
+}
+
+function minHash(tokens) {
+    const signature = new Array(SIGNATURE_SIZE).fill(0xffffffff);
+    tokens.forEach(token => {
+        const base = hashToken(token);
+        for (let i = 0; i < SIGNATURE_SIZE; i++) {
+            const value = mix(base ^ HASH_SEEDS[i]);
+            if (value < signature[i]) signature[i] = value;
+        }
+    });
+    return signature;
+}
+
+function bandKeys(signature) {
+    const keys = [];
+    for (let start = 0; start < SIGNATURE_SIZE; start += BAND_ROWS) {
+        keys.push(`${start}:${signature.slice(start, start + BAND_ROWS).join(',')}`);
+    }
+    return keys;
+}
+
+/**
+ * The duplicate-check view of a question: its text and the text of its correct option(s)
+ * @param {Object} question - { question, options, answer, answers, audio? }
+ */
+export function duplicateCandidate(question) {
+    const answers = question.answers || [question.answer];
+    return {
+        question: withClip(question.question, question.audio),
+        answer: answers.map(index => question.options[index]).filter(Boolean).join(' | ')
+    };
+}
+
+// Ear-training questions share their wording ("Which interval do you hear?"), so the notes or tempo they play
+// count as part of it (see script/ear_training.js)
+export function withClip(text, audio) {
+    if (!audio) return text;
+    return `${text} ${audio.kind === 'tempo' ? `${audio.bpm} bpm` : audio.notes.join(' ')}`;
+}
+
+// Tokens of a candidate, computed once
+function prepare(candidate) {
+    const answerTokens = tokenize(candidate.answer);
+    return {
+        question: candidate.question,
+        tokens: tokenize(candidate.question),
+        answerTokens,
+        answerKey: Array.from(answerTokens).sort().join(' ')
+    };
+}
+
+/**
+ * Compare two prepared candidates
+ * @returns {{ similarity: number, sameAnswer: boolean, duplicate: boolean }}
+ */
+function compare(a, b) {
+    const similarity = jaccard(a.tokens, b.tokens);
+    const sameAnswer = jaccard(a.answerTokens, b.answerTokens) >= 0.5;
+    const duplicate = similarity >= DUPLICATE_THRESHOLD || (sameAnswer && similarity >= SAME_ANSWER_THRESHOLD);
+    return { similarity, sameAnswer, duplicate };
+}
+
+/**
+ * Find the closest duplicate of a candidate in a short list (e.g. the current round) without an index
+ * @param {Object} candidate - { question, answer }
+ * @param {Object[]} list - candidates to compare against
+ * @returns {{ question: string, similarity: number, sameAnswer: boolean } | null}
+ */
+export function findDuplicateIn(candidate, list) {
+    const prepared = prepare(candidate);
+    let best = null;
+    list.forEach(other => {
+        const result = compare(prepared, prepare(other));
+        if (result.duplicate && (!best || result.similarity > best.similarity)) {
+            best = { question: other.question, similarity: result.similarity, sameAnswer: result.sameAnswer };
+        }
+    });
+    return best;
+}
+
+class DuplicateIndex {
+    constructor() {
+        this.subjects = new Map(); // subject -> { entries: Map(id -> prepared), buckets: Map(band key -> Set(id)), answers: Map(answer key -> Set(id)) }
+    }
+
+    subjectIndex(subject) {
+        if (!this.subjects.has(subject)) {
+            this.subjects.set(subject, { entries: new Map(), buckets: new Map(), answers: new Map() });
+        }
+        return this.subjects.get(subject);
+    }
+
+    /**
+     * Index a stored question under its subject
+     * @param {string} subject
+     * @param {string} id - question bank id
+     * @param {Object} candidate - { question, answer }
+     */
+    add(subject, id, candidate) {
+        const index = this.subjectIndex(subject);
+        if (index.entries.has(id)) return;
+
+        const prepared = prepare(candidate);
+        prepared.bandKeys = prepared.tokens.size > 0 ? bandKeys(minHash(prepared.tokens)) : [];
+        index.entries.set(id, prepared);
+        prepared.bandKeys.forEach(key => addToSet(index.buckets, key, id));
+        if (prepared.answerKey) addToSet(index.answers, prepared.answerKey, id);
+    }
+
+    remove(subject, id) {
+        const index = this.subjects.get(subject);
+        const prepared = index && index.entries.get(id);
+        if (!prepared) return;
+
+        index.entries.delete(id);
+        prepared.bandKeys.forEach(key => removeFromSet(index.buckets, key, id));
+        if (prepared.answerKey) removeFromSet(index.answers, prepared.answerKey, id);
+    }
+
+    /**
+     * Find the closest indexed duplicate of a candidate
+     * @param {string} subject
+     * @param {Object} candidate - { question, answer }
+     * @param {Function} accept - (id) => boolean, limits matches (e.g. to questions a player has seen)
+     * @returns {{ id: string, question: string, similarity: number, sameAnswer: boolean } | null}
+     */
+    findDuplicate(subject, candidate, accept = () => true) {
+        const index = this.subjects.get(subject);
+        if (!index || index.entries.size === 0) return null;
+
+        const prepared = prepare(candidate);
+        const candidateIds = new Set(index.answers.get(prepared.answerKey) || []);
+        if (prepared.tokens.size > 0) {
+            bandKeys(minHash(prepared.tokens)).forEach(key => {
+                (index.buckets.get(key) || []).forEach(id => candidateIds.add(id));
+            });
+        }
+
+        let best = null;
+        candidateIds.forEach(id => {
+            if (!accept(id)) return;
+            const entry = index.entries.get(id);
+            const result = compare(prepared, entry);
+            if (result.duplicate && (!best || result.similarity > best.similarity)) {
+                best = { id, question: entry.question, similarity: result.similarity, sameAnswer: result.sameAnswer };
+            }
+        });
+        return best;
+    }
+}
+
+function addToSet(map, key, value) {
+    if (!map.has(key)) map.set(key, new Set());
+    map.get(key).add(value);
+}
+
+function removeFromSet(map, key, value) {
+    const set = map.get(key);
+    if (!set) return;
+    set.delete(value);
+    if (set.size === 0) map.delete(key);
+}
+
+export default DuplicateIndex;
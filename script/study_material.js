@@ -0,0 +1,295 @@
+// Study material module
+// Turns uploaded notes (plain text, Markdown, HTML or text copied from a PDF) into passages that questions are grounded in
+//
+// Material is playable as subject "material:<id>". Each question is written from one passage (chunk) and
+// verified against that passage only, so the answer key never depends on what the model happens to know.
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+export const MATERIAL_FORMATS = ['text', 'markdown', 'html', 'pdf'];
+
+export const MATERIAL_PREFIX = 'material:';
+
+const MAX_CONTENT_CHARS = 500000;
+const CHUNK_WORDS = 180; // Target passage length: enough context for one question, short enough to verify against
+const MIN_CHUNK_WORDS = 25; // Shorter passages are merged into their neighbour
+
+export const isMaterialSubject = (subject) => typeof subject === 'string' && subject.startsWith(MATERIAL_PREFIX);
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, code) => {
+        if (code[0] === '#') {
+            const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1));
+            return Number.isFinite(value) ? String.fromCodePoint(value) : match;
+        }
+        return ENTITIES[code.toLowerCase()] ?? match;
+    });
+}
+
+/**
+ * Guess the format of uploaded content from its file name, then from its text
+ */
+export function detectFormat(content, fileName = '') {
+    const extension = path.extname(fileName).toLowerCase();
+    if (['.html', '.htm'].includes(extension)) return 'html';
+    if (['.md', '.markdown'].includes(extension)) return 'markdown';
+    if (extension === '.pdf') return 'pdf';
+    if (/^\s*(<!doctype html|<html|<body|<p>|<div)/i.test(content)) return 'html';
+    if (/^#{1,6}\s|^\s*[-*]\s|\*\*[^*]+\*\*|\[[^\]]+\]\([^)]+\)/m.test(content)) return 'markdown';
+    if (/\f/.test(content)) return 'pdf';
+    return 'text';
+}
+
+/**
+ * Plain text of the material, with paragraphs separated by blank lines
+ * @param {string} content
+ * @param {string} format - one of MATERIAL_FORMATS
+ */
+export function extractText(content, format = 'text') {
+    let text = String(content || '').replace(/\r\n?/g, '\n');
+
+    if (format === 'html') {
+        text = text
+            .replace(/<(script|style|noscript|head)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+            .replace(/<!--[\s\S]*?-->/g, ' ')
+            .replace(/<br\s*\/?>/gi, '\n')
+            .replace(/<\/(p|div|h[1-6]|li|tr|section|article|blockquote)>/gi, '\n\n')
+            .replace(/<li[^>]*>/gi, '- ')
+            .replace(/<[^>]+>/g, ' ');
+        text = decodeEntities(text);
+    } else if (format === 'markdown') {
+        text = text
+            .replace(/```[^\n]*\n([\s\S]*?)```/g, '$1') // Keep code, drop the fences
+            .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+            .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+            .replace(/^#{1,6}\s+(.*)$/gm, '\n$1\n')
+            .replace(/^[ \t]*>[ \t]?/gm, '')
+            .replace(/(\*\*|__|\*|_|`)(\S(?:[\s\S]*?\S)?)\1/g, '$2')
+            .replace(/^[ \t]*([-*+]|\d+\.)[ \t]+/gm, '- ')
+            .replace(/^[ \t]*([-*_][ \t]*){3,}$/gm, '\n');
+    } else if (format === 'pdf') {
+        // Text copied out of a PDF: page breaks, bare page numbers, words hyphenated across lines and hard-wrapped lines
+        text = text
+            .replace(/\f/g, '\n\n')
+            .replace(/^[ \t]*(page[ \t]+)?\d+([ \t]+of[ \t]+\d+)?[ \t]*$/gim, '')
+            .replace(/(\w)-\n(\w)/g, '$1$2')
+            .replace(/([^\n.!?:。！？])\n(?=[^\n])/g, '$1 ');
+    }
+
+    return text
+        .split(/\n\s*\n/)
+        .map(paragraph => paragraph.replace(/[ \t ]+/g, ' ').replace(/\s*\n\s*/g, '\n').trim())
+        .filter(Boolean)
+        .join('\n\n');
+}
+
+// Word count that treats each CJK character as a word
+function countWords(text) {
+    const cjk = (text.match(/[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/gu) || []).length;
+    const words = text.replace(/[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/gu, ' ').split(/\s+/).filter(Boolean).length;
+    return words + cjk;
+}
+
+function splitSentences(paragraph) {
+    return paragraph.match(/[^.!?。！？]+[.!?。！？]+["')\]」』]*\s*|[^.!?。！？]+$/g) || [paragraph];
+}
+
+/**
+ * Split extracted text into passages of about CHUNK_WORDS words, on paragraph and then sentence boundaries
+ * @returns {string[]}
+ */
+export function chunkText(text, maxWords = CHUNK_WORDS) {
+    const chunks = [];
+    let current = [];
+    let currentWords = 0;
+    const flush = () => {
+        if (current.length > 0) chunks.push(current.join('\n').trim());
+        current = [];
+        currentWords = 0;
+    };
+
+    text.split(/\n\n+/).forEach(paragraph => {
+        const pieces = countWords(paragraph) > maxWords ? splitSentences(paragraph) : [paragraph];
+        pieces.forEach(piece => {
+            const words = countWords(piece);
+            if (currentWords > 0 && currentWords + words > maxWords) flush();
+            current.push(piece.trim());
+            currentWords += words;
+        });
+        if (currentWords >= maxWords * 0.6) flush(); // Prefer ending passages where paragraphs end
+    });
+    flush();
+
+    // Fold passages too short to ask about into the previous one
+    return chunks.reduce((merged, chunk) => {
+        if (merged.length > 0 && countWords(chunk) < MIN_CHUNK_WORDS) {
+            merged[merged.length - 1] += '\n' + chunk;
+        } else {
+            merged.push(chunk);
+        }
+        return merged;
+    }, []);
+}
+
+class StudyMaterials {
+    constructor(filePath = path.join('data', 'materials.json'), logFn = console.log) {
+        this.filePath = filePath;
+        this.log = logFn;
+        this.materials = new Map(); // id -> { id, name, language, format, chunks: string[], uses: number[], words, createdAt }
+        this.saveTimer = null;
+
+        this.load();
+    }
+
+    load() {
+        try {
+            if (!fs.existsSync(this.filePath)) {
+                return;
+            }
+            const data = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+            (data.materials || []).forEach(material => this.materials.set(material.id, material));
+            this.log(`[MATERIALS] Loaded ${this.materials.size} study material(s) from ${this.filePath}`);
+        } catch (error) {
+            this.log(`[MATERIALS] Failed to load ${this.filePath}: ${error.message}`, 'error');
+        }
+    }
+
+    // Writes are batched like the question bank's
+    scheduleSave() {
+        if (this.saveTimer) return;
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.save();
+        }, 500);
+    }
+
+    flush() {
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+            this.save();
+        }
+    }
+
+    save() {
+        try {
+            const dir = path.dirname(this.filePath);
+            if (!fs.existsSync(dir)) {
+                fs.mkdirSync(dir, { recursive: true });
+            }
+            const tempPath = this.filePath + '.tmp';
+            fs.writeFileSync(tempPath, JSON.stringify({ version: 1, materials: Array.from(this.materials.values()) }), 'utf-8');
+            fs.renameSync(tempPath, this.filePath);
+        } catch (error) {
+            this.log(`[MATERIALS] Failed to save ${this.filePath}: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Extract, chunk and store uploaded material
+     * @param {Object} input - { name, content, format?, fileName?, language? }
+     * @returns {Object} summary (see summarize)
+     */
+    add({ name, content, format, fileName, language = 'en' }) {
+        if (!content || !String(content).trim()) {
+            throw new Error('The material is empty');
+        }
+        if (String(content).length > MAX_CONTENT_CHARS) {
+            throw new Error(`The material is longer than ${MAX_CONTENT_CHARS} characters`);
+        }
+        const resolvedFormat = format || detectFormat(String(content), fileName);
+        if (!MATERIAL_FORMATS.includes(resolvedFormat)) {
+            throw new Error(`Unsupported format "${resolvedFormat}" (use ${MATERIAL_FORMATS.join(', ')})`);
+        }
+
+        const text = extractText(content, resolvedFormat);
+        const chunks = chunkText(text);
+        if (chunks.length === 0) {
+            throw new Error('No text was found in the material');
+        }
+
+        const id = crypto.randomUUID().slice(0, 8);
+        const material = {
+            id,
+            name: String(name || (fileName && fileName.replace(/\.[^.]+$/, '')) || 'Study notes').replace(/[<>]/g, '').trim().slice(0, 60), // Shown in the subject grid
+            language,
+            format: resolvedFormat,
+            chunks,
+            uses: chunks.map(() => 0), // Questions written per passage, so every passage gets its turn
+            words: countWords(text),
+            createdAt: new Date().toISOString()
+        };
+        this.materials.set(id, material);
+        this.scheduleSave();
+        return this.summarize(material);
+    }
+
+    get(id) {
+        return this.materials.get(id) || null;
+    }
+
+    /**
+     * The material behind a "material:<id>" subject
+     */
+    forSubject(subject) {
+        return isMaterialSubject(subject) ? this.get(subject.slice(MATERIAL_PREFIX.length)) : null;
+    }
+
+    list() {
+        return Array.from(this.materials.values()).map(material => this.summarize(material));
+    }
+
+    remove(id) {
+        if (!this.materials.delete(id)) return false;
+        this.scheduleSave();
+        return true;
+    }
+
+    /**
+     * Pick a passage to write the next question from: one of the least used, skipping the given indices
+     * @returns {{ index: number, text: string } | null}
+     */
+    pickChunk(id, skip = []) {
+        const material = this.materials.get(id);
+        if (!material) return null;
+
+        let indices = material.chunks.map((_, index) => index).filter(index => !skip.includes(index));
+        if (indices.length === 0) {
+            indices = material.chunks.map((_, index) => index); // Every passage was tried this round, start over
+        }
+        const fewestUses = Math.min(...indices.map(index => material.uses[index]));
+        const candidates = indices.filter(index => material.uses[index] === fewestUses);
+        const index = candidates[Math.floor(Math.random() * candidates.length)];
+        return { index, text: material.chunks[index] };
+    }
+
+    /**
+     * Count a question written from a passage
+     */
+    markUsed(id, index) {
+        const material = this.materials.get(id);
+        if (!material || material.uses[index] === undefined) return;
+        material.uses[index]++;
+        this.scheduleSave();
+    }
+
+    summarize(material) {
+        return {
+            id: material.id,
+            subject: MATERIAL_PREFIX + material.id,
+            name: material.name,
+            language: material.language,
+            format: material.format,
+            passages: material.chunks.length,
+            words: material.words,
+            questionsWritten: material.uses.reduce((sum, uses) => sum + uses, 0),
+            createdAt: material.createdAt
+        };
+    }
+}
+
+export default StudyMaterials;
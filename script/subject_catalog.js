@@ -0,0 +1,442 @@
+// Subject catalog module
+// Server-side list of playable subjects with localized names, prompt scope, icons and availability flags
+//
+// The id is the key questions are generated, banked and pooled under, so it never changes once created.
+// The catalog starts from DEFAULT_SUBJECTS and is then managed from subjects.html (see /api/subjects).
+
+import fs from 'fs';
+import path from 'path';
+import { normalizeLanguage, otherScript } from './languages.js';
+import { toSimplified, convertScript } from './chinese_script.js';
+
+// Built-in subjects, used when no catalog file exists yet
+// Names are English and Traditional Chinese; the Simplified Chinese ones are converted (see validateNames)
+// Topics are [English, Traditional Chinese] name pairs; their ids are derived with topicId
+export const DEFAULT_SUBJECTS = [
+    { id: 'History', names: { en: 'History', 'zh-Hant': '歷史' }, icon: 'image/hist.png', topics: [
+        ['Ancient civilizations', '古代文明'], ['Medieval history', '中世紀史'], ['Early modern history', '近代早期史'], ['Modern history', '現代史']
+    ] },
+    { id: '中文的中國歷史', names: { en: 'Chinese History', 'zh-Hant': '中國歷史' }, icon: 'image/chist.png', topics: [
+        ['Pre-Qin', '先秦'], ['Qin and Han', '秦漢'], ['Tang and Song', '唐宋'], ['Ming and Qing', '明清'], ['Modern China', '近現代中國']
+    ] },
+    { id: '粵語', names: { en: 'Cantonese', 'zh-Hant': '粵語' }, icon: 'image/canton.webp' },
+    { id: 'Science', names: { en: 'Science', 'zh-Hant': '科學' }, icon: 'image/science.png', topics: [
+        ['Cell biology', '細胞生物學'], ['Genetics', '遺傳學'], ['Chemistry', '化學'], ['Earth science', '地球科學'], ['Astronomy', '天文學']
+    ] },
+    { id: 'Physics', names: { en: 'Physics', 'zh-Hant': '物理學' }, icon: 'image/phy.png', topics: [
+        ['Mechanics', '力學'], ['Electricity and magnetism', '電磁學'], ['Waves and optics', '波動與光學'], ['Thermodynamics', '熱力學'], ['Modern physics', '近代物理']
+    ] },
+    { id: 'Math', names: { en: 'Math', 'zh-Hant': '數學' }, icon: 'image/math.png', topics: [
+        ['Arithmetic', '算術'], ['Algebra', '代數'], ['Geometry', '幾何'], ['Probability and statistics', '概率與統計'], ['Calculus', '微積分']
+    ] },
+    { id: 'Geography', names: { en: 'Geography', 'zh-Hant': '地理' }, icon: 'image/geo.png', topics: [
+        ['Countries and capitals', '國家與首都'], ['Rivers and mountains', '河流與山脈'], ['Climate', '氣候'], ['Population and cities', '人口與城市']
+    ] },
+    { id: 'War', names: { en: 'War', 'zh-Hant': '戰爭' }, icon: 'image/war.png', topics: [
+        ['Ancient warfare', '古代戰爭'], ['World War I', '第一次世界大戰'], ['World War II', '第二次世界大戰'], ['Cold War', '冷戰']
+    ] },
+    { id: 'Music Theory', names: { en: 'Music', 'zh-Hant': '音樂' }, icon: 'image/music.png', topics: [
+        ['Scales and keys', '音階與調性'], ['Chords and harmony', '和弦與和聲'], ['Rhythm and meter', '節奏與拍子'], ['Notation', '記譜法']
+    ] },
+    { id: 'Music Technology', names: { en: 'Music Technology', 'zh-Hant': '音樂科技' }, icon: 'image/musictech.png', topics: [
+        ['Synthesis', '合成器'], ['Mixing and mastering', '混音與母帶'], ['DAWs and MIDI', '數碼音訊工作站與 MIDI'], ['Audio effects', '音效處理']
+    ] },
+    { id: 'electonic dance music', names: { en: 'EDM', 'zh-Hant': '電子舞曲' }, icon: 'image/edm.png', topics: [
+        ['Genres', '曲風'], ['Artists', '藝人'], ['Production techniques', '製作技巧']
+    ] },
+    { id: 'World Trigger TV Series', names: { en: 'World Trigger', 'zh-Hant': '境界觸發者' }, icon: 'image/worldTrigger.png', topics: [
+        ['Characters', '角色'], ['Triggers', '觸發器'], ['Story arcs', '劇情篇章']
+    ], glossary: { 'zh-Hant': { 'Border': '界境防衛機構', 'Neighbor': '近界民', 'Trigger': '觸發器' } } },
+    { id: 'Minecraft', names: { en: 'Minecraft', 'zh-Hant': '我的世界' }, icon: 'image/minecraft.png', topics: [
+        ['Redstone', '紅石'], ['Mobs', '生物'], ['Crafting', '合成'], ['Biomes', '生態域'], ['Enchanting', '附魔']
+    ], glossary: { 'zh-Hant': { 'Creeper': '苦力怕', 'Enderman': '終界使者', 'Nether': '地獄', 'Obsidian': '黑曜石', 'Redstone': '紅石' } } }
+];
+
+export const DEFAULT_ICON = 'image/pack.svg';
+
+// Uploaded icon types and their file extensions (no SVG: it could carry scripts)
+export const ICON_TYPES = { 'image/png': 'png', 'image/jpeg': 'jpg', 'image/webp': 'webp', 'image/gif': 'gif' };
+export const MAX_ICON_BYTES = 512 * 1024;
+
+// How questions reach players of other languages: written natively in their language, or written in English and translated
+export const LANGUAGE_MODES = ['native', 'translate'];
+
+const MAX_NAME_LENGTH = 60;
+const MAX_DESCRIPTION_LENGTH = 500;
+const MAX_TOPICS = 30;
+const MAX_GLOSSARY_TERMS = 200; // Per language
+
+// Shown in the subject grid, so no markup
+function cleanText(value, maxLength) {
+    return String(value ?? '').replace(/[<>]/g, '').trim().slice(0, maxLength);
+}
+
+/**
+ * Stable id of a topic from its English name ("Cell biology" -> "cell-biology")
+ */
+export function topicId(name) {
+    return String(name).normalize('NFKC').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '').slice(0, MAX_NAME_LENGTH);
+}
+
+function defaultTopics(pairs = []) {
+    return pairs.map(([en, zhHant]) => ({ id: topicId(en), names: { en, 'zh-Hant': zhHant } }));
+}
+
+class SubjectCatalog {
+    /**
+     * @param {string} filePath - JSON file the catalog is persisted to
+     * @param {string} iconDir - folder for uploaded icons
+     * @param {Function} logFn - logger (message, type)
+     */
+    constructor(filePath = path.join('data', 'subjects.json'), iconDir = path.join('data', 'subject_icons'), logFn = console.log) {
+        this.filePath = filePath;
+        this.iconDir = iconDir;
+        this.log = logFn;
+        this.subjects = new Map(); // id -> subject record
+        this.saveTimer = null;
+
+        this.load();
+    }
+
+    load() {
+        try {
+            if (fs.existsSync(this.filePath)) {
+                const data = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+                (data.subjects || []).forEach(subject => {
+                    // Catalogs saved before sub-topics existed get the built-in topics
+                    if (!Array.isArray(subject.topics)) {
+                        subject.topics = defaultTopics(DEFAULT_SUBJECTS.find(builtIn => builtIn.id === subject.id)?.topics);
+                    }
+                    // ...and before glossaries existed, the built-in glossary
+                    if (!subject.glossary) {
+                        subject.glossary = DEFAULT_SUBJECTS.find(builtIn => builtIn.id === subject.id)?.glossary || {};
+                    }
+                    if (!LANGUAGE_MODES.includes(subject.languageMode)) {
+                        subject.languageMode = 'native';
+                    }
+                    // Catalogs saved before Traditional and Simplified Chinese were separate languages used "zh" for Traditional
+                    subject.names = this.validateNames(subject.names);
+                    subject.topics = subject.topics.map(topic => ({ ...topic, names: this.validateNames(topic.names) }));
+                    subject.glossary = this.validateGlossary(subject.glossary);
+                    this.subjects.set(subject.id, subject);
+                });
+                this.log(`[SUBJECTS] Loaded ${this.subjects.size} subjects from ${this.filePath}`);
+                return;
+            }
+        } catch (error) {
+            this.log(`[SUBJECTS] Failed to load ${this.filePath}, using the built-in subjects: ${error.message}`, 'error');
+        }
+
+        const now = new Date().toISOString();
+        DEFAULT_SUBJECTS.forEach((subject, order) => {
+            this.subjects.set(subject.id, {
+                ...subject,
+                names: this.validateNames(subject.names),
+                topics: this.validateTopics(defaultTopics(subject.topics)),
+                glossary: subject.glossary || {},
+                languageMode: 'native',
+                description: '',
+                enabled: true,
+                modes: { singleplayer: true, multiplayer: true },
+                order,
+                createdAt: now,
+                updatedAt: now
+            });
+        });
+    }
+
+    // Writes are batched like the question bank's
+    scheduleSave() {
+        if (this.saveTimer) return;
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.save();
+        }, 500);
+    }
+
+    flush() {
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+            this.save();
+        }
+    }
+
+    save() {
+        try {
+            const dir = path.dirname(this.filePath);
+            if (!fs.existsSync(dir)) {
+                fs.mkdirSync(dir, { recursive: true });
+            }
+            const tempPath = this.filePath + '.tmp';
+            fs.writeFileSync(tempPath, JSON.stringify({ version: 1, subjects: Array.from(this.subjects.values()) }, null, 2), 'utf-8');
+            fs.renameSync(tempPath, this.filePath);
+        } catch (error) {
+            this.log(`[SUBJECTS] Failed to save ${this.filePath}: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Subjects in grid order
+     * @param {Object} options - { includeDisabled }
+     */
+    list({ includeDisabled = false } = {}) {
+        return Array.from(this.subjects.values())
+            .filter(subject => includeDisabled || subject.enabled)
+            .sort((a, b) => a.order - b.order || a.names.en.localeCompare(b.names.en))
+            .map(subject => this.toPublic(subject));
+    }
+
+    get(id) {
+        return this.subjects.get(id) || null;
+    }
+
+    /**
+     * Whether a catalog subject may be played in a mode. Deleted and unknown ids may not; "pack:" and "material:"
+     * subjects are checked against their own stores by the caller.
+     * @param {string} id
+     * @param {string} mode - 'singleplayer' or 'multiplayer'
+     */
+    isPlayable(id, mode) {
+        const subject = this.subjects.get(id);
+        if (!subject) return false;
+        return subject.enabled && subject.modes[mode] !== false;
+    }
+
+    /**
+     * Add a subject
+     * @param {Object} input - { id?, names: { en, 'zh-Hant', 'zh-Hans' }, description, topics: [{ id?, names }], glossary, languageMode, enabled, modes, order }
+     * @returns {Object} the public record
+     */
+    create(input) {
+        const names = this.validateNames(input.names);
+        const id = cleanText(input.id || names.en, MAX_NAME_LENGTH);
+        if (!id) {
+            throw new Error('Subject id is required');
+        }
+        if (id.startsWith('pack:') || id.startsWith('material:')) {
+            throw new Error('Subject ids starting with "pack:" or "material:" are reserved for question packs and study material');
+        }
+        if (Array.from(this.subjects.keys()).some(existing => existing.toLowerCase() === id.toLowerCase())) {
+            throw new Error(`Subject "${id}" already exists`);
+        }
+
+        const now = new Date().toISOString();
+        const maxOrder = Math.max(-1, ...Array.from(this.subjects.values()).map(subject => subject.order));
+        const subject = {
+            id,
+            names,
+            description: cleanText(input.description, MAX_DESCRIPTION_LENGTH),
+            topics: this.validateTopics(input.topics),
+            glossary: this.validateGlossary(input.glossary),
+            languageMode: this.validateLanguageMode(input.languageMode),
+            icon: DEFAULT_ICON,
+            enabled: input.enabled !== false,
+            modes: {
+                singleplayer: input.modes?.singleplayer !== false,
+                multiplayer: input.modes?.multiplayer !== false
+            },
+            order: Number.isFinite(input.order) ? input.order : maxOrder + 1,
+            createdAt: now,
+            updatedAt: now
+        };
+        this.subjects.set(id, subject);
+        this.scheduleSave();
+        return this.toPublic(subject);
+    }
+
+    /**
+     * Change a subject's names, description, topics, glossary, language mode, flags or order (the id stays)
+     * @returns {Object|null} the public record, or null if there is no such subject
+     */
+    update(id, changes) {
+        const subject = this.subjects.get(id);
+        if (!subject) return null;
+
+        if (changes.names !== undefined) {
+            const names = { ...subject.names, ...changes.names };
+            // A new Traditional name with the old Simplified one kept would leave the two out of step: convert it again
+            const traditional = changes.names['zh-Hant'] ?? changes.names.zh;
+            if (traditional !== undefined && traditional !== subject.names['zh-Hant'] && names['zh-Hans'] === subject.names['zh-Hans']) {
+                delete names['zh-Hans'];
+            }
+            subject.names = this.validateNames(names);
+        }
+        if (changes.description !== undefined) {
+            subject.description = cleanText(changes.description, MAX_DESCRIPTION_LENGTH);
+        }
+        if (changes.topics !== undefined) {
+            subject.topics = this.validateTopics(changes.topics);
+        }
+        if (changes.glossary !== undefined) {
+            subject.glossary = this.validateGlossary(changes.glossary);
+        }
+        if (changes.languageMode !== undefined) {
+            subject.languageMode = this.validateLanguageMode(changes.languageMode);
+        }
+        if (changes.enabled !== undefined) {
+            subject.enabled = Boolean(changes.enabled);
+        }
+        if (changes.modes) {
+            ['singleplayer', 'multiplayer'].forEach(mode => {
+                if (changes.modes[mode] !== undefined) subject.modes[mode] = Boolean(changes.modes[mode]);
+            });
+        }
+        if (Number.isFinite(changes.order)) {
+            subject.order = changes.order;
+        }
+        subject.updatedAt = new Date().toISOString();
+        this.scheduleSave();
+        return this.toPublic(subject);
+    }
+
+    remove(id) {
+        const subject = this.subjects.get(id);
+        if (!subject) return false;
+
+        this.deleteIconFile(subject);
+        this.subjects.delete(id);
+        this.scheduleSave();
+        return true;
+    }
+
+    /**
+     * Store an uploaded icon
+     * @param {string} id
+     * @param {string} dataUrl - "data:image/png;base64,..."
+     * @returns {Object|null} the public record, or null if there is no such subject
+     */
+    setIcon(id, dataUrl) {
+        const subject = this.subjects.get(id);
+        if (!subject) return null;
+
+        const match = String(dataUrl || '').match(/^data:([\w/+.-]+);base64,(.+)$/s);
+        if (!match || !ICON_TYPES[match[1]]) {
+            throw new Error(`Icon must be a base64 data URL of type ${Object.keys(ICON_TYPES).join(', ')}`);
+        }
+        const bytes = Buffer.from(match[2], 'base64');
+        if (bytes.length === 0 || bytes.length > MAX_ICON_BYTES) {
+            throw new Error(`Icon must be between 1 byte and ${MAX_ICON_BYTES / 1024} KB`);
+        }
+
+        if (!fs.existsSync(this.iconDir)) {
+            fs.mkdirSync(this.iconDir, { recursive: true });
+        }
+        this.deleteIconFile(subject);
+        // The id in hex keeps any id (including CJK) a safe file name; the timestamp busts browser caches
+        const fileName = `${Buffer.from(id).toString('hex').slice(0, 80)}-${Date.now()}.${ICON_TYPES[match[1]]}`;
+        fs.writeFileSync(path.join(this.iconDir, fileName), bytes);
+
+        subject.iconFile = fileName;
+        subject.icon = `api/subjects/${encodeURIComponent(id)}/icon?v=${Date.now()}`;
+        subject.updatedAt = new Date().toISOString();
+        this.scheduleSave();
+        return this.toPublic(subject);
+    }
+
+    /**
+     * Absolute path of a subject's uploaded icon, or null when it uses a bundled image
+     */
+    getIconPath(id) {
+        const subject = this.subjects.get(id);
+        if (!subject || !subject.iconFile) return null;
+        const filePath = path.resolve(this.iconDir, subject.iconFile);
+        return fs.existsSync(filePath) ? filePath : null;
+    }
+
+    deleteIconFile(subject) {
+        if (!subject.iconFile) return;
+        try {
+            fs.rmSync(path.join(this.iconDir, subject.iconFile), { force: true });
+        } catch (error) {
+            this.log(`[SUBJECTS] Failed to delete icon ${subject.iconFile}: ${error.message}`, 'warn');
+        }
+        delete subject.iconFile;
+        subject.icon = DEFAULT_ICON;
+    }
+
+    /**
+     * The catalog topics of a subject with the given ids, in catalog order. Unknown ids are dropped.
+     * @returns {Object[]} [{ id, names }]
+     */
+    resolveTopics(id, topicIds) {
+        const subject = this.subjects.get(id);
+        if (!subject || !Array.isArray(topicIds) || topicIds.length === 0) return [];
+        return (subject.topics || []).filter(topic => topicIds.includes(topic.id));
+    }
+
+    // Topics keep their id when renamed, so questions stored under a topic stay with it
+    validateTopics(topics = []) {
+        if (!Array.isArray(topics)) {
+            throw new Error('Topics must be a list');
+        }
+        const seen = new Set();
+        return topics.slice(0, MAX_TOPICS).map(topic => {
+            const names = this.validateNames(topic.names);
+            return { id: topicId(topic.id || names.en), names };
+        }).filter(topic => {
+            if (!topic.id || seen.has(topic.id)) return false;
+            seen.add(topic.id);
+            return true;
+        });
+    }
+
+    /**
+     * Terms a subject's questions must translate the same way every time (see script/translation.js)
+     * A Chinese script without its own glossary uses the other script's, converted.
+     * @returns {Object} { term: translation }, empty when the subject has no glossary for the language
+     */
+    getGlossary(id, language) {
+        const glossary = this.subjects.get(id)?.glossary || {};
+        if (glossary[language]) return glossary[language];
+        const other = otherScript(language);
+        if (!other || !glossary[other]) return {};
+        return Object.fromEntries(Object.entries(glossary[other]).map(([term, translation]) => [term, convertScript(translation, language)]));
+    }
+
+    /**
+     * 'native' or 'translate' (see LANGUAGE_MODES). Subjects outside the catalog (packs, study material) are written natively.
+     */
+    getLanguageMode(id) {
+        return this.subjects.get(id)?.languageMode || 'native';
+    }
+
+    validateLanguageMode(languageMode = 'native') {
+        if (!LANGUAGE_MODES.includes(languageMode)) {
+            throw new Error(`Language mode must be one of ${LANGUAGE_MODES.join(', ')}`);
+        }
+        return languageMode;
+    }
+
+    // { language: { English term: translation } }
+    validateGlossary(glossary = {}) {
+        if (typeof glossary !== 'object' || glossary === null || Array.isArray(glossary)) {
+            throw new Error('The glossary must map languages to { term: translation } objects');
+        }
+        return Object.fromEntries(Object.entries(glossary)
+            .map(([language, terms]) => [normalizeLanguage(language, ''), terms])
+            .filter(([language]) => /^[a-z]{2}(-[A-Za-z]+)?$/.test(language))
+            .map(([language, terms]) => [language, Object.fromEntries(Object.entries(terms || {})
+                .map(([term, translation]) => [cleanText(term, MAX_NAME_LENGTH), cleanText(translation, MAX_NAME_LENGTH)])
+                .filter(([term, translation]) => term && translation)
+                .slice(0, MAX_GLOSSARY_TERMS))]));
+    }
+
+    validateNames(names) {
+        const en = cleanText(names?.en, MAX_NAME_LENGTH);
+        if (!en) {
+            throw new Error('An English name is required');
+        }
+        // An empty Simplified name is the Traditional one converted; "zh" is the Traditional name of older catalogs
+        const traditional = cleanText(names?.['zh-Hant'] ?? names?.zh, MAX_NAME_LENGTH) || en;
+        return { en, 'zh-Hant': traditional, 'zh-Hans': cleanText(names?.['zh-Hans'], MAX_NAME_LENGTH) || toSimplified(traditional) };
+    }
+
+    // Record as sent to clients (without the icon's file name)
+    toPublic(subject) {
+        const { iconFile, ...rest } = subject;
+        return rest;
+    }
+}
+
+export default SubjectCatalog;
@@ -0,0 +1,327 @@
+// Translation module
+// Translates verified questions field by field through a chain of translation providers, with a cache and per-subject glossaries
+//
+// Providers are tried in order until one returns a usable translation. Glossary terms ("Creeper" -> "苦力怕") are
+// swapped for numbered placeholders before a text is sent and put back afterwards, so every question of a subject
+// uses the same terminology whatever the service does with the rest of the sentence. Math and chemistry markup
+// (script/notation.js) is swapped out the same way and goes back exactly as written.
+//
+// Traditional (zh-Hant) and Simplified (zh-Hans) Chinese are translated and cached separately. Whatever script a
+// service answers in, the result is converted to the requested one locally (script/chinese_script.js), and when
+// no service answers, a cached translation in the other script is converted instead.
+
+import fs from 'fs';
+import path from 'path';
+import { QuizError, ERROR_CODES } from './errors.js';
+import { otherScript } from './languages.js';
+import { convertScript } from './chinese_script.js';
+import { MATH_PATTERN, stripMath } from './notation.js';
+
+// Built-in providers, tried in this order unless TRANSLATION_PROVIDERS says otherwise
+const DEFAULT_PROVIDERS = ['libretranslate', 'mymemory'];
+
+const DEFAULT_CACHE_SIZE = 5000;
+const PLACEHOLDER = /[[［]\s*(\d+)\s*[\]］]/g; // "[0]", also after a service turned it full-width
+
+// LibreTranslate API: the public instance, or a self-hosted one (LIBRETRANSLATE_URL) for a local, keyless setup
+// Its "zh" is Simplified Chinese and "zt" Traditional
+const LIBRETRANSLATE_CODES = { 'zh-Hans': 'zh', 'zh-Hant': 'zt' };
+
+class LibreTranslateProvider {
+    constructor(name, options) {
+        this.name = name;
+        this.baseURL = (options.baseURL || 'https://libretranslate.com').replace(/\/+$/, '');
+        this.apiKey = options.apiKey;
+        this.timeoutMs = options.timeoutMs;
+    }
+
+    async translate(text, language) {
+        const response = await fetch(`${this.baseURL}/translate`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+            body: JSON.stringify({ q: text, source: 'en', target: LIBRETRANSLATE_CODES[language] || language, format: 'text', ...(this.apiKey ? { api_key: this.apiKey } : {}) }),
+            signal: AbortSignal.timeout(this.timeoutMs)
+        });
+        if (!response.ok) {
+            throw new Error(`${this.name} returned ${response.status}`);
+        }
+        const data = await response.json();
+        if (!data.translatedText) {
+            throw new Error(`${this.name} returned no translation`);
+        }
+        return data.translatedText;
+    }
+}
+
+// MyMemory free API. It rejects texts over 500 bytes, so longer fields are left to the other providers.
+const MYMEMORY_CODES = { 'zh-Hans': 'zh-CN', 'zh-Hant': 'zh-TW' };
+
+class MyMemoryProvider {
+    constructor(name, options) {
+        this.name = name;
+        this.timeoutMs = options.timeoutMs;
+    }
+
+    async translate(text, language) {
+        if (Buffer.byteLength(text) > 500) {
+            throw new Error(`${this.name} only takes texts up to 500 bytes`);
+        }
+        const response = await fetch(
+            `https://api.mymemory.translated.net/get?q=${encodeURIComponent(text)}&langpair=en|${MYMEMORY_CODES[language] || language}`,
+            { signal: AbortSignal.timeout(this.timeoutMs) }
+        );
+        if (!response.ok) {
+            throw new Error(`${this.name} returned ${response.status}`);
+        }
+        const data = await response.json();
+        if (Number(data.responseStatus) !== 200 || !data.responseData?.translatedText) {
+            throw new Error(`${this.name}: ${data.responseDetails || 'no translation'}`);
+        }
+        return data.responseData.translatedText;
+    }
+}
+
+// Deterministic offline stand-in (no network, CI): tags the text with the language instead of translating it
+class MockTranslationProvider {
+    constructor(name) {
+        this.name = name;
+    }
+
+    async translate(text, language) {
+        return `[${language}] ${text}`;
+    }
+}
+
+const PROVIDER_TYPES = {
+    libretranslate: LibreTranslateProvider,
+    mymemory: MyMemoryProvider,
+    mock: MockTranslationProvider
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Replace math spans and glossary terms in a text with numbered placeholders
+ * @param {Object} glossary - { term: translation }, matched case-insensitively, longest term first
+ * @returns {{ text: string, terms: string[] }} terms[i] is what goes back into placeholder i (the math span itself,
+ *   or the term's translation)
+ */
+export function protectTerms(text, glossary = {}) {
+    const terms = [];
+    const placeholder = value => {
+        terms.push(value);
+        return `[${terms.length - 1}]`;
+    };
+    // Math first, so a glossary term inside a formula is not replaced
+    let protectedText = text.replace(MATH_PATTERN, match => placeholder(match));
+
+    const entries = Object.entries(glossary).filter(([term, translation]) => term && translation);
+    if (entries.length === 0) return { text: protectedText, terms };
+
+    const lookup = new Map(entries.map(([term, translation]) => [term.toLowerCase(), translation]));
+    const pattern = entries
+        .map(([term]) => term)
+        .sort((a, b) => b.length - a.length)
+        .map(term => (/^\w/.test(term) ? '\\b' : '') + escapeRegExp(term) + (/\w$/.test(term) ? '\\b' : ''))
+        .join('|');
+    protectedText = protectedText.replace(new RegExp(pattern, 'gi'), match => placeholder(lookup.get(match.toLowerCase())));
+    return { text: protectedText, terms };
+}
+
+/**
+ * Put glossary translations back into a translated text
+ * @returns {string|null} null when the service lost a placeholder
+ */
+export function restoreTerms(text, terms) {
+    if (terms.length === 0) return text;
+    const restored = new Set();
+    const result = text.replace(PLACEHOLDER, (match, index) => {
+        if (terms[index] === undefined) return match;
+        restored.add(Number(index));
+        return terms[index];
+    });
+    return restored.size === terms.length ? result : null;
+}
+
+class TranslationService {
+    /**
+     * @param {string} cacheFile - JSON file the translation cache is persisted to
+     * @param {Function} logFn - logger (message, type)
+     */
+    constructor(cacheFile = path.join('data', 'translation_cache.json'), logFn = console.log) {
+        this.cacheFile = cacheFile;
+        this.log = logFn;
+        this.providers = [];
+        this.cache = new Map(); // "<language>\n<text with placeholders>" -> translation, least recently used first
+        this.cacheSize = DEFAULT_CACHE_SIZE;
+        this.hits = 0;
+        this.misses = 0;
+        this.saveTimer = null;
+
+        this.load();
+    }
+
+    /**
+     * Build the provider chain from env.
+     * Env: TRANSLATION_PROVIDERS (comma-separated, tried in order: libretranslate, mymemory, mock),
+     * LIBRETRANSLATE_URL, LIBRETRANSLATE_API_KEY, TRANSLATION_TIMEOUT_SECONDS, TRANSLATION_CACHE_SIZE
+     */
+    configure(env = process.env) {
+        const names = env.TRANSLATION_PROVIDERS
+            ? env.TRANSLATION_PROVIDERS.split(',').map(name => name.trim()).filter(Boolean)
+            : DEFAULT_PROVIDERS;
+        const options = {
+            baseURL: env.LIBRETRANSLATE_URL,
+            apiKey: env.LIBRETRANSLATE_API_KEY,
+            timeoutMs: parseInt(env.TRANSLATION_TIMEOUT_SECONDS || '10') * 1000
+        };
+        this.cacheSize = Math.max(0, parseInt(env.TRANSLATION_CACHE_SIZE || String(DEFAULT_CACHE_SIZE)));
+
+        this.providers = names.map(name => {
+            const ProviderClass = PROVIDER_TYPES[name];
+            if (!ProviderClass) {
+                throw new Error(`Unknown translation provider "${name}" (use ${Object.keys(PROVIDER_TYPES).join(', ')})`);
+            }
+            return new ProviderClass(name, options);
+        });
+        this.log(`[Translation] Providers: ${names.join(' -> ')}${options.baseURL ? ` (LibreTranslate at ${options.baseURL})` : ''}`);
+        return this;
+    }
+
+    load() {
+        try {
+            if (!fs.existsSync(this.cacheFile)) {
+                return;
+            }
+            const data = JSON.parse(fs.readFileSync(this.cacheFile, 'utf-8'));
+            // Caches from before the Chinese scripts were separate keyed Chinese as "zh"; the services answered in Simplified
+            (data.entries || []).forEach(([key, translation]) => this.cache.set(key.replace(/^zh\n/, 'zh-Hans\n'), translation));
+            this.log(`[Translation] Loaded ${this.cache.size} cached translations from ${this.cacheFile}`);
+        } catch (error) {
+            this.log(`[Translation] Failed to load ${this.cacheFile}: ${error.message}`, 'error');
+        }
+    }
+
+    // Writes are batched like the question bank's
+    scheduleSave() {
+        if (this.saveTimer) return;
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.save();
+        }, 500);
+    }
+
+    flush() {
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+            this.save();
+        }
+    }
+
+    save() {
+        try {
+            const dir = path.dirname(this.cacheFile);
+            if (!fs.existsSync(dir)) {
+                fs.mkdirSync(dir, { recursive: true });
+            }
+            const tempPath = this.cacheFile + '.tmp';
+            fs.writeFileSync(tempPath, JSON.stringify({ version: 1, entries: Array.from(this.cache.entries()) }), 'utf-8');
+            fs.renameSync(tempPath, this.cacheFile);
+        } catch (error) {
+            this.log(`[Translation] Failed to save ${this.cacheFile}: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Translate one English text. Texts without letters outside math (numbers, years, symbols, formulas) are returned as they are.
+     * @param {Object} glossary - { term: translation } for the target language
+     * @throws {QuizError} TRANSLATION_FAILED when no provider gave a usable translation (and, for Chinese, nothing
+     *   is cached in the other script)
+     */
+    async translate(text, language, glossary = {}) {
+        if (!text || language === 'en' || !/\p{L}/u.test(stripMath(text))) {
+            return text;
+        }
+
+        const { text: protectedText, terms } = protectTerms(text, glossary);
+        const key = `${language}\n${protectedText}`;
+        if (this.cache.has(key)) {
+            const cached = this.cache.get(key);
+            this.cache.delete(key); // Move to the most recently used end
+            this.cache.set(key, cached);
+            this.hits++;
+            return restoreTerms(cached, terms);
+        }
+        this.misses++;
+
+        const failures = [];
+        for (const provider of this.providers) {
+            try {
+                const translation = convertScript(await provider.translate(protectedText, language), language);
+                const restored = restoreTerms(translation, terms);
+                if (restored === null) {
+                    failures.push(`${provider.name} dropped a glossary term or formula`);
+                    continue;
+                }
+                this.remember(key, translation);
+                return restored;
+            } catch (error) {
+                failures.push(error.message);
+            }
+        }
+
+        // Offline fallback for Chinese: convert the other script's translation of the same text
+        const otherKey = otherScript(language) && `${otherScript(language)}\n${protectedText}`;
+        if (otherKey && this.cache.has(otherKey)) {
+            const translation = convertScript(this.cache.get(otherKey), language);
+            const restored = restoreTerms(translation, terms);
+            if (restored !== null) {
+                this.remember(key, translation);
+                return restored;
+            }
+        }
+        throw new QuizError(ERROR_CODES.TRANSLATION_FAILED, `No translation to ${language} (${failures.join('; ') || 'no providers'})`);
+    }
+
+    remember(key, translation) {
+        if (this.cacheSize === 0) return;
+        this.cache.set(key, translation);
+        while (this.cache.size > this.cacheSize) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+        this.scheduleSave();
+    }
+
+    /**
+     * Translate a parsed question: the question, each option, the explanation and each distractor note separately.
+     * Returns a translated copy; nothing is half-translated, the first failing field fails the whole question.
+     * Cantonese readings (jyutping) belong to the original wording, so the copy leaves them out.
+     * @throws {QuizError} TRANSLATION_FAILED
+     */
+    async translateQuestion(question, language, glossary = {}) {
+        const translate = text => this.translate(text, language, glossary);
+        const { jyutping, ...untranslated } = question;
+        const translated = { ...untranslated, question: await translate(question.question), options: [] };
+        for (const option of question.options) {
+            translated.options.push(await translate(option));
+        }
+        if (question.explanation) {
+            translated.explanation = await translate(question.explanation);
+            translated.distractorNotes = [];
+            for (const note of question.distractorNotes || []) {
+                translated.distractorNotes.push(note ? await translate(note) : '');
+            }
+        }
+        return translated;
+    }
+
+    describe() {
+        return {
+            providers: this.providers.map(provider => provider.name),
+            cache: { size: this.cache.size, limit: this.cacheSize, hits: this.hits, misses: this.misses }
+        };
+    }
+}
+
+export default TranslationService;
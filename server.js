@@ -1,10 +1,32 @@
 import express from 'express';
+import fs from 'fs';
 import cors from 'cors';
 import dotenv from 'dotenv';
-import { OpenAI } from 'openai';
 import { createServer } from 'http';
 import { Server } from 'socket.io';
 import ServerLogger from './script/server_log.js';
+import AIProviderRegistry from './script/ai_provider.js';
+import QuestionPool from './script/question_pool.js';
+import QuestionBank from './script/question_bank.js';
+import { FORMATS, parseQuestions, serializeQuestions, buildQuestionXML, decodeEntities } from './script/question_formats.js';
+import { parseExplanation, hasCompleteExplanation, EXPLANATION_RULE } from './script/explanations.js';
+import { DEFAULT_QUESTION_TYPE, isQuestionType, getQuestionType, parseAnswerList, normalizeQuestion, getCorrectAnswers, scoreAnswer, pickQuestionType, buildPromptFormat, QUESTION_TYPES } from './script/question_types.js';
+import { DIFFICULTY_TIERS, DEFAULT_DIFFICULTY, isDifficulty, resolveDifficulty, getDifficultyForLevel } from './script/difficulty.js';
+import { QuizError, ERROR_CODES } from './script/errors.js';
+import { duplicateCandidate, findDuplicateIn } from './script/similarity.js';
+import { createShuffleSeed, shuffleQuestion } from './script/shuffle.js';
+import PromptTemplates, { renderTemplate } from './script/prompt_templates.js';
+import PromptStats from './script/prompt_stats.js';
+import SubjectCatalog from './script/subject_catalog.js';
+import StudyMaterials, { isMaterialSubject, MATERIAL_FORMATS } from './script/study_material.js';
+import TranslationService from './script/translation.js';
+import { LANGUAGE_NAMES, normalizeLanguage, otherScript } from './script/languages.js';
+import { convertScript, convertQuestion } from './script/chinese_script.js';
+import { parseJyutping, JYUTPING_PROMPT_XML } from './script/jyutping.js';
+import CantoneseSeeds from './script/cantonese.js';
+import { NOTATION_RULE, questionHasBrokenMath } from './script/notation.js';
+import { parseAudio, verifyAudioQuestion } from './script/ear_training.js';
+import QuestionReports, { REPORT_REASONS, REPORT_ACTIONS } from './script/question_reports.js';
 
 dotenv.config();
 
@@ -19,7 +41,13 @@ const io = new Server(httpServer, {
 const PORT = process.env.PORT || 8080;
 
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: '5mb' })); // Question pack imports can be large
+// Runtime data (question bank with answers) must never be served as static files
+app.use('/data', (req, res) => res.sendStatus(404));
+// The Chinese page was merged into index.html (see script/i18n.js); keep old links working
+app.get('/index_zh.html', (req, res) => res.redirect('/index.html?lang=zh-Hant'));
+// Math renderer for questions (see script/notation_render.js), served from its npm package
+app.use('/vendor/katex', express.static('node_modules/katex/dist'));
 app.use(express.static('.'));
 
 // Initialize server logger
@@ -29,14 +57,83 @@ serverLogger.addLog('🚀 Server started', 'success');
 // Initialize client logs storage
 const clientLogs = new Map(); // playerId -> { logs: [], lastUpdated: timestamp }
 
-// Initialize OpenAI client with Hugging Face router
-const client = new OpenAI({
-    baseURL: "https://router.huggingface.co/v1",
-    apiKey: process.env.HF_API_KEY,
+// Initialize AI provider registry (configured from env and optional ai.config.json)
+const aiProvider = new AIProviderRegistry(broadcastLog).configure();
+
+// Persistent question bank (every verified question + who has seen it)
+const questionBank = new QuestionBank(process.env.QUESTION_BANK_FILE || 'data/question_bank.json', broadcastLog);
+
+// Players' reports of bad questions, reviewed in server.html (see /api/reports)
+const questionReports = new QuestionReports(process.env.QUESTION_REPORTS_FILE || 'data/question_reports.json', broadcastLog);
+
+// Generation prompt templates (prompts/default.prompt plus per-subject overrides) and their results per version
+const promptTemplates = new PromptTemplates(process.env.PROMPTS_DIR || 'prompts', broadcastLog);
+const promptStats = new PromptStats(process.env.PROMPT_STATS_FILE || 'data/prompt_stats.json', broadcastLog);
+
+// Playable subjects, managed from subjects.html (see /api/subjects)
+const subjectCatalog = new SubjectCatalog(
+    process.env.SUBJECTS_FILE || 'data/subjects.json',
+    process.env.SUBJECT_ICONS_DIR || 'data/subject_icons',
+    broadcastLog
+);
+
+// Translation of verified questions into the players' language (providers from TRANSLATION_PROVIDERS, cached per text)
+const translator = new TranslationService(process.env.TRANSLATION_CACHE_FILE || 'data/translation_cache.json', broadcastLog).configure();
+
+// Uploaded study notes, playable as "material:<id>" subjects (see /api/materials)
+const studyMaterials = new StudyMaterials(process.env.MATERIALS_FILE || 'data/materials.json', broadcastLog);
+
+// Question pool configuration
+// Defaults to every enabled catalog subject at startup
+const POOL_SUBJECTS = process.env.QUESTION_POOL_SUBJECTS
+    ? process.env.QUESTION_POOL_SUBJECTS.split(',').map(s => s.trim()).filter(Boolean)
+    : subjectCatalog.list().map(subject => subject.id);
+const POOL_LANGUAGES = (process.env.QUESTION_POOL_LANGUAGES || 'en').split(',').map(s => s.trim()).filter(Boolean).map(s => normalizeLanguage(s));
+// Question types the generator mixes (see script/question_types.js)
+const ENABLED_QUESTION_TYPES = (process.env.QUESTION_TYPES || Object.keys(QUESTION_TYPES).join(',')).split(',').map(s => s.trim()).filter(isQuestionType);
+// Subjects that also get ear-training (audio) questions, whose clip the browser synthesizes (see script/ear_training.js)
+const EAR_TRAINING_SUBJECTS = (process.env.EAR_TRAINING_SUBJECTS || 'Music Theory,electonic dance music').split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+// Answer verification: 'consensus' judges every option independently, 'answer' only checks the generated answer
+const VERIFY_MODE = process.env.VERIFY_MODE === 'answer' ? 'answer' : 'consensus';
+// Verification calls per option; with more than one, an option passes on a majority vote
+const VERIFY_SAMPLES = Math.max(1, parseInt(process.env.VERIFY_SAMPLES || '1') || 1);
+// Generation budgets: a request gives up (and falls back to stored questions) after this many attempts or seconds
+const GENERATION_MAX_ATTEMPTS = Math.max(1, parseInt(process.env.GENERATION_MAX_ATTEMPTS || '8') || 8);
+const GENERATION_TIMEOUT_MS = (parseInt(process.env.GENERATION_TIMEOUT_SECONDS || '120') || 120) * 1000;
+// AI calls per verification verdict before the verifier is treated as failed
+const VERIFY_MAX_ATTEMPTS = Math.max(1, parseInt(process.env.VERIFY_MAX_ATTEMPTS || '3') || 3);
+// Shuffle options before a question is served so the correct answer's slot gives nothing away
+const SHUFFLE_OPTIONS = process.env.SHUFFLE_OPTIONS !== 'false';
+// Only the first ladder tier is warmed at startup; other tiers are pooled once they are first requested
+const POOL_DIFFICULTIES = (process.env.QUESTION_POOL_DIFFICULTIES || getDifficultyForLevel(0)).split(',').map(s => s.trim()).filter(isDifficulty);
+
+// Pre-generated questions per subject/language, refilled in the background
+const questionPool = new QuestionPool({
+    generate: (subject, language, difficulty, pooledResults) => generateAndValidateQuestion(
+        subject,
+        [],
+        candidate => findDuplicateIn(candidate, pooledResults.map(getDuplicateCandidate)), // Avoid pooling near-duplicates of what is already waiting
+        'pool',
+        language,
+        true,
+        difficulty
+    ),
+    log: broadcastLog,
+    isAvailable: () => aiProvider.available, // No background generation while the AI circuit breaker is open
+    isSubjectActive: subject => isSubjectPlayable(subject, 'singleplayer') || isSubjectPlayable(subject, 'multiplayer'),
+    depth: parseInt(process.env.QUESTION_POOL_DEPTH ?? '3'),
+    concurrency: parseInt(process.env.QUESTION_POOL_CONCURRENCY || '2'),
+    maxAgeMs: parseInt(process.env.QUESTION_POOL_MAX_AGE_MINUTES || '60') * 60 * 1000
 });
 
-// AI Model configuration
-const AI_MODEL = "deepseek-ai/DeepSeek-V3.2";
+// Curated colloquial Cantonese that Cantonese questions are written from and checked against (see script/cantonese.js)
+const cantoneseSeeds = new CantoneseSeeds(process.env.CANTONESE_SEED_FILE || 'questions/cantonese_seed.json', broadcastLog);
+
+// Bundled questions served while the AI is unavailable (see takeOfflineQuestion), plus one per Cantonese seed entry
+const offlineQuestions = [
+    ...loadOfflineQuestions(process.env.OFFLINE_QUESTIONS_FILE || 'questions/offline.json'),
+    ...loadCantoneseSeedQuestions()
+];
 
 // Multiplayer game state
 const rooms = new Map(); // roomId -> { players: [], currentQuestion: {}, scores: {}, mode: 'collab'/'compete' }
@@ -63,70 +160,6 @@ function generateRoomCode() {
     return Math.random().toString(36).substring(2, 8).toUpperCase();
 }
 
-// ============================================================================
-// TRANSLATION FUNCTION using LibreTranslate
-// ============================================================================
-async function translateText(text, targetLanguage) {
-    // Only translate if target language is not English
-    if (targetLanguage === 'en') {
-        return text;
-    }
-
-    try {
-        // Map language codes to LibreTranslate codes
-        const languageMap = {
-            'zh': 'zh'  // Chinese (simplified)
-        };
-        
-        const targetLang = languageMap[targetLanguage] || targetLanguage;
-        
-        // Use a simple, reliable translation approach
-        // LibreTranslate public API
-        const response = await fetch('https://libretranslate.com/translate', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Accept': 'application/json'
-            },
-            body: JSON.stringify({
-                q: text.substring(0, 500),  // Limit text length
-                source: 'en',
-                target: targetLang
-            })
-        });
-
-        if (response.ok) {
-            const data = await response.json();
-            if (data.translatedText) {
-                broadcastLog(`[Translation] Successfully translated to ${targetLang}`);
-                return data.translatedText;
-            }
-        } else {
-            broadcastLog(`[Translation] Server returned ${response.status}, trying alternative...`, 'warn');
-        }
-
-        // Fallback: Use MyMemory API (completely free, no key needed)
-        broadcastLog(`[Translation] Falling back to MyMemory API`);
-        const fallbackResponse = await fetch(
-            `https://api.mymemory.translated.net/get?q=${encodeURIComponent(text.substring(0, 500))}&langpair=en|${targetLang}`
-        );
-        
-        if (fallbackResponse.ok) {
-            const fallbackData = await fallbackResponse.json();
-            if (fallbackData.responseData && fallbackData.responseData.translatedText) {
-                broadcastLog(`[Translation] MyMemory fallback successful`);
-                return fallbackData.responseData.translatedText;
-            }
-        }
-
-        broadcastLog('[Translation] All translation services failed, returning original text', 'warn');
-        return text;
-    } catch (error) {
-        broadcastLog('[Translation] Error translating text: ' + error.message, 'error');
-        return text; // Return original text if translation fails
-    }
-}
-
 // ============================================================================
 // UNIFIED GAME SEQUENCE (SINGLEPLAYER & MULTIPLAYER):
 // STEP 1: Game starts
@@ -139,63 +172,105 @@ async function translateText(text, targetLanguage) {
 // STEP 8: AI checks answer(s) and reveals result
 // ============================================================================
 
-// AI API using Hugging Face via OpenAI SDK
+// AI API via the configured provider (see script/ai_provider.js)
 // UNIFIED SINGLEPLAYER ENDPOINT using the unified question generation function
+// Clients that send "Accept: text/event-stream" get Server-Sent Events instead of JSON:
+// "progress" events while the question is generated, then one "question" or "error" event.
+// Closing the connection cancels generation.
 app.post('/chat', async (req, res) => {
+    const streaming = (req.headers.accept || '').includes('text/event-stream');
+    const cancellation = new AbortController();
+    res.on('close', () => {
+        if (!res.writableEnded) cancellation.abort(); // Client disconnected or pressed Cancel
+    });
+    if (streaming) {
+        res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', 'Connection': 'keep-alive' });
+        res.flushHeaders();
+    }
+    
     try {
-        const { message, subject, language } = req.body;
+        const { subject, language, playerId, level, difficulty: requestedDifficulty, seed, topics } = req.body;
         
         broadcastLog('[ROUND] Game start - Initiating unified game sequence');
         
         // Get subject
         let currentSubject = subject;
-        let targetLanguage = language || 'en';
-        broadcastLog(`[ROUND] STEP 1: Game started for subject: ${currentSubject}, language: ${targetLanguage}`);
+        let targetLanguage = normalizeLanguage(language); // "zh-Hant" or "zh-Hans" for Chinese ("zh" is Traditional)
+        if (!isSubjectPlayable(currentSubject, 'singleplayer')) {
+            broadcastLog(`[ROUND] Subject ${currentSubject} is not available`, 'warn');
+            return sendChatResult(res, streaming, 400, {
+                error: 'Subject is not available',
+                code: ERROR_CODES.SUBJECT_UNAVAILABLE
+            });
+        }
+        const difficulty = resolveDifficulty({ difficulty: requestedDifficulty, level });
+        broadcastLog(`[ROUND] STEP 1: Game started for subject: ${currentSubject}, language: ${targetLanguage}, difficulty: ${difficulty}${level !== undefined ? ` (level ${level})` : ''}`);
         
-        // Use unified function to generate and validate question with 10-second retry delay
-        // STEP 2 & 3: Generate question and verify answer
-        const result = await generateAndValidateQuestion(
-            currentSubject,
-            [], // No conversation history for singleplayer initial question
-            [], // No askedQuestions tracking for singleplayer
-            'singleplayer',
-            targetLanguage,  // Pass target language to translation function
-            true // Enable 10-second retry delay
-        );
+        // STEP 2 & 3: Take a pre-verified question from the pool, or generate and verify one live
+        const result = await getNextQuestion(currentSubject, {
+            mode: 'singleplayer',
+            language: targetLanguage,
+            audiences: playerId ? [`player:${playerId}`] : [],
+            difficulty,
+            topics: Array.isArray(topics) ? topics.map(String) : [], // Optional sub-topic ids from the subject catalog
+            shuffleSeed: seed ? String(seed) : null, // Optional, replays the same option order
+            onProgress: streaming ? progress => writeEvent(res, 'progress', progress) : null,
+            signal: cancellation.signal
+        });
         
         if (!result.parsedData || result.correctAnswerIndex === -1) {
             broadcastLog('[ROUND] Failed to generate valid question after multiple attempts', 'error');
-            return res.status(500).json({ 
+            return sendChatResult(res, streaming, 500, { 
                 error: 'Failed to generate valid question',
                 attempts: result.attempts
             });
         }
         
-        broadcastLog(`[ROUND] STEP 5: Valid question ready (after ${result.attempts} attempts)`);
+        broadcastLog(`[ROUND] STEP 5: Valid question ready (${describeQuestionSource(result)})`);
         broadcastLog('[ROUND] STEP 6: Timer will start on client side after UI render');
         
         // Return both the raw response and verified answer
-        res.json({ 
+        sendChatResult(res, streaming, 200, { 
             response: result.aiResponse,
-            correctAnswer: result.correctAnswerIndex 
+            correctAnswer: result.correctAnswerIndex,
+            difficulty: result.difficulty || difficulty,
+            topic: result.topic || null, // Sub-topic id the question was written for
+            questionId: result.questionId || null, // Question bank id, for reporting the question
+            offline: Boolean(result.offline) // Served from stored questions because the AI is unavailable
         });
 
     } catch (error) {
         broadcastLog('[ROUND] Error in unified game sequence: ' + error.message, 'error');
-        res.status(500).json({ 
+        sendChatResult(res, streaming, error instanceof QuizError ? 503 : 500, { 
             error: 'Failed to initiate game',
+            code: error.code || null,
             details: error.message 
         });
     }
 });
 
+// Write one Server-Sent Event
+function writeEvent(res, event, data) {
+    if (!res.writableEnded) {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+}
+
+// Finish a /chat request: JSON with a status code, or the closing "question"/"error" event of the stream
+function sendChatResult(res, streaming, status, body) {
+    if (res.writableEnded || res.destroyed) return; // Client already went away (e.g. cancelled)
+    if (!streaming) return res.status(status).json(body);
+    writeEvent(res, status < 400 ? 'question' : 'error', body);
+    res.end();
+}
+
 // ============================================================================
 // STEP 7-8: SINGLEPLAYER ANSWER CHECK WITH AI
 // Verifies player answer and reveals result
 // ============================================================================
 app.post('/checkAnswer', async (req, res) => {
     try {
-        const { question, selectedAnswer, allOptions, correctAnswerIndex, subject } = req.body;
+        const { question, selectedAnswer, allOptions, correctAnswerIndex, questionType, selectedIndices, correctAnswers } = req.body;
         
         if (!question || !selectedAnswer || !allOptions || correctAnswerIndex === undefined) {
             return res.status(400).json({ error: 'Missing required fields' });
@@ -206,27 +281,20 @@ app.post('/checkAnswer', async (req, res) => {
         broadcastLog(`Selected: "${selectedAnswer}" (Index: ${allOptions.indexOf(selectedAnswer)})`);
         broadcastLog(`Correct: "${allOptions[correctAnswerIndex]}" (Index: ${correctAnswerIndex})`);
         
-        // Check if subject is Cantonese - skip verification and mark as correct
-        if (subject === '粵語' || subject === 'Cantonese') {
-            broadcastLog('[Cantonese] Skipping answer verification - marking as correct');
-            const selectedIndex = allOptions.indexOf(selectedAnswer);
-            return res.json({ 
-                isCorrect: true,  // Always correct for Cantonese
-                correctAnswerIndex: selectedIndex,  // User's selected answer is the correct one
-                selectedIndex: selectedIndex
-            });
-        }
-        
-        // STEP 7-8: Compare indices directly (answer already verified during question generation)
-        const selectedIndex = allOptions.indexOf(selectedAnswer);
-        const isCorrect = (selectedIndex === correctAnswerIndex);
+        // STEP 7-8: Score against the answer verified during question generation
+        // Multi-select sends every selected index and earns partial credit
+        const quiz = { type: questionType, answer: correctAnswerIndex, answers: correctAnswers };
+        const selectedIndex = Array.isArray(selectedIndices) ? selectedIndices : allOptions.indexOf(selectedAnswer);
+        const { isCorrect, credit } = scoreAnswer(quiz, selectedIndex);
         
-        broadcastLog(`Result: ${isCorrect ? '✓ CORRECT' : '✗ INCORRECT'}`);
+        broadcastLog(`Result: ${isCorrect ? '✓ CORRECT' : (credit > 0 ? `◐ PARTIAL (${credit})` : '✗ INCORRECT')}`);
         
         // Return verification result
         res.json({ 
             isCorrect: isCorrect,
+            credit: credit,
             correctAnswerIndex: correctAnswerIndex,
+            correctAnswers: getCorrectAnswers(quiz),
             selectedIndex: selectedIndex
         });
         
@@ -262,6 +330,523 @@ app.get('/api/logs', (req, res) => {
     res.json(filteredLogs);
 });
 
+// ============================================================================
+// QUESTION POOL STATUS - Ready questions per subject/language
+// ============================================================================
+app.get('/api/pool', (req, res) => {
+    res.json({
+        enabled: questionPool.enabled,
+        depth: questionPool.depth,
+        levels: questionPool.getLevels()
+    });
+});
+
+// ============================================================================
+// TRANSLATION - Provider chain and cache statistics (see script/translation.js)
+// ============================================================================
+app.get('/api/translation', (req, res) => {
+    res.json(translator.describe());
+});
+
+// ============================================================================
+// LOCALES - UI languages for the game's language switcher (one locales/<code>.json message catalog each)
+// ============================================================================
+app.get('/api/locales', (req, res) => {
+    const locales = [];
+    fs.readdirSync('locales').filter(file => file.endsWith('.json')).forEach(file => {
+        const code = file.slice(0, -'.json'.length);
+        try {
+            const messages = JSON.parse(fs.readFileSync(`locales/${file}`, 'utf-8'));
+            locales.push({ code, name: messages['language.name'] || code });
+        } catch (error) {
+            broadcastLog(`[LOCALES] Skipping locales/${file}: ${error.message}`, 'warn');
+        }
+    });
+    res.json({ locales });
+});
+
+// ============================================================================
+// PROMPT TEMPLATES - Loaded templates and generation results per template version
+// ============================================================================
+app.get('/api/prompts', (req, res) => {
+    res.json({
+        templates: promptTemplates.list(),
+        stats: promptStats.summary()
+    });
+});
+
+// ============================================================================
+// SUBJECT CATALOG - Playable subjects (see script/subject_catalog.js), managed from subjects.html
+// ============================================================================
+app.get('/api/subjects', (req, res) => {
+    res.json({ subjects: subjectCatalog.list({ includeDisabled: req.query.all === '1' }) });
+});
+
+app.post('/api/subjects', (req, res) => {
+    try {
+        const subject = subjectCatalog.create(req.body || {});
+        broadcastLog(`[SUBJECTS] Created "${subject.id}"`, 'success');
+        res.json({ subject });
+    } catch (error) {
+        res.status(400).json({ error: 'Invalid subject', details: error.message });
+    }
+});
+
+app.put('/api/subjects/:id', (req, res) => {
+    try {
+        const subject = subjectCatalog.update(req.params.id, req.body || {});
+        if (!subject) {
+            return res.status(404).json({ error: 'Subject not found' });
+        }
+        if (!questionPool.isSubjectActive(subject.id)) questionPool.dropSubject(subject.id);
+        broadcastLog(`[SUBJECTS] Updated "${subject.id}"${subject.enabled ? '' : ' (disabled)'}`);
+        res.json({ subject });
+    } catch (error) {
+        res.status(400).json({ error: 'Invalid subject', details: error.message });
+    }
+});
+
+app.delete('/api/subjects/:id', (req, res) => {
+    if (!subjectCatalog.remove(req.params.id)) {
+        return res.status(404).json({ error: 'Subject not found' });
+    }
+    questionPool.dropSubject(req.params.id);
+    broadcastLog(`[SUBJECTS] Deleted "${req.params.id}" (its banked questions are kept)`);
+    res.json({ success: true });
+});
+
+// Icon upload as { image: "data:image/png;base64,..." }
+app.post('/api/subjects/:id/icon', (req, res) => {
+    try {
+        const subject = subjectCatalog.setIcon(req.params.id, req.body?.image);
+        if (!subject) {
+            return res.status(404).json({ error: 'Subject not found' });
+        }
+        broadcastLog(`[SUBJECTS] New icon for "${subject.id}"`);
+        res.json({ subject });
+    } catch (error) {
+        res.status(400).json({ error: 'Invalid icon', details: error.message });
+    }
+});
+
+// Uploaded icons live under data/, which is not served statically
+app.get('/api/subjects/:id/icon', (req, res) => {
+    const iconPath = subjectCatalog.getIconPath(req.params.id);
+    if (!iconPath) {
+        return res.status(404).json({ error: 'Icon not found' });
+    }
+    res.sendFile(iconPath);
+});
+
+// ============================================================================
+// QUESTION PACKS - Import/export question sets (see script/question_formats.js)
+// Imported packs are playable as subject "pack:<id>" without calling the AI
+// ============================================================================
+app.get('/api/packs', (req, res) => {
+    res.json({ packs: questionBank.listPacks(), formats: Object.keys(FORMATS) });
+});
+
+app.post('/api/packs/import', (req, res) => {
+    const { name, format, content, language } = req.body;
+    if (!name || !content) {
+        return res.status(400).json({ error: 'Missing name or content' });
+    }
+    if (format && !FORMATS[format]) {
+        return res.status(400).json({ error: `Unsupported format "${format}"`, formats: Object.keys(FORMATS) });
+    }
+
+    try {
+        const parsed = parseQuestions(content, format || null);
+        if (parsed.questions.length === 0) {
+            return res.status(400).json({ error: 'No playable questions found', format: parsed.format, skipped: parsed.skipped });
+        }
+
+        const pack = questionBank.addPack({
+            name: String(name).replace(/[<>]/g, '').trim().slice(0, 60), // Shown in the subject grid
+            language: normalizeLanguage(language),
+            format: parsed.format,
+            questions: parsed.questions
+        });
+        broadcastLog(`[PACKS] Imported "${pack.name}" (${parsed.format}): ${pack.count} questions, ${parsed.skipped} skipped`, 'success');
+        res.json({ pack, skipped: parsed.skipped });
+    } catch (error) {
+        broadcastLog(`[PACKS] Import failed: ${error.message}`, 'error');
+        res.status(400).json({ error: 'Failed to parse question pack', details: error.message });
+    }
+});
+
+app.delete('/api/packs/:id', (req, res) => {
+    const questionIds = questionBank.find({ packId: req.params.id, includeRetired: true }).map(record => record.id);
+    if (!questionBank.removePack(req.params.id)) {
+        return res.status(404).json({ error: 'Pack not found' });
+    }
+    closeReportsOfDeleted(questionIds);
+    broadcastLog(`[PACKS] Deleted pack ${req.params.id}`);
+    res.json({ success: true });
+});
+
+// Export a pack, or AI-generated bank questions (?subject=History&language=en), in any supported format
+app.get('/api/packs/:id/export', (req, res) => {
+    const pack = questionBank.getPack(req.params.id);
+    if (!pack) {
+        return res.status(404).json({ error: 'Pack not found' });
+    }
+    sendQuestionExport(res, questionBank.find({ packId: pack.id }), req.query.format || 'json', pack.name);
+});
+
+app.get('/api/questions/export', (req, res) => {
+    const { subject, language } = req.query;
+    if (!subject) {
+        return res.status(400).json({ error: 'Missing subject' });
+    }
+    sendQuestionExport(res, questionBank.find({ subject, language: language ? normalizeLanguage(language) : undefined }), req.query.format || 'json', subject);
+});
+
+function sendQuestionExport(res, records, format, name) {
+    if (!FORMATS[format]) {
+        return res.status(400).json({ error: `Unsupported format "${format}"`, formats: Object.keys(FORMATS) });
+    }
+    const questions = records.map(record => ({
+        question: record.question,
+        options: record.options,
+        answer: record.answer,
+        ...(record.type ? { type: record.type, answers: record.answers } : {}),
+        ...(record.difficulty ? { difficulty: record.difficulty } : {}),
+        ...(record.explanation ? { explanation: record.explanation, distractorNotes: record.distractorNotes } : {}),
+        ...(record.jyutping ? { jyutping: record.jyutping } : {}),
+        ...(record.audio ? { audio: record.audio } : {})
+    }));
+    const fileName = `${name.replace(/[^\w\u4e00-\u9fff-]+/g, '_')}.${FORMATS[format].extension}`;
+
+    broadcastLog(`[PACKS] Exported ${questions.length} "${name}" questions as ${format}`);
+    res.setHeader('Content-Type', `${FORMATS[format].contentType}; charset=utf-8`);
+    res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(fileName)}`);
+    res.send(serializeQuestions(questions, format, { name }));
+}
+
+// ============================================================================
+// QUESTION REPORTS - Players flag bad questions; admins review them in server.html
+// Resolving a question closes all of its open reports: its answer key is corrected, its text edited, it is retired
+// from the bank, or it is kept as is. Points it cost players in rooms still playing can be refunded.
+// ============================================================================
+app.post('/api/reports', (req, res) => {
+    const { questionId, reason, comment, playerId, playerName, roomCode } = req.body || {};
+    const record = questionId ? questionBank.get(String(questionId)) : null;
+    if (!record) {
+        return res.status(404).json({ error: 'Question not found' });
+    }
+    try {
+        const { report, created } = questionReports.add({ questionId: record.id, reason, comment, playerId, playerName, roomCode });
+        if (created) {
+            broadcastLog(`[REPORTS] ${playerName || 'A player'} reported "${record.question.substring(0, 60)}" as ${reason}${roomCode ? ` in room ${roomCode}` : ''}`, 'warn');
+        }
+        res.json({ report: { id: report.id, status: report.status } });
+    } catch (error) {
+        res.status(400).json({ error: 'Invalid report', details: error.message, reasons: REPORT_REASONS });
+    }
+});
+
+app.get('/api/reports', (req, res) => {
+    const queue = questionReports.queue().map(group => ({
+        ...group,
+        question: questionBank.get(group.questionId),
+        refundableRooms: findRefundableRooms(group.questionId)
+    }));
+    res.json({ reasons: REPORT_REASONS, actions: REPORT_ACTIONS, open: questionReports.openCount, queue });
+});
+
+// { action: 'correct', answers } | { action: 'edit', question, options, answers?, explanation?, distractorNotes? } |
+// { action: 'retire' } | { action: 'dismiss' }, plus an optional note and refund: true
+app.post('/api/reports/:questionId/resolve', (req, res) => {
+    const { action, note, refund } = req.body || {};
+    const record = questionBank.get(req.params.questionId);
+    if (!record && action === 'dismiss') {
+        // Reports filed before their question was deleted can only be dismissed
+        return res.json({ resolved: questionReports.resolve(req.params.questionId, { action, note: String(note || '').trim(), refunds: [] }), question: null, refunds: [] });
+    }
+    if (!record) {
+        return res.status(404).json({ error: 'Question not found' });
+    }
+    if (!REPORT_ACTIONS.includes(action)) {
+        return res.status(400).json({ error: 'Invalid action', details: `Action must be one of ${REPORT_ACTIONS.join(', ')}` });
+    }
+
+    const reportedText = record.question.substring(0, 60); // Before an edit changes it
+    let question = record;
+    if (action === 'correct' || action === 'edit') {
+        try {
+            question = questionBank.update(record.id, correctQuestion(record, action === 'correct' ? { answers: req.body.answers } : req.body));
+        } catch (error) {
+            return res.status(400).json({ error: 'Invalid correction', details: error.message });
+        }
+    } else if (action === 'retire') {
+        question = questionBank.retire(record.id);
+    }
+    if (action !== 'dismiss') {
+        questionPool.discard(result => result.questionId === record.id); // Waiting copies still have the old version
+    }
+
+    // A new answer key re-scores the answers players gave; a retired question gives everyone who missed it full credit
+    const refunds = refund && action !== 'dismiss' ? refundQuestionPoints(record.id, action === 'retire' ? null : question) : [];
+    const resolved = questionReports.resolve(record.id, { action, note: String(note || '').trim(), refunds });
+    broadcastLog(`[REPORTS] ${action} "${reportedText}" (${resolved} report${resolved === 1 ? '' : 's'} closed${refunds.length > 0 ? `, refunded in ${refunds.map(r => r.roomCode).join(', ')}` : ''})`, 'success');
+    res.json({ resolved, question, refunds });
+});
+
+// The changes an admin's correction makes to a stored question, checked like an imported question.
+// A new answer key or option list drops the explanation written for the old one unless a new one is given,
+// and edited wording drops the Cantonese readings of the old wording.
+function correctQuestion(record, { question: text, options: optionList, answers: answerList, explanation, distractorNotes }) {
+    const question = text !== undefined ? String(text).trim() : record.question;
+    const options = Array.isArray(optionList) ? optionList.map(option => String(option).trim()) : record.options;
+    const answers = Array.isArray(answerList) ? answerList.map(Number) : getCorrectAnswers(record);
+    if (!question || options.some(option => !option)) {
+        throw new Error('The question and every option need text');
+    }
+    if (answers.length === 0 || answers.some(index => !Number.isInteger(index) || index < 0 || index >= options.length)) {
+        throw new Error('Answers must be indices of the options');
+    }
+    if (record.type !== 'multi' && answers.length !== 1) {
+        throw new Error(`A ${record.type} question has exactly one correct option`);
+    }
+    const normalized = normalizeQuestion({ ...record, question, options, answer: answers[0], answers });
+    if (!normalized) {
+        throw new Error(`${options.length} options do not fit a ${record.type} question`);
+    }
+    if (questionHasBrokenMath({ ...normalized, explanation: explanation ?? normalized.explanation, distractorNotes: distractorNotes || [] })) {
+        throw new Error('Unbalanced math markup');
+    }
+
+    const changes = { question, options, answer: normalized.answer, answers: normalized.answers };
+    const optionsChanged = options.length !== record.options.length || options.some((option, index) => option !== record.options[index]);
+    const answersChanged = normalized.answers.join(',') !== getCorrectAnswers(record).join(',');
+    if (explanation !== undefined) {
+        changes.explanation = String(explanation).trim() || null;
+        changes.distractorNotes = changes.explanation ? options.map((_, index) => String((distractorNotes || [])[index] || '').trim()) : [];
+    } else if (optionsChanged || answersChanged) {
+        changes.explanation = null;
+        changes.distractorNotes = [];
+    }
+    if (record.jyutping && (optionsChanged || question !== record.question)) {
+        changes.jyutping = null;
+    }
+    return changes;
+}
+
+// A deleted question can no longer be reviewed, so its open reports are dismissed with it
+function closeReportsOfDeleted(questionIds) {
+    const closed = questionIds.reduce((total, id) => total + questionReports.resolve(id, { action: 'dismiss', note: 'Question deleted', refunds: [] }), 0);
+    if (closed > 0) {
+        broadcastLog(`[REPORTS] Dismissed ${closed} report(s) of deleted questions`);
+    }
+}
+
+// Active rooms that scored a question and have not had its points refunded
+function findRefundableRooms(questionId) {
+    return Array.from(rooms.entries())
+        .filter(([, room]) => room.scoredQuestions.some(scored => scored.questionId === questionId && !scored.refunded))
+        .map(([roomCode]) => roomCode);
+}
+
+// Settle what a fixed question cost the players of every room still playing (collab rooms share one result).
+// With the corrected question, each player's picks are scored again against its answer key: points earned from
+// a wrong key are taken back and points missed because of it are given. Without one (a retired question),
+// everyone who missed it gets the point a right answer earns.
+function refundQuestionPoints(questionId, corrected = null) {
+    return findRefundableRooms(questionId).map(roomCode => {
+        const room = rooms.get(roomCode);
+        const scored = room.scoredQuestions.find(entry => entry.questionId === questionId && !entry.refunded);
+        scored.refunded = true;
+        const rescore = name => scoreAnswer(corrected, (scored.picks || {})[name] || []);
+        const teamCredit = corrected && Object.keys(scored.picks || {}).some(name => rescore(name).isCorrect) ? 1 : 0;
+        const players = room.players
+            .filter(player => player.name in scored.credits)
+            .map(player => {
+                const credit = !corrected ? 1 : room.mode === 'collab' ? teamCredit : rescore(player.name).credit;
+                const points = Math.round((credit - scored.credits[player.name]) * 100) / 100;
+                player.score = Math.round((player.score + points) * 100) / 100;
+                return { name: player.name, points };
+            })
+            .filter(player => player.points !== 0);
+        if (players.length > 0) {
+            io.to(roomCode).emit('pointsRefunded', { players, scores: room.players.map(p => ({ name: p.name, score: p.score })) });
+        }
+        broadcastLog(`[REPORTS] Room ${roomCode}: ${players.length > 0 ? players.map(p => `${p.name} ${p.points > 0 ? '+' : ''}${p.points}`).join(', ') : 'no score changes'}`);
+        return { roomCode, players };
+    });
+}
+
+// ============================================================================
+// QUESTION BROWSER - Search, edit, tag, delete and re-verify banked questions on questions.html
+// ============================================================================
+const QUESTION_PAGE_SIZE = 25;
+// Re-verification calls the AI for every option of every question, so one request checks at most this many
+const MAX_BULK_VERIFY = 25;
+
+// ?subject&language&text&from&to&tag&status&minReports&page&pageSize (see QuestionBank.search)
+app.get('/api/questions', (req, res) => {
+    const { subject, language, text, from, to, tag, status, minReports } = req.query;
+    const matches = questionBank.search({
+        subject: subject || undefined,
+        language: language ? normalizeLanguage(language) : undefined,
+        text,
+        from,
+        to,
+        tag,
+        status: ['active', 'retired', 'failed', 'all'].includes(status) ? status : 'all'
+    })
+        .map(record => ({ ...record, reports: questionReports.countFor(record.id) }))
+        .filter(record => record.reports >= (parseInt(minReports) || 0));
+
+    const pageSize = Math.min(100, Math.max(1, parseInt(req.query.pageSize) || QUESTION_PAGE_SIZE));
+    const pages = Math.max(1, Math.ceil(matches.length / pageSize));
+    const page = Math.min(pages, Math.max(1, parseInt(req.query.page) || 1));
+    res.json({
+        questions: matches.slice((page - 1) * pageSize, page * pageSize),
+        total: matches.length,
+        page,
+        pages,
+        pageSize,
+        subjects: questionBank.listSubjects(),
+        tags: questionBank.listTags()
+    });
+});
+
+// Inline edit: { question, options, answers, explanation?, distractorNotes?, difficulty?, tags? }, checked like a
+// correction from the review queue
+app.put('/api/questions/:id', (req, res) => {
+    const record = questionBank.get(req.params.id);
+    if (!record) {
+        return res.status(404).json({ error: 'Question not found' });
+    }
+    const { difficulty, tags } = req.body || {};
+    let changes;
+    try {
+        changes = correctQuestion(record, req.body || {});
+        if (difficulty !== undefined && difficulty !== record.difficulty) {
+            if (!isDifficulty(difficulty)) throw new Error(`Unknown difficulty "${difficulty}"`);
+            changes.difficulty = difficulty;
+        }
+    } catch (error) {
+        return res.status(400).json({ error: 'Invalid question', details: error.message });
+    }
+
+    const question = questionBank.update(record.id, changes);
+    if (Array.isArray(tags)) {
+        const wanted = tags.map(tag => String(tag).trim().toLowerCase());
+        questionBank.tag([record.id], { add: wanted, remove: (question.tags || []).filter(tag => !wanted.includes(tag)) });
+    }
+    questionPool.discard(result => result.questionId === record.id);
+    broadcastLog(`[QUESTIONS] Edited "${question.question.substring(0, 60)}"`);
+    res.json({ question: { ...question, reports: questionReports.countFor(question.id) } });
+});
+
+// { ids, action: 'delete' | 'verify' | 'tag' | 'untag', tags? }
+app.post('/api/questions/bulk', async (req, res) => {
+    const { action, tags } = req.body || {};
+    const ids = Array.isArray(req.body?.ids) ? req.body.ids.map(String).filter(id => questionBank.get(id)) : [];
+    if (ids.length === 0) {
+        return res.status(400).json({ error: 'No questions selected' });
+    }
+
+    if (action === 'delete') {
+        ids.forEach(id => questionBank.remove(id));
+        closeReportsOfDeleted(ids);
+        questionPool.discard(result => ids.includes(result.questionId));
+        broadcastLog(`[QUESTIONS] Deleted ${ids.length} question(s)`, 'warn');
+        return res.json({ deleted: ids.length });
+    }
+    if (action === 'tag' || action === 'untag') {
+        if (!Array.isArray(tags) || tags.length === 0) {
+            return res.status(400).json({ error: 'No tags given' });
+        }
+        const changed = questionBank.tag(ids, action === 'tag' ? { add: tags } : { remove: tags });
+        broadcastLog(`[QUESTIONS] ${action === 'tag' ? 'Tagged' : 'Untagged'} ${changed} question(s): ${tags.join(', ')}`);
+        return res.json({ changed });
+    }
+    if (action === 'verify') {
+        if (ids.length > MAX_BULK_VERIFY) {
+            return res.status(400).json({ error: 'Too many questions', details: `Re-verify at most ${MAX_BULK_VERIFY} questions at once` });
+        }
+        const results = await reverifyQuestions(ids);
+        return res.json({ results });
+    }
+    res.status(400).json({ error: 'Invalid action', details: 'Action must be one of delete, verify, tag, untag' });
+});
+
+// Check stored answer keys again with the current model (clips are checked against their spec, without the AI).
+// A failed check is only recorded: the admin decides whether to edit, retire or keep the question.
+async function reverifyQuestions(ids) {
+    const results = [];
+    for (const id of ids) {
+        const record = questionBank.get(id);
+        try {
+            const verdict = record.type === 'audio'
+                ? verifyAudioQuestion(record)
+                : await verifyQuestionAnswers(record, {
+                    template: promptTemplates.forSubject(record.subject, record.language),
+                    passage: record.source ? record.source.text : null,
+                    language: record.language
+                });
+            const { provider, model } = record.type === 'audio' ? { provider: 'clip', model: null } : aiProvider.describe();
+            questionBank.setVerification(id, { valid: verdict.valid, reason: verdict.reason || null, confidence: verdict.confidence, provider, model, verifiedAt: new Date().toISOString() });
+            results.push({ id, valid: verdict.valid, reason: verdict.reason || null, confidence: verdict.confidence });
+        } catch (error) {
+            results.push({ id, error: error.message });
+            if (!aiProvider.available) break; // Circuit breaker is open - the rest would fail too
+        }
+    }
+    const failed = results.filter(result => result.valid === false).length;
+    broadcastLog(`[QUESTIONS] Re-verified ${results.length} question(s): ${failed} failed${results.some(result => result.error) ? `, ${results.filter(result => result.error).length} could not be checked` : ''}`, failed > 0 ? 'warn' : 'success');
+    return results;
+}
+
+// ============================================================================
+// STUDY MATERIAL - Quizzes written from uploaded notes (see script/study_material.js)
+// Uploaded material is playable as subject "material:<id>"; every question cites its passage
+// ============================================================================
+app.get('/api/materials', (req, res) => {
+    res.json({ materials: studyMaterials.list(), formats: MATERIAL_FORMATS });
+});
+
+app.post('/api/materials', (req, res) => {
+    const { name, content, format, fileName, language } = req.body;
+    if (format && !MATERIAL_FORMATS.includes(format)) {
+        return res.status(400).json({ error: `Unsupported format "${format}"`, formats: MATERIAL_FORMATS });
+    }
+
+    try {
+        const material = studyMaterials.add({ name, content, format, fileName, language: normalizeLanguage(language) });
+        broadcastLog(`[MATERIALS] Added "${material.name}" (${material.format}): ${material.passages} passages, ${material.words} words`, 'success');
+        res.json({ material });
+    } catch (error) {
+        broadcastLog(`[MATERIALS] Upload failed: ${error.message}`, 'error');
+        res.status(400).json({ error: 'Failed to read study material', details: error.message });
+    }
+});
+
+// The passages questions are written from, for checking how the notes were split
+app.get('/api/materials/:id', (req, res) => {
+    const material = studyMaterials.get(req.params.id);
+    if (!material) {
+        return res.status(404).json({ error: 'Material not found' });
+    }
+    res.json({ material: studyMaterials.summarize(material), passages: material.chunks });
+});
+
+// Questions written from the material go with it
+app.delete('/api/materials/:id', (req, res) => {
+    if (!studyMaterials.remove(req.params.id)) {
+        return res.status(404).json({ error: 'Material not found' });
+    }
+    const subject = `material:${req.params.id}`;
+    const questionIds = questionBank.find({ subject, includeRetired: true }).map(record => record.id);
+    const removed = questionBank.removeSubject(subject);
+    closeReportsOfDeleted(questionIds);
+    broadcastLog(`[MATERIALS] Deleted material ${req.params.id} and ${removed} question(s) written from it`);
+    res.json({ success: true });
+});
+
 // ============================================================================
 // CLIENT LOGS ENDPOINTS - For client.html to fetch and store player logs
 // ============================================================================
@@ -329,9 +914,10 @@ function parseQuizJSON(text) {
             const xmlText = xmlMatch[0];
             broadcastLog('[XML Content]: ' + xmlText.substring(0, 100));
             
-            // Extract question text
+            // Extract question text. Models escape < and & like any XML; the text is stored decoded and
+            // buildQuestionXML escapes it again when the question is served
             const questionMatch = xmlText.match(/<text>([\s\S]*?)<\/text>/);
-            const question = questionMatch ? questionMatch[1].trim() : '';
+            const question = questionMatch ? decodeEntities(questionMatch[1].trim()) : '';
             
             // Extract options
             const optionsMatch = xmlText.match(/<options>([\s\S]*?)<\/options>/);
@@ -339,17 +925,26 @@ function parseQuizJSON(text) {
             if (optionsMatch) {
                 const optionMatches = optionsMatch[1].matchAll(/<option>([\s\S]*?)<\/option>/g);
                 for (const match of optionMatches) {
-                    options.push(match[1].trim());
+                    options.push(decodeEntities(match[1].trim()));
                 }
             }
             
-            // Extract answer if present (could be index or text)
+            // Extract question type if declared (single, truefalse or multi - see script/question_types.js)
+            const typeMatch = xmlText.match(/<type>([\s\S]*?)<\/type>/);
+            const declaredType = typeMatch ? typeMatch[1].trim().toLowerCase() : '';
+            const type = isQuestionType(declaredType) ? declaredType : DEFAULT_QUESTION_TYPE;
+            
+            // Extract answer if present (could be index or text; multi-select lists several)
             const answerMatch = xmlText.match(/<answer>([\s\S]*?)<\/answer>/);
             let answer = 0; // Default to first option
+            let answers = null;
             if (answerMatch) {
-                const answerText = answerMatch[1].trim();
-                // Check if it's a number (index)
-                if (!isNaN(answerText)) {
+                const answerText = decodeEntities(answerMatch[1].trim());
+                if (type === 'multi') {
+                    answers = parseAnswerList(answerText, options);
+                    answer = answers.length > 0 ? answers[0] : -1;
+                } else if (!isNaN(answerText)) {
+                    // Check if it's a number (index)
                     answer = parseInt(answerText);
                 } else {
                     // Try to find matching option
@@ -360,12 +955,20 @@ function parseQuizJSON(text) {
                 }
             }
             
+            const { explanation, distractorNotes } = parseExplanation(xmlText, options.length);
+            
             if (question && options.length > 0) {
-                broadcastLog('[XML Parsed Successfully]: question length=' + question.length + ', options=' + options.length + ', answer=' + answer);
+                broadcastLog('[XML Parsed Successfully]: type=' + type + ', question length=' + question.length + ', options=' + options.length + ', answer=' + (answers ? answers.join(',') : answer));
                 return {
                     question: question,
                     options: options,
-                    answer: answer
+                    answer: answer,
+                    type: type,
+                    ...(answers ? { answers: answers } : {}),
+                    explanation: decodeEntities(explanation),
+                    distractorNotes: distractorNotes.map(decodeEntities),
+                    ...parseJyutping(xmlText, options.length),
+                    ...parseAudio(xmlText)
                 };
             } else {
                 broadcastLog('[XML Parse Failed] Missing question or options');
@@ -468,7 +1071,9 @@ function parseQuizJSON(text) {
             return {
                 question: data.question,
                 options: options,
-                answer: data.answer
+                answer: data.answer,
+                ...(isQuestionType(data.type) ? { type: data.type } : {}),
+                ...(Array.isArray(data.answers) ? { answers: data.answers.map(Number) } : {})
             };
         }
         
@@ -543,11 +1148,14 @@ function parseQuizJSON(text) {
 }
 
 // Helper function to verify answer with AI
-async function verifyAnswerWithAI(question, answer, roomId = null) {
+// `verification.template` is the question's prompt template (its verify sections are in the question's language);
+// with a study material `verification.passage`, the answer is judged against the passage only
+async function verifyAnswerWithAI(question, answer, roomId = null, temperature = 0.1, verification = {}) {
+    const { template = promptTemplates.forSubject(''), passage = null, language = 'en' } = verification;
     let checkAttempts = 0;
     let lastError = null;
     
-    while (true) {
+    while (checkAttempts < VERIFY_MAX_ATTEMPTS) {
         // Check if answer check has been forcefully stopped for this room
         if (roomId && stopAnswerCheck.get(roomId)) {
             broadcastLog(`[AI Checking] Answer check forcefully stopped for room ${roomId}`, 'warn');
@@ -558,137 +1166,292 @@ async function verifyAnswerWithAI(question, answer, roomId = null) {
         checkAttempts++;
         
         try {
-            // More detailed and accurate verification prompt
-            const prompt = `Question: "${question}"
-
-Proposed Answer: "${answer}"
-
-Is the proposed answer CORRECT and ACCURATE for this question? 
-
-Consider:
-- Is this answer factually correct?
-- Does it directly answer the question?
-- Is it the best/most accurate answer?
-
-Respond with ONLY one word: "YES" if correct, "NO" if incorrect or inaccurate.`;
+            // Verification prompt from the template (prompts/default.prompt, or the language's own in prompts/languages/)
+            const prompt = renderTemplate(passage ? template.sections.verify_passage : template.sections.verify, { question, answer, passage });
             
             broadcastLog(`[AI Checking] Attempt ${checkAttempts}: Question: "${question.substring(0, 60)}..."`);
             broadcastLog(`[AI Checking] Testing answer: "${answer.substring(0, 60)}..."`);
             
-            const chatCompletion = await client.chat.completions.create({
-                model: AI_MODEL,
+            const chatCompletion = await aiProvider.chat({
+                purpose: 'verify',
                 messages: [{ role: "user", content: prompt }],
                 max_tokens: 20,
-                temperature: 0.1, // Very low temperature for more consistent/accurate responses
+                temperature: temperature, // Very low by default for consistent answers; raised when sampling several verdicts
+                context: { question, answer, passage, language }
             });
 
-            const aiResponse = chatCompletion.choices[0].message.content.toLowerCase().trim();
-            broadcastLog('[Original AI Response - Answer Verification]: ' + chatCompletion.choices[0].message.content);
+            const aiResponse = chatCompletion.content.toLowerCase().trim();
+            broadcastLog('[Original AI Response - Answer Verification]: ' + chatCompletion.content);
             broadcastLog(`[AI Response] AI says: "${aiResponse}`);
             
-            // Check for various yes/no variations
-            const yesVariations = ['yes', 'yeah', 'yep', 'yup', 'correct', 'true', 'right', 'affirmative'];
-            const noVariations = ['no', 'nope', 'nah', 'incorrect', 'false', 'wrong', 'negative'];
-            
-            // Check YES variations first (more strictly)
-            for (const variation of yesVariations) {
-                if (aiResponse.includes(variation)) {
-                    broadcastLog(`[AI Checking] Result: CORRECT (matched "${variation}")`);
-                    return true;
-                }
+            // Models asked in Chinese sometimes answer in Chinese. Only the first word is the verdict (after any
+            // punctuation), so a "yes" that goes on to quote a negated phrase stays a yes; 不正確 starts with a negation.
+            if (/^[\s\p{P}\p{S}]*[不否錯错]/u.test(aiResponse)) {
+                broadcastLog(`[AI Checking] Result: INCORRECT (Chinese negative)`);
+                return false;
+            }
+            if (/^[\s\p{P}\p{S}]*(是|對|对|正確|正确)/u.test(aiResponse)) {
+                broadcastLog(`[AI Checking] Result: CORRECT (Chinese affirmative)`);
+                return true;
             }
             
-            // Check NO variations
-            for (const variation of noVariations) {
-                if (aiResponse.includes(variation)) {
-                    broadcastLog(`[AI Checking] Result: INCORRECT (matched "${variation}")`);
-                    return false;
-                }
+            // English verdicts are read from the first word too: "incorrect", "not correct" or "No, the right answer
+            // is..." must not count as a yes because "correct" appears later in the reply
+            const verdict = aiResponse.match(/^[\s\p{P}\p{S}]*(yes|yeah|yep|yup|correct|true|right|affirmative|no|nope|nah|not|incorrect|false|wrong|negative)\b/u);
+            if (verdict) {
+                const isYes = ['yes', 'yeah', 'yep', 'yup', 'correct', 'true', 'right', 'affirmative'].includes(verdict[1]);
+                broadcastLog(`[AI Checking] Result: ${isYes ? 'CORRECT' : 'INCORRECT'} (matched "${verdict[1]}")`);
+                return isYes;
             }
             
             // If response is unclear/uncertain, retry
             broadcastLog(`[AI Checking] Attempt ${checkAttempts}: Response unclear: "${aiResponse}"`);
             
-            broadcastLog(`[AI Checking] Retrying answer check (attempt ${checkAttempts + 1})...`);
-            await new Promise(resolve => setTimeout(resolve, 1000)); // Wait 1 second before retry
+            if (checkAttempts < VERIFY_MAX_ATTEMPTS) {
+                broadcastLog(`[AI Checking] Retrying answer check (attempt ${checkAttempts + 1})...`);
+                await new Promise(resolve => setTimeout(resolve, 1000)); // Wait 1 second before retry
+            }
             continue;
             
         } catch (error) {
+            if (error.code === ERROR_CODES.AI_UNAVAILABLE) {
+                throw error; // Circuit breaker is open - retrying would not reach the provider
+            }
             lastError = error;
             broadcastLog(`[AI Checking] Attempt ${checkAttempts}: Error verifying answer: ${error.message}`, 'error');
             
-            broadcastLog(`[AI Checking] Retrying answer check after error (attempt ${checkAttempts + 1})...`);
-            await new Promise(resolve => setTimeout(resolve, 2000)); // Wait 2 seconds before retry
+            if (checkAttempts < VERIFY_MAX_ATTEMPTS) {
+                broadcastLog(`[AI Checking] Retrying answer check after error (attempt ${checkAttempts + 1})...`);
+                await new Promise(resolve => setTimeout(resolve, 2000)); // Wait 2 seconds before retry
+            }
             continue;
         }
     }
+    
+    throw new QuizError(ERROR_CODES.VERIFICATION_FAILED, `No usable verdict after ${checkAttempts} attempt(s)${lastError ? ': ' + lastError.message : ''}`);
 }
 
-// Helper function to find correct answer by checking all options
-async function findCorrectAnswerWithAI(question, options) {
-    broadcastLog(`Verifying all options for question: "${question.substring(0, 60)}..."`);
+// Helper function to judge every option independently, VERIFY_SAMPLES times each.
+// An option passes when most of its samples say it is correct.
+// Confidence is the average share of samples that agree with the answer key, across all options.
+// @returns {{ votes: number[], passing: number[], confidence: number }}
+async function judgeOptionsWithAI(question, options, answers, samples = VERIFY_SAMPLES, verification = {}) {
+    broadcastLog(`[VERIFY] Judging all ${options.length} options (${samples} sample${samples > 1 ? 's' : ''} each) for: "${question.substring(0, 60)}..."`);
     
+    const votes = [];
     for (let i = 0; i < options.length; i++) {
-        const isCorrect = await verifyAnswerWithAI(question, options[i]);
-        broadcastLog(`  Option ${i + 1} (${options[i].substring(0, 40)}...): ${isCorrect ? '✓ CORRECT' : '✗ Wrong'}`);
-        
-        if (isCorrect) {
-            return i;
+        let yes = 0;
+        for (let sample = 0; sample < samples; sample++) {
+            if (await verifyAnswerWithAI(question, options[i], null, samples > 1 ? 0.7 : 0.1, verification)) {
+                yes++;
+            }
         }
+        votes.push(yes);
+        broadcastLog(`  Option ${i + 1} (${options[i].substring(0, 40)}...): ${yes}/${samples} ${yes * 2 > samples ? '✓ PASS' : '✗ FAIL'}`);
     }
     
-    broadcastLog('  Warning: No correct answer found among all options');
-    return -1; // Return -1 to indicate no correct answer found
+    const passing = votes.map((yes, i) => yes * 2 > samples ? i : -1).filter(i => i >= 0);
+    const agreement = votes.map((yes, i) => answers.includes(i) ? yes / samples : 1 - yes / samples);
+    const confidence = Math.round(agreement.reduce((sum, value) => sum + value, 0) / options.length * 100) / 100;
+    return { votes, passing, confidence };
+}
+
+// Check a parsed question's answer key against the AI's verdicts (see VERIFY_MODE).
+// Single-choice and true/false questions need exactly one passing option, and it must be the declared answer.
+// Multi-select questions need the passing options to match the declared answers.
+// `verification` ({ template, passage, language }) is passed on to verifyAnswerWithAI.
+// @returns {{ valid: boolean, confidence: number, reason: string|null }}
+async function verifyQuestionAnswers(parsedData, verification = {}) {
+    const { question, options, answers, type } = parsedData;
+    
+    if (VERIFY_MODE === 'answer' && type !== 'multi') {
+        let yes = 0;
+        for (let sample = 0; sample < VERIFY_SAMPLES; sample++) {
+            if (await verifyAnswerWithAI(question, options[parsedData.answer], null, VERIFY_SAMPLES > 1 ? 0.7 : 0.1, verification)) {
+                yes++;
+            }
+        }
+        const valid = yes * 2 > VERIFY_SAMPLES;
+        return {
+            valid,
+            confidence: Math.round(yes / VERIFY_SAMPLES * 100) / 100,
+            reason: valid ? null : `the marked answer (option ${parsedData.answer + 1}) was judged wrong`
+        };
+    }
+    
+    const { passing, confidence } = await judgeOptionsWithAI(question, options, answers, VERIFY_SAMPLES, verification);
+    const listOptions = (indices) => indices.map(i => i + 1).join(', ');
+    let reason = null;
+    
+    if (type === 'multi') {
+        if (passing.join(',') !== answers.join(',')) {
+            reason = `options ${listOptions(passing) || 'none'} passed but options ${listOptions(answers)} were marked correct`;
+        }
+    } else if (passing.length === 0) {
+        reason = 'no option was judged correct';
+    } else if (passing.length > 1) {
+        reason = `ambiguous - options ${listOptions(passing)} were all judged correct`;
+    } else if (passing[0] !== parsedData.answer) {
+        reason = `option ${passing[0] + 1} was judged correct but option ${parsedData.answer + 1} was marked`;
+    }
+    
+    return { valid: reason === null, confidence, reason };
+}
+
+// Ask the AI why the verified answer is right and why each other option is wrong.
+// Fills in only what the question is missing; a failed call leaves the question without an explanation.
+async function explainQuestionWithAI(parsedData, mode = 'singleplayer', language = 'en') {
+    const correct = parsedData.answers;
+    const prompt = `Question: "${parsedData.question}"
+
+Options:
+${parsedData.options.map((option, index) => `${index}. ${option}${correct.includes(index) ? ' (correct)' : ''}`).join('\n')}
+
+Explain why the correct answer is right and why each wrong option is wrong. ${EXPLANATION_RULE}${language !== 'en' ? ` Write in ${LANGUAGE_NAMES[language] || language}.` : ''}
+
+Respond ONLY with this XML:
+<explanation>One or two sentences on why the correct answer is right</explanation>
+<distractors>
+    <distractor index="0-based index of a wrong option">One sentence on why that option is wrong</distractor>
+</distractors>`;
+    
+    try {
+        const chatCompletion = await aiProvider.chat({
+            purpose: 'explain',
+            messages: [{ role: "user", content: prompt }],
+            max_tokens: 400,
+            temperature: 0.3,
+            context: { question: parsedData.question, options: parsedData.options, answers: correct, language }
+        });
+        
+        const { explanation, distractorNotes } = parseExplanation(chatCompletion.content, parsedData.options.length);
+        parsedData.explanation = parsedData.explanation || decodeEntities(explanation);
+        parsedData.distractorNotes = distractorNotes.map((note, index) =>
+            correct.includes(index) ? '' : ((parsedData.distractorNotes || [])[index] || decodeEntities(note)));
+        
+        broadcastLog(`[${mode.toUpperCase()}] [Explanation] ${hasCompleteExplanation(parsedData) ? '✓ Explanation added' : 'Explanation is incomplete'}`,
+            hasCompleteExplanation(parsedData) ? 'log' : 'warn');
+    } catch (error) {
+        broadcastLog(`[${mode.toUpperCase()}] [Explanation] Error explaining question: ${error.message}`, 'warn');
+    }
 }
 
 // ============================================================================
 // UNIFIED QUESTION GENERATION FUNCTION
 // Applies to both singleplayer and multiplayer
 // STEP 2 & 3: Generate question and verify answer
+// `findDuplicate` maps a { question, answer } candidate to the question it repeats, or null (see script/similarity.js)
+// `onProgress` receives a { stage, attempt, maxAttempts, ... } event at each step (see reportProgress);
+// aborting `signal` stops the loop between AI calls with a CANCELLED error;
+// `topic` is a catalog sub-topic { id, names } the question must stay within
 // ============================================================================
-async function generateAndValidateQuestion(subject, conversationHistory = [], askedQuestions = [], mode = 'singleplayer', targetLanguage = 'en', enableRetryDelay = false) {
+async function generateAndValidateQuestion(subject, conversationHistory = [], findDuplicate = () => null, mode = 'singleplayer', targetLanguage = 'en', enableRetryDelay = false, difficulty = DEFAULT_DIFFICULTY, { onProgress = null, signal = null, topic = null } = {}) {
     let attempts = 0;
     let isDuplicate = true;
     let isValidJSON = false;
     let correctAnswerIndex = -1;
     let aiResponse = '';
     let parsedData = null;
+    let servedBy = null; // { provider, model } of the last successful generation call
+    let sourceQuestion = null;
+    let sourceAnswer = null;
+    let confidence = null; // Verification confidence (0-1), null when the answer was not verified
+    let rejectionReason = null; // Why verification rejected the previous attempt
+    // Questions for other languages are written in that language unless the subject's language mode is 'translate';
+    // a translated subject switches to native writing once its translation fails
+    let writeNatively = targetLanguage !== 'en' && subjectCatalog.getLanguageMode(subject) === 'native';
+    let translationFailed = false; // The previous attempt was only discarded because its translation failed
+    const startedAt = Date.now();
+    const progress = (stage, details = {}) => reportProgress(onProgress, { stage, attempt: attempts, maxAttempts: GENERATION_MAX_ATTEMPTS, ...details });
+    
+    // Study material subjects write each question from one passage of the notes
+    const material = studyMaterials.forSubject(subject);
+    if (isMaterialSubject(subject) && !material) {
+        throw new QuizError(ERROR_CODES.NO_QUESTIONS_AVAILABLE, `Study material ${subject} does not exist`);
+    }
+    let passage = null; // { index, text } of the passage the current attempt is written from
+    const triedPassages = [];
+    
+    // Cantonese subjects write each question about one entry of the curated seed set, checked against that entry
+    const cantonese = cantoneseSeeds.covers(subject);
+    let seed = null; // Seed entry the current attempt is written from
+    const triedSeeds = [];
     
     // Ensure subject is properly capitalized for display
-    const displaySubject = subject.charAt(0).toUpperCase() + subject.slice(1).toLowerCase();
+    const displaySubject = material ? material.name : subject.charAt(0).toUpperCase() + subject.slice(1).toLowerCase();
+    
+    // Question type and option count stay the same across retries; only music subjects ask about a clip
+    const earTraining = EAR_TRAINING_SUBJECTS.includes(String(subject).toLowerCase());
+    const { type: questionType, optionCount } = pickQuestionType(ENABLED_QUESTION_TYPES.filter(type => type !== 'audio' || earTraining));
+    
+    // Prompt template for the subject and the language it is written in (see prompts/) and the variables it can use
+    const catalogSubject = subjectCatalog.get(subject);
+    let template = null;
+    const promptVariables = {
+        scope: catalogSubject?.description ? `Scope: ${catalogSubject.description}` : '', // Admin-written description from the subject catalog
+        typeLabel: QUESTION_TYPES[questionType].label,
+        typeLabelZh: QUESTION_TYPES[questionType].labelZh, // For the Chinese template (prompts/languages/zh.prompt)
+        typeRule: QUESTION_TYPES[questionType].rule,
+        optionCount,
+        difficulty: DIFFICULTY_TIERS[difficulty].prompt,
+        difficultyZh: DIFFICULTY_TIERS[difficulty].promptZh,
+        explanationRule: EXPLANATION_RULE,
+        notationRule: NOTATION_RULE,
+        format: buildPromptFormat(questionType, optionCount),
+        jyutping: JYUTPING_PROMPT_XML,
+        passage: ''
+    };
+    const writeIn = (language) => {
+        template = promptTemplates.forSubject(subject, language);
+        const name = catalogSubject?.names[language] || displaySubject;
+        promptVariables.subject = name;
+        promptVariables.subjectLower = name.toLowerCase();
+        promptVariables.topic = topic ? `Sub-topic: ${topic.names[language] || topic.names.en}. The question must be about this sub-topic of ${name}.` : '';
+        promptVariables.language = language !== 'en' ? `Write the question, every option and the explanation in ${LANGUAGE_NAMES[language] || language}.` : '';
+    };
+    writeIn(writeNatively ? targetLanguage : 'en');
+    let attemptOutcome = null; // Each attempt counts once in the template's stats
+    const recordOutcome = outcome => {
+        attemptOutcome = outcome;
+        promptStats.record(template.versionId, outcome);
+    };
     
-    // Unlimited retries until we get valid question with correct answer
+    // Retry until we get a valid question with a correct answer, within the attempt and time budgets
     while (isDuplicate || !isValidJSON || correctAnswerIndex === -1) {
+        throwIfCancelled(signal, mode);
+        const elapsed = Date.now() - startedAt;
+        if (attempts >= GENERATION_MAX_ATTEMPTS || elapsed >= GENERATION_TIMEOUT_MS) {
+            broadcastLog(`[${mode.toUpperCase()}] Giving up on ${displaySubject} after ${attempts} attempt(s) in ${Math.round(elapsed / 1000)}s`, 'error');
+            throw new QuizError(ERROR_CODES.GENERATION_BUDGET_EXCEEDED, `No valid ${displaySubject} question after ${attempts} attempt(s)`);
+        }
         attempts++;
+        attemptOutcome = null;
         
-        // Add 10-second delay before each retry attempt (except first attempt)
+        // Add a delay of up to 10 seconds before each retry attempt (except first attempt), never past the time budget
         if (enableRetryDelay && attempts > 1) {
-            broadcastLog(`[${mode.toUpperCase()}] Attempt ${attempts}: Waiting 10 seconds before retry...`);
-            await new Promise(resolve => setTimeout(resolve, 10000));
+            const delay = Math.min(10000, GENERATION_TIMEOUT_MS - elapsed);
+            broadcastLog(`[${mode.toUpperCase()}] Attempt ${attempts}: Waiting ${Math.round(delay / 1000)} seconds before retry...`);
+            progress('waiting', { seconds: Math.round(delay / 1000) });
+            await waitUnlessCancelled(delay, signal);
+            throwIfCancelled(signal, mode);
+        }
+        
+        // Every attempt moves on to another passage, so a passage that yields no verifiable question is not retried
+        if (material) {
+            passage = studyMaterials.pickChunk(material.id, triedPassages);
+            triedPassages.push(passage.index);
+            promptVariables.passage = passage.text;
+        }
+        if (cantonese) {
+            seed = cantoneseSeeds.pick(triedSeeds);
+            triedSeeds.push(seed.term);
+            promptVariables.passage = cantoneseSeeds.describe(seed);
         }
         
-        broadcastLog(`[${mode.toUpperCase()}] Attempt ${attempts}: Generating ${displaySubject} question...`);
+        broadcastLog(`[${mode.toUpperCase()}] Attempt ${attempts}: Generating ${displaySubject}${topic ? ` → ${topic.names.en}` : ''}${passage ? ` (passage ${passage.index + 1}/${material.chunks.length})` : ''}${seed ? ` (seed 「${seed.term}」)` : ''} question${writeNatively ? ` in ${targetLanguage}` : ''} (${questionType}, ${optionCount} options, ${difficulty}, prompt ${template.versionId})...`);
+        progress('generating');
         
-        const baseMessage = `You MUST generate a multiple choice question ONLY about ${displaySubject}. Do NOT generate questions about other subjects.
-
-Topic: ${displaySubject}
-Generate a ${displaySubject.toLowerCase()} multiple choice question with 4 options.
-
-CRITICAL: You MUST respond ONLY in XML format. Do NOT use JSON. Do NOT use any other format.
-
-Required XML structure:
-<question>
-    <text>Your question here</text>
-    <options>
-        <option>First option</option>
-        <option>Second option</option>
-        <option>Third option</option>
-        <option>Fourth option</option>
-    </options>
-    <answer>Index of correct option (0-based)</answer>
-</question>
-
-Generate the ${displaySubject} question now using ONLY the XML format above:`;
+        const baseMessage = renderTemplate(template.sections.generate, promptVariables);
         
         // Build messages array with conversation history for context
         const messages = [];
@@ -700,44 +1463,58 @@ Generate the ${displaySubject} question now using ONLY the XML format above:`;
         }
         
         // Add instruction to avoid duplicates or fix format if this is a retry
-        if (attempts > 1) {
-            if (!isValidJSON) {
-                messages.push({ 
-                    role: "system", 
-                    content: `The previous response was invalid. Generate VALID XML format with all tags properly closed. Remember: ONLY about ${displaySubject}.`
-                });
-            } else if (isDuplicate) {
+        if (attempts > 1 && !translationFailed) {
+            const retrySection = rejectionReason ? 'retry_rejected'
+                : !isValidJSON ? 'retry_invalid'
+                : isDuplicate ? 'retry_duplicate'
+                : correctAnswerIndex === -1 ? 'retry_wrong_answer'
+                : null;
+            if (retrySection) {
                 messages.push({ 
                     role: "system", 
-                    content: `Generate a completely different ${displaySubject} question than before. Stay ONLY within the ${displaySubject} subject but use a different topic or concept.`
-                });
-            } else if (correctAnswerIndex === -1) {
-                messages.push({ 
-                    role: "system", 
-                    content: `The previous question had no correct answer. Generate a ${displaySubject} question where ONE of the four options is DEFINITELY the correct answer. Make sure it's about ${displaySubject}.`
+                    content: renderTemplate(template.sections[retrySection], { ...promptVariables, reason: rejectionReason })
                 });
             }
         }
         
+        translationFailed = false;
+        
         // Add current question request
         messages.push({ role: "user", content: baseMessage });
         
         try {
-            const chatCompletion = await client.chat.completions.create({
-                model: AI_MODEL,
+            const chatCompletion = await aiProvider.chat({
+                purpose: 'generate',
                 messages: messages,
                 max_tokens: 500,
                 temperature: Math.min(1.2, 0.7 + (attempts * 0.15)), // Increase temperature on retries
+                context: { subject, mode, type: questionType, passage: promptVariables.passage || null, seed, language: writeNatively ? targetLanguage : 'en' }
             });
 
-            aiResponse = chatCompletion.choices[0].message.content;
-            broadcastLog(`[${mode.toUpperCase()}] Response received, length: ${aiResponse.length}`);
+            throwIfCancelled(signal, mode);
+            aiResponse = chatCompletion.content;
+            rejectionReason = null;
+            servedBy = { provider: chatCompletion.provider, model: chatCompletion.model };
+            broadcastLog(`[${mode.toUpperCase()}] Response received from ${servedBy.provider} / ${servedBy.model}, length: ${aiResponse.length}`);
             
-            // STEP 1: Parse the XML response
+            // STEP 1: Parse the XML response and check it is a playable question of its type
             parsedData = parseQuizJSON(aiResponse);
+            parsedData = parsedData && normalizeQuestion(parsedData);
+            // Models writing Chinese slip into the other script now and then; put every character in the requested one
+            if (parsedData && writeNatively && otherScript(targetLanguage)) {
+                parsedData = convertQuestion(parsedData, targetLanguage);
+            }
+            
+            // Math markup the browser cannot typeset would show up as raw LaTeX
+            if (parsedData && questionHasBrokenMath(parsedData)) {
+                broadcastLog(`[${mode.toUpperCase()}] Attempt ${attempts}: Unbalanced math markup`);
+                parsedData = null;
+            }
             
             if (!parsedData) {
-                broadcastLog(`[${mode.toUpperCase()}] Attempt ${attempts}: Failed to parse XML`);
+                broadcastLog(`[${mode.toUpperCase()}] Attempt ${attempts}: Failed to parse XML (or options/answers do not fit the question type)`);
+                progress('parse_failed');
+                recordOutcome('parseFailed');
                 isValidJSON = false;
                 isDuplicate = true;
                 continue;
@@ -748,196 +1525,489 @@ Generate the ${displaySubject} question now using ONLY the XML format above:`;
             broadcastLog(`[${mode.toUpperCase()}] Attempt ${attempts}: Valid XML parsed for ${displaySubject}`);
             broadcastLog(`  Question: "${parsedData.question.substring(0, 80)}..."`);
             
-            // Check for duplicates (only for multiplayer with askedQuestions)
-            if (mode === 'multiplayer' && askedQuestions && askedQuestions.length > 0) {
-                const newQuestion = parsedData.question.toLowerCase().trim();
-                let maxSimilarity = 0;
-                let mostSimilarQuestion = '';
-                
-                isDuplicate = askedQuestions.some(asked => {
-                    const similarity = calculateSimilarity(asked, newQuestion);
-                    if (similarity > maxSimilarity) {
-                        maxSimilarity = similarity;
-                        mostSimilarQuestion = asked;
-                    }
-                    return similarity > 0.75; // 75% similarity threshold (increased from 50% for stricter duplicate detection)
-                });
-                
-                if (isDuplicate) {
-                    broadcastLog(`[${mode.toUpperCase()}] Attempt ${attempts}: Duplicate detected (${(maxSimilarity * 100).toFixed(1)}% similar)`);
-                    broadcastLog(`  New: "${newQuestion.substring(0, 60)}..."`);
-                    broadcastLog(`  Old: "${mostSimilarQuestion.substring(0, 60)}..."`);
-                    continue;
-                }
-            } else {
-                isDuplicate = false; // Singleplayer doesn't check duplicates
+            // Check for paraphrased duplicates of this round and the player's history from the question bank
+            const duplicate = findDuplicate(duplicateCandidate(parsedData));
+            isDuplicate = duplicate !== null;
+            
+            if (isDuplicate) {
+                broadcastLog(`[${mode.toUpperCase()}] Attempt ${attempts}: Duplicate detected (${(duplicate.similarity * 100).toFixed(1)}% similar wording${duplicate.sameAnswer ? ', same answer' : ''})`);
+                broadcastLog(`  New: "${parsedData.question.substring(0, 60)}..."`);
+                broadcastLog(`  Old: "${duplicate.question.substring(0, 60)}..."`);
+                progress('duplicate', { similarity: Number(duplicate.similarity.toFixed(2)) });
+                recordOutcome('duplicate');
+                continue;
             }
             
             broadcastLog(`[${mode.toUpperCase()}] Attempt ${attempts}: Question is valid, verifying answer...`);
+            progress('verifying');
             
             // STEP 3: Verify the answer provided in the XML
             // Use the answer index from the XML (AI already decided which is correct)
             correctAnswerIndex = parsedData.answer;
             
-            // For Cantonese, skip AI verification completely - trust AI's answer
-            const isCantonese = subject === '粵語' || subject.toLowerCase() === 'cantonese';
+            // A Cantonese question is checked against its seed entry, so it has to be about that entry's term
+            if (seed && !cantoneseSeeds.mentions(parsedData, seed)) {
+                const reason = `the question does not quote the Cantonese term 「${seed.term}」 it had to be about`;
+                broadcastLog(`[${mode.toUpperCase()}] Attempt ${attempts}: Rejected - ${reason}. Regenerating...`);
+                rejectionReason = reason;
+                progress('rejected', { reason });
+                recordOutcome('rejected');
+                isValidJSON = false;
+                continue;
+            }
             
-            if (isCantonese) {
-                broadcastLog(`[${mode.toUpperCase()}] [CANTONESE] Skipping AI answer verification for Cantonese`);
-                // Treat as correct without verification
-                isValidJSON = true;
-                broadcastLog(`[${mode.toUpperCase()}] Attempt ${attempts}: ✓ Valid ${displaySubject} question with answer: Option ${correctAnswerIndex + 1} (Cantonese - no verification)`);
+            // Check the answer key against the AI's verdicts (every option in consensus mode); the answer to an
+            // ear-training question follows from its clip, so the AI is not asked
+            const verdict = parsedData.type === 'audio'
+                ? verifyAudioQuestion(parsedData)
+                : await verifyQuestionAnswers(parsedData, { template, passage: promptVariables.passage || null, language: writeNatively ? targetLanguage : 'en' });
+            throwIfCancelled(signal, mode);
+            confidence = verdict.confidence;
+            broadcastLog(`[${mode.toUpperCase()}] [VERIFY] ${parsedData.type === 'audio' ? 'clip' : VERIFY_MODE} verification of answer${parsedData.answers.length > 1 ? 's' : ''} ${parsedData.answers.map(i => i + 1).join(', ')}: confidence ${confidence.toFixed(2)}`);
+            
+            if (!verdict.valid) {
+                broadcastLog(`[${mode.toUpperCase()}] Attempt ${attempts}: Rejected - ${verdict.reason}. Regenerating...`);
+                rejectionReason = verdict.reason;
+                progress('rejected', { reason: verdict.reason });
+                recordOutcome('rejected');
+                isValidJSON = false;
             } else {
-                // For other languages, verify the answer
-                const aiProvidedAnswer = parsedData.options[correctAnswerIndex];
-                const isAnswerCorrect = await verifyAnswerWithAI(parsedData.question, aiProvidedAnswer);
-                
-                broadcastLog(`[${mode.toUpperCase()}] Verifying AI-provided answer: Option ${correctAnswerIndex + 1} ("${aiProvidedAnswer.substring(0, 50)}...")`);
-                
-                if (!isAnswerCorrect) {
-                    broadcastLog(`[${mode.toUpperCase()}] Attempt ${attempts}: AI-provided answer is WRONG! Regenerating...`);
-                    isValidJSON = false;
-                } else {
-                    broadcastLog(`[${mode.toUpperCase()}] Attempt ${attempts}: ✓ Valid ${displaySubject} question with correct answer: Option ${correctAnswerIndex + 1}`);
-                    isValidJSON = true;
-                }
+                broadcastLog(`[${mode.toUpperCase()}] Attempt ${attempts}: ✓ Valid ${displaySubject} ${parsedData.type} question with correct answer${parsedData.answers.length > 1 ? 's' : ''}: Option ${parsedData.answers.map(i => i + 1).join(', ')}`);
+                isValidJSON = true;
             }
             
             if (isValidJSON) {
-                if (targetLanguage && targetLanguage !== 'en') {
+                recordOutcome('valid');
+                sourceQuestion = parsedData.question; // Untranslated text, kept for cross-language duplicate checks
+                sourceAnswer = duplicateCandidate(parsedData).answer;
+                
+                // Point the question at the passage it was written from (shown with the answer)
+                if (passage) {
+                    studyMaterials.markUsed(material.id, passage.index);
+                    parsedData.source = { materialId: material.id, material: material.name, passage: passage.index + 1, text: passage.text };
+                }
+                // The seed entry's reading is known, so a Cantonese question always shows one
+                if (seed && !(parsedData.jyutping && parsedData.jyutping.question)) {
+                    parsedData.jyutping = { question: seed.jyutping, options: parsedData.jyutping ? parsedData.jyutping.options : parsedData.options.map(() => '') };
+                }
+                
+                // Fill in the explanation and distractor notes when the generation left them out
+                if (!hasCompleteExplanation(parsedData)) {
+                    progress('explaining');
+                    await explainQuestionWithAI(parsedData, mode, writeNatively ? targetLanguage : 'en');
+                }
+                
+                if (targetLanguage && targetLanguage !== 'en' && !writeNatively) {
                     broadcastLog(`[${mode.toUpperCase()}] [Translation] Translating verified question to ${targetLanguage}...`);
+                    progress('translating', { language: targetLanguage });
                     
-                    // Transform parsed data into quoted format for translation
-                    // Format: "question"|"option1"|"option2"|"option3"|"option4" (using pipe delimiter to avoid conflicts with periods in question text)
-                    const combinedText = `"${parsedData.question}"|"${parsedData.options[0]}"|"${parsedData.options[1]}"|"${parsedData.options[2]}"|"${parsedData.options[3]}"`;
-                    broadcastLog(`[${mode.toUpperCase()}] [Translation] Combined text: ${combinedText.substring(0, 100)}...`);
-                    
-                    // Translate the combined text
-                    const translatedCombined = await translateText(combinedText, targetLanguage);
-                    broadcastLog(`[${mode.toUpperCase()}] [Translation] Translated: ${translatedCombined.substring(0, 100)}...`);
-                    
-                    // Parse translated text back
-                    // Method: Split by pipe delimiter (won't appear in content) and clean up quotes
-                    // Format after translation: "question"|"option1"|"option2"|"option3"|"option4"
-                    const parts = translatedCombined.split('|').map(part => {
-                        // Remove all types of quotes from the beginning and end
-                        return part.trim().replace(/^["'"\"\"'?�«‟�??�『「\s]+/, '').replace(/["'"\"\"'?��??�】』」\s]+$/, '');
-                    }).filter(part => part.length > 0);
-                    
-                    broadcastLog(`[${mode.toUpperCase()}] [Translation] Split into ${parts.length} parts`);
-                    
-                    if (parts.length === 5) {
-                        // Successfully extracted all 5 parts
-                        const translatedQuestion = parts[0];
-                        const translatedOptions = parts.slice(1, 5);
-                        
-                        // Update parsedData with translated content
-                        parsedData.question = translatedQuestion;
-                        parsedData.options = translatedOptions;
-                        
-                        broadcastLog(`[${mode.toUpperCase()}] [Translation] ✓ Successfully translated`);
-                        broadcastLog(`[${mode.toUpperCase()}] [Translation] Translated question: "${translatedQuestion.substring(0, 80)}..."`);
-                        broadcastLog(`[${mode.toUpperCase()}] [Translation] Translated options: ${translatedOptions.slice(0, 2).join(' | ')}...`);
-                    } else {
-                        broadcastLog(`[${mode.toUpperCase()}] [Translation] Could only extract ${parts.length} parts (expected 5), keeping original`, 'warn');
+                    // Each field is translated on its own, with the subject's glossary; a failure leaves nothing half-translated
+                    try {
+                        parsedData = await translator.translateQuestion(parsedData, targetLanguage, subjectCatalog.getGlossary(subject, targetLanguage));
+                        broadcastLog(`[${mode.toUpperCase()}] [Translation] ✓ Translated question: "${parsedData.question.substring(0, 80)}..."`);
+                    } catch (error) {
+                        if (error.code !== ERROR_CODES.TRANSLATION_FAILED) throw error;
+                        // Never fall back to showing the English question: write a new one in the target language
+                        broadcastLog(`[${mode.toUpperCase()}] [Translation] ${error.message} - regenerating natively in ${targetLanguage}`, 'warn');
+                        writeNatively = true;
+                        translationFailed = true;
+                        writeIn(targetLanguage);
+                        isValidJSON = false;
+                        continue;
                     }
                 }
-                
-                // Store the question in askedQuestions for multiplayer
-                if (mode === 'multiplayer' && askedQuestions) {
-                    askedQuestions.push(parsedData.question);
-                    broadcastLog(`  Total questions in round: ${askedQuestions.length}`);
-                }
             }
         } catch (error) {
+            if (error.code === ERROR_CODES.AI_UNAVAILABLE || error.code === ERROR_CODES.CANCELLED) {
+                throw error; // Circuit breaker is open (the caller falls back to stored questions) or the player gave up
+            }
             broadcastLog(`[${mode.toUpperCase()}] Error generating question: ${error.message}`, 'error');
+            if (!attemptOutcome) recordOutcome('error');
             isValidJSON = false;
         }
     }
     
-    // Reconstruct XML with potentially translated content
-    let finalXML = aiResponse;
-    if (targetLanguage && targetLanguage !== 'en' && parsedData) {
-        finalXML = `<question>
-    <text>${parsedData.question}</text>
-    <options>
-        <option>${parsedData.options[0]}</option>
-        <option>${parsedData.options[1]}</option>
-        <option>${parsedData.options[2]}</option>
-        <option>${parsedData.options[3]}</option>
-    </options>
-    <answer>${parsedData.answer}</answer>
-</question>`;
-    }
+    // Rebuild the XML from the verified (and possibly translated) data so every client sees the normalized type and answers
+    const finalXML = parsedData ? buildQuestionXML(parsedData) : aiResponse;
+    
+    // Persist the verified question so it can be de-duplicated across sessions
+    const questionId = parsedData && correctAnswerIndex !== -1 ? questionBank.record({
+        subject,
+        topic: topic && topic.id,
+        language: targetLanguage,
+        question: parsedData.question,
+        sourceQuestion,
+        sourceAnswer,
+        options: parsedData.options,
+        answer: correctAnswerIndex,
+        type: parsedData.type,
+        answers: parsedData.answers,
+        difficulty,
+        explanation: parsedData.explanation,
+        distractorNotes: parsedData.distractorNotes,
+        jyutping: parsedData.jyutping,
+        audio: parsedData.audio,
+        confidence,
+        promptVersion: template.versionId,
+        provider: servedBy && servedBy.provider,
+        model: servedBy && servedBy.model,
+        source: parsedData.source
+    }) : null;
     
     // Return the generated question with validated answer
     return {
         aiResponse: finalXML,
         parsedData: parsedData,
         correctAnswerIndex: correctAnswerIndex,
-        attempts: attempts
+        attempts: attempts,
+        servedBy: servedBy,
+        questionId: questionId,
+        difficulty: difficulty,
+        confidence: confidence,
+        promptVersion: template.versionId,
+        topic: topic ? topic.id : null
     };
 }
 
-// Helper function to calculate text similarity using Levenshtein distance
-function calculateSimilarity(str1, str2) {
-    if (!str1 || !str2) return 0;
+// Send a generation progress event to the waiting player(s); a failing listener must not break generation
+function reportProgress(onProgress, event) {
+    if (!onProgress) return;
+    try {
+        onProgress(event);
+    } catch (error) {
+        broadcastLog(`[PROGRESS] Listener error: ${error.message}`, 'warn');
+    }
+}
+
+function throwIfCancelled(signal, mode) {
+    if (signal && signal.aborted) {
+        broadcastLog(`[${mode.toUpperCase()}] Question generation cancelled`, 'warn');
+        throw new QuizError(ERROR_CODES.CANCELLED, 'Question generation was cancelled');
+    }
+}
+
+// Sleep for `ms`, waking early when the signal is aborted
+function waitUnlessCancelled(ms, signal) {
+    return new Promise(resolve => {
+        const timer = setTimeout(done, ms);
+        function done() {
+            clearTimeout(timer);
+            if (signal) signal.removeEventListener('abort', done);
+            resolve();
+        }
+        if (signal) signal.addEventListener('abort', done, { once: true });
+    });
+}
+
+// ============================================================================
+// QUESTION SOURCE: pool first, live generation as fallback
+// Used by /chat, requestQuestion and startGame
+// `audiences` are question bank keys ("player:<id>") whose history must not be repeated
+// `askedQuestions` holds the round's { question, answer } candidates (multiplayer appends to it)
+// `shuffleSeed` fixes the option order (see shuffleResult); a random seed is used when it is null
+// `onProgress` and `signal` are passed to live generation (see generateAndValidateQuestion)
+// ============================================================================
+async function getNextQuestion(subject, { conversationHistory = [], askedQuestions = [], mode = 'singleplayer', language = 'en', audiences = [], difficulty = DEFAULT_DIFFICULTY, topics = [], shuffleSeed = null, onProgress = null, signal = null } = {}) {
+    // Selected sub-topics scope generation and the seen history; the pool only holds whole-subject questions
+    const selectedTopics = subjectCatalog.resolveTopics(subject, topics);
+    const topicIds = selectedTopics.length > 0 ? selectedTopics.map(topic => topic.id) : null;
+    const topicLabel = topicIds ? ` (${selectedTopics.map(topic => topic.names.en).join(', ')})` : '';
     
-    // Normalize strings - keep alphanumeric (including Unicode) and spaces
-    // Remove only punctuation and special symbols, keep Chinese characters
-    const normalize = (s) => s.toLowerCase()
-        .replace(/[^\p{L}\p{N}\s]/gu, '') // Keep Unicode letters, numbers, and spaces
-        .replace(/\s+/g, ' ')              // Normalize multiple spaces to single space
-        .trim();
+    // Questions already seen in earlier sessions count as asked, and retired questions must not come back;
+    // paraphrases of either are found through the bank's index
+    const seenIds = questionBank.getSeenIds(audiences, subject, topicIds);
+    if (seenIds.size > 0) {
+        broadcastLog(`[Question Bank] Avoiding ${seenIds.size} previously seen ${subject}${topicLabel} question(s)`);
+    }
+    const findDuplicate = candidate => findDuplicateIn(candidate, askedQuestions) ||
+        questionBank.findDuplicate(subject, candidate, id => seenIds.has(id) || questionBank.get(id).retired === true);
     
-    const s1 = normalize(str1);
-    const s2 = normalize(str2);
+    // Imported packs are served straight from the bank; study material questions are always written fresh
+    const pooled = isPackSubject(subject) || isMaterialSubject(subject) || topicIds ? null : questionPool.take(subject, language, difficulty, result =>
+        findDuplicate(getDuplicateCandidate(result)) === null
+    );
     
-    // If either string is empty after normalization, return 0 (no similarity)
-    if (!s1 || !s2) return 0;
+    let result;
+    if (isPackSubject(subject)) {
+        result = takePackQuestion(subject, findDuplicate, difficulty);
+    } else if (pooled) {
+        result = { ...pooled, fromPool: true };
+    } else if (!aiProvider.available) {
+        broadcastLog(`[OFFLINE] AI provider unavailable (circuit open), serving a stored ${subject}${topicLabel} question`, 'warn');
+        result = takeOfflineQuestion(subject, language, findDuplicate, difficulty, topicIds);
+    } else {
+        try {
+            // Use unified function to generate and validate question with 10-second retry delay
+            const generated = await generateAndValidateQuestion(
+                subject,
+                conversationHistory,
+                findDuplicate,
+                mode,
+                language,
+                true, // Enable 10-second retry delay
+                difficulty,
+                { onProgress, signal, topic: topicIds ? selectedTopics[Math.floor(Math.random() * selectedTopics.length)] : null }
+            );
+            result = { ...generated, fromPool: false };
+        } catch (error) {
+            if (!(error instanceof QuizError) || error.code === ERROR_CODES.CANCELLED) throw error;
+            broadcastLog(`[OFFLINE] ${error.code}: ${error.message} - serving a stored ${subject}${topicLabel} question`, 'warn');
+            reportProgress(onProgress, { stage: 'offline' });
+            result = takeOfflineQuestion(subject, language, findDuplicate, difficulty, topicIds);
+        }
+    }
     
-    // Check exact match first
-    if (s1 === s2) return 1.0;
+    if (!result) {
+        throw new QuizError(ERROR_CODES.NO_QUESTIONS_AVAILABLE, `No ${subject} questions are available while the AI is unavailable`);
+    }
     
-    // Calculate Levenshtein distance (edit distance)
-    const levenshteinDistance = (a, b) => {
-        const matrix = [];
-        
-        for (let i = 0; i <= b.length; i++) {
-            matrix[i] = [i];
-        }
-        
-        for (let j = 0; j <= a.length; j++) {
-            matrix[0][j] = j;
+    // Store the question in askedQuestions for multiplayer
+    if (mode === 'multiplayer' && result.parsedData) {
+        askedQuestions.push(getDuplicateCandidate(result));
+        broadcastLog(`  Total questions in round: ${askedQuestions.length}`);
+    }
+    
+    questionBank.markSeen(audiences, result.questionId);
+    
+    // Shuffle after verification, right before serving; the bank and the pool keep the model's order
+    if (SHUFFLE_OPTIONS && result.parsedData) {
+        result = shuffleResult(result, shuffleSeed || createShuffleSeed());
+    }
+    return result;
+}
+
+// Reorder a result's options. The seed combines the room/request seed with the question, so a room
+// that sees the same question again gets the same order. `shuffle.permutation[shownIndex]` is the
+// option's index in the original AI output (and in the question bank).
+function shuffleResult(result, baseSeed) {
+    const seed = `${baseSeed}:${result.questionId || result.parsedData.question}`;
+    const { question, permutation } = shuffleQuestion(result.parsedData, seed);
+    broadcastLog(`[SHUFFLE] Options shown in original order [${permutation.join(', ')}] (seed ${baseSeed}), answer ${result.correctAnswerIndex + 1} -> ${question.answer + 1}`);
+    return {
+        ...result,
+        aiResponse: buildQuestionXML(question),
+        parsedData: question,
+        correctAnswerIndex: question.answer,
+        shuffle: { seed: baseSeed, permutation }
+    };
+}
+
+const isPackSubject = (subject) => typeof subject === 'string' && subject.startsWith('pack:');
+
+// Catalog subjects can be disabled per mode; packs and study material subjects exist until they are deleted
+function isSubjectPlayable(subject, mode) {
+    if (isMaterialSubject(subject)) return studyMaterials.forSubject(subject) !== null;
+    if (isPackSubject(subject)) return questionBank.getPack(subject.slice('pack:'.length)) !== null;
+    return subjectCatalog.isPlayable(subject, mode);
+}
+
+// Pick a random question from an imported pack, preferring ones nobody in the audience has seen
+// and then ones tagged with the requested difficulty (packs without difficulty tags ignore it)
+function takePackQuestion(subject, findDuplicate, difficulty) {
+    const pack = questionBank.getPack(subject.slice('pack:'.length));
+    if (!pack) {
+        broadcastLog(`[PACKS] Unknown pack subject: ${subject}`, 'error');
+        return { aiResponse: null, parsedData: null, correctAnswerIndex: -1, attempts: 0 };
+    }
+    
+    const record = pickStoredRecord(questionBank.find({ packId: pack.id }), findDuplicate, difficulty, `"${pack.name}"`);
+    return { ...storedQuestionResult(record, { provider: 'pack', model: pack.name }), fromPack: true };
+}
+
+// Serve a stored question while generation is unavailable: the subject's question bank first,
+// then the bundled offline set (in the requested language when it has one; a bundled set in the
+// other Chinese script is converted locally).
+// With sub-topics selected, only the bank's questions of those topics are used while there are any.
+function takeOfflineQuestion(subject, language, findDuplicate, difficulty, topicIds = null) {
+    if (topicIds) {
+        const topicRecords = questionBank.find({ subject, language, topics: topicIds });
+        if (topicRecords.length > 0) {
+            const record = pickStoredRecord(topicRecords, findDuplicate, difficulty, `${subject} [${topicIds.join(', ')}]`);
+            return { ...storedQuestionResult(record, { provider: 'offline', model: 'question bank' }), offline: true };
         }
+        broadcastLog(`[OFFLINE] No stored questions for ${subject} topics ${topicIds.join(', ')}, using the whole subject`, 'warn');
+    }
+    const bundled = offlineQuestions.filter(q => q.subject === subject);
+    let bundledInLanguage = bundled.filter(q => q.language === language);
+    if (bundledInLanguage.length === 0 && otherScript(language)) {
+        bundledInLanguage = bundled.filter(q => q.language === otherScript(language)).map(q => ({ ...convertQuestion(q, language), language }));
+    }
+    // Bundled questions enter the bank when first needed so seen-tracking works as for generated ones
+    const bundledIds = (bundledInLanguage.length > 0 ? bundledInLanguage : bundled)
+        .map(q => questionBank.record({ ...q, provider: 'offline', model: 'bundled' }));
+    const records = [
+        ...questionBank.find({ subject, language }).filter(record => !bundledIds.includes(record.id)),
+        ...bundledIds.map(id => questionBank.get(id)).filter(record => !record.retired)
+    ];
+    if (records.length === 0) {
+        broadcastLog(`[OFFLINE] No stored or bundled ${subject} questions`, 'error');
+        return null;
+    }
+    
+    const record = pickStoredRecord(records, findDuplicate, difficulty, subject);
+    const source = record.provider === 'offline' ? 'bundled' : 'question bank';
+    return { ...storedQuestionResult(record, { provider: 'offline', model: source }), offline: true };
+}
+
+// Random record, preferring ones that repeat nothing the audience has seen and then ones with the requested difficulty
+function pickStoredRecord(records, findDuplicate, difficulty, label) {
+    let candidates = records.filter(record => findDuplicate(questionBank.getDuplicateCandidate(record.id)) === null);
+    if (candidates.length === 0) {
+        broadcastLog(`[QUESTIONS] Every ${label} question has been seen, repeating questions`, 'warn');
+        candidates = records;
+    }
+    const matchingDifficulty = candidates.filter(record => record.difficulty === difficulty);
+    if (matchingDifficulty.length > 0) {
+        candidates = matchingDifficulty;
+    }
+    return candidates[Math.floor(Math.random() * candidates.length)];
+}
+
+// Generation-result shaped object for a question bank record
+function storedQuestionResult(record, servedBy) {
+    const parsedData = normalizeQuestion({
+        question: record.question,
+        options: [...record.options],
+        answer: record.answer,
+        answers: record.answers,
+        type: record.type,
+        ...(record.explanation ? { explanation: record.explanation, distractorNotes: [...(record.distractorNotes || [])] } : {}),
+        ...(record.jyutping ? { jyutping: { ...record.jyutping, options: [...record.jyutping.options] } } : {}),
+        ...(record.audio ? { audio: record.audio } : {}),
+        ...(record.source ? { source: record.source } : {})
+    });
+    return {
+        aiResponse: buildQuestionXML(parsedData),
+        parsedData,
+        correctAnswerIndex: record.answer,
+        attempts: 0,
+        servedBy,
+        questionId: record.id,
+        difficulty: record.difficulty || null,
+        topic: record.topic || null
+    };
+}
+
+// Load the bundled offline question sets ({ sets: [{ subject, language, questions }] }, questions in the JSON pack format)
+function loadOfflineQuestions(filePath) {
+    try {
+        const data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+        const questions = (data.sets || []).flatMap(set =>
+            parseQuestions(set.questions || [], 'json').questions.map(q => ({ ...q, subject: set.subject, language: normalizeLanguage(set.language) }))
+        );
+        broadcastLog(`[OFFLINE] Loaded ${questions.length} bundled questions from ${filePath}`);
+        return questions;
+    } catch (error) {
+        broadcastLog(`[OFFLINE] Could not load bundled questions from ${filePath}: ${error.message}`, 'warn');
+        return [];
+    }
+}
+
+// The Cantonese seed set's meaning questions, in English and Traditional Chinese (Simplified is converted when served)
+function loadCantoneseSeedQuestions() {
+    if (cantoneseSeeds.entries.length === 0) return [];
+    return ['en', 'zh-Hant'].flatMap(language =>
+        parseQuestions(cantoneseSeeds.buildQuestions(language), 'json').questions.map(q => ({ ...q, subject: cantoneseSeeds.subjects[0], language }))
+    );
+}
+
+// Make the room's next question cancellable and stream its progress to every player in the room.
+// Returns the { onProgress, signal } options for getNextQuestion.
+function startRoomGeneration(roomCode, room) {
+    room.generation = new AbortController();
+    return {
+        onProgress: progress => io.to(roomCode).emit('generationProgress', progress),
+        signal: room.generation.signal
+    };
+}
+
+function finishRoomGeneration(room, generation) {
+    if (room.generation && room.generation.signal === generation.signal) {
+        room.generation = null; // Leave a newer request's controller in place
+    }
+}
+
+// Question bank keys for everyone currently in a room
+function getRoomAudiences(room) {
+    return room.players
+        .filter(player => player.playerId)
+        .map(player => `player:${player.playerId}`);
+}
+
+// Score every submitted answer in a room against room.correctAnswers.
+// Collab: a correct answer earns every player a point. Compete: each player earns their own credit,
+// which is fractional for a partly right multi-select answer. With awardPoints false answers are only marked.
+function scoreRoomAnswers(room, awardPoints = true) {
+    const quiz = { ...room.parsedQuestionData, answers: room.correctAnswers };
+    const playerAnswers = Array.from(room.answers.values()).map(a => {
+        const { isCorrect, credit } = scoreAnswer(quiz, a.selectedIndex);
+        a.isCorrect = isCorrect;
+        a.credit = credit;
         
-        for (let i = 1; i <= b.length; i++) {
-            for (let j = 1; j <= a.length; j++) {
-                if (b.charAt(i - 1) === a.charAt(j - 1)) {
-                    matrix[i][j] = matrix[i - 1][j - 1];
-                } else {
-                    matrix[i][j] = Math.min(
-                        matrix[i - 1][j - 1] + 1, // substitution
-                        matrix[i][j - 1] + 1,     // insertion
-                        matrix[i - 1][j] + 1      // deletion
-                    );
-                }
+        if (awardPoints && room.mode === 'collab' && isCorrect) {
+            room.players.forEach(p => p.score += 1);
+        } else if (awardPoints && room.mode === 'compete' && credit > 0) {
+            const player = room.players.find(p => p.name === a.playerName);
+            if (player) {
+                player.score = Math.round((player.score + credit) * 100) / 100;
             }
         }
         
-        return matrix[b.length][a.length];
-    };
-    
-    const distance = levenshteinDistance(s1, s2);
-    const maxLength = Math.max(s1.length, s2.length);
-    
-    // Convert distance to similarity (0 to 1)
-    // Similarity = 1 - (distance / maxLength)
-    const similarity = 1 - (distance / maxLength);
-    
-    broadcastLog(`[Similarity Debug] S1 vs S2: distance=${distance}, similarity=${similarity.toFixed(3)}`);
+        return {
+            playerName: a.playerName,
+            selectedIndex: a.selectedIndex,
+            isCorrect: isCorrect,
+            credit: credit
+        };
+    });
     
-    return Math.max(0, Math.min(1, similarity));
+    // What every player earned and picked, so it can be made up if the question is reported and fixed (see refundQuestionPoints).
+    // Picks are kept in the bank's option order, which a corrected answer key refers to.
+    if (awardPoints && room.currentQuestionId) {
+        const teamCredit = playerAnswers.some(a => a.isCorrect) ? 1 : 0;
+        const shuffle = room.shuffles[room.shuffles.length - 1];
+        const toBankIndex = shuffle && shuffle.questionId === room.currentQuestionId ? index => shuffle.permutation[index] : index => index;
+        room.scoredQuestions.push({
+            questionId: room.currentQuestionId,
+            credits: Object.fromEntries(room.players.map(player => {
+                const answer = playerAnswers.find(a => a.playerName === player.name);
+                return [player.name, room.mode === 'collab' ? teamCredit : (answer ? answer.credit : 0)];
+            })),
+            picks: Object.fromEntries(playerAnswers.map(a => [a.playerName,
+                (Array.isArray(a.selectedIndex) ? a.selectedIndex : [a.selectedIndex]).map(index => parseInt(index)).filter(index => !isNaN(index)).map(toBankIndex)])),
+            refunded: false
+        });
+    }
+    return playerAnswers;
+}
+
+// Answer details sent with every revealAnswers event: correct options, question type and explanation
+function getRevealDetails(room) {
+    const quiz = room.parsedQuestionData || {};
+    return {
+        correctAnswer: room.correctAnswer,
+        correctAnswers: room.correctAnswers,
+        questionType: getQuestionType(quiz),
+        explanation: quiz.explanation || null,
+        distractorNotes: quiz.distractorNotes || [],
+        source: quiz.source || null
+    };
+}
+
+// Pre-translation { question, answer } of a generation result (what duplicate checks compare)
+function getDuplicateCandidate(result) {
+    return (result.questionId && questionBank.getDuplicateCandidate(result.questionId)) || duplicateCandidate(result.parsedData);
+}
+
+// Short description of where a question came from, for the server console
+function describeQuestionSource(result) {
+    const servedBy = result.servedBy ? `${result.servedBy.provider} / ${result.servedBy.model}` : 'unknown provider';
+    if (result.fromPack) {
+        return `from question pack "${result.servedBy.model}"`;
+    }
+    return result.fromPool
+        ? `from pool, generated by ${servedBy}`
+        : `after ${result.attempts} attempts, served by ${servedBy}`;
 }
 
 io.on('connection', (socket) => {
@@ -978,22 +2048,29 @@ io.on('connection', (socket) => {
     broadcastLog('Player connected: ' + socket.id);
 
     // Create or join room
-    socket.on('createRoom', ({ playerName, mode, subject }) => {
+    socket.on('createRoom', ({ playerName, mode, subject, playerId, language }) => {
         const roomCode = generateRoomCode();
         rooms.set(roomCode, {
-            players: [{ id: socket.id, name: playerName, score: 0 }],
+            players: [{ id: socket.id, name: playerName, score: 0, playerId: playerId || null }],
             hostId: socket.id, // Track the host (room creator)
             currentQuestion: null,
             correctAnswer: null,
             mode: mode, // 'collab' or 'compete'
             subject: subject,
+            language: normalizeLanguage(language), // Questions are asked in the host's UI language, like singleplayer
             answers: new Map(), // playerId -> answer
             answerTimer: null,
             conversationHistory: [], // Track Q&A for AI memory
             askedQuestions: [], // Track asked questions to prevent duplicates
             isGameActive: false, // Track if a game round is currently playing
             gameState: null, // Store game state for syncing joining players
-            currentLevel: 0 // Track current question level (0-11)
+            currentLevel: 0, // Track current question level (0-11)
+            topics: [], // Sub-topic ids of the subject chosen by the host (see setTopics)
+            generation: null, // AbortController of the question being generated (see startRoomGeneration)
+            shuffleSeed: createShuffleSeed(), // Makes this room's option orders reproducible (see shuffleResult)
+            shuffles: [], // { questionId, permutation } per question served, to map answers back to the AI output
+            currentQuestionId: null, // Question bank id of the question being played
+            scoredQuestions: [] // { questionId, credits: { playerName: credit }, picks: { playerName: [bank option index] }, refunded } per scored question (see refundQuestionPoints)
         });
         playerRooms.set(socket.id, roomCode);
         socket.join(roomCode);
@@ -1002,14 +2079,14 @@ io.on('connection', (socket) => {
         broadcastLog(`Room ${roomCode} created by ${playerName}`);
     });
 
-    socket.on('joinRoom', ({ roomCode, playerName }) => {
+    socket.on('joinRoom', ({ roomCode, playerName, playerId }) => {
         const room = rooms.get(roomCode);
         if (!room) {
             socket.emit('error', { message: 'Room not found' });
             return;
         }
 
-        room.players.push({ id: socket.id, name: playerName, score: 0 });
+        room.players.push({ id: socket.id, name: playerName, score: 0, playerId: playerId || null });
         playerRooms.set(socket.id, roomCode);
         socket.join(roomCode);
 
@@ -1017,7 +2094,8 @@ io.on('connection', (socket) => {
         io.to(roomCode).emit('playerJoined', {
             playerName,
             players: room.players,
-            subject: room.subject // Include current subject selection
+            subject: room.subject, // Include current subject selection
+            topics: room.topics
         });
         
         // If a game round is currently active, sync the joining player with current game state
@@ -1035,23 +2113,27 @@ io.on('connection', (socket) => {
         const room = rooms.get(roomCode);
         if (!room || room.gameOver) return;
 
+        const generation = startRoomGeneration(roomCode, room);
         try {
             // Update room conversation history if provided
             if (conversationHistory && Array.isArray(conversationHistory)) {
                 room.conversationHistory = conversationHistory;
             }
             
-            broadcastLog(`[MULTIPLAYER] STEP 2-3: Requesting new question for room ${roomCode}`);
-            
-            // Use unified function to generate and validate question with 10-second retry delay
-            const result = await generateAndValidateQuestion(
-                room.subject,
-                room.conversationHistory,
-                room.askedQuestions,
-                'multiplayer',
-                'en', // Default language
-                true // Enable 10-second retry delay
-            );
+            broadcastLog(`[MULTIPLAYER] STEP 2-3: Requesting new question for room ${roomCode} (level ${room.currentLevel + 1}, ${getDifficultyForLevel(room.currentLevel)})`);
+            
+            // Pool first, then live generation and validation
+            const result = await getNextQuestion(room.subject, {
+                conversationHistory: room.conversationHistory,
+                askedQuestions: room.askedQuestions,
+                mode: 'multiplayer',
+                language: room.language,
+                audiences: getRoomAudiences(room),
+                difficulty: getDifficultyForLevel(room.currentLevel), // Climbs with the prize ladder
+                topics: room.topics, // Sub-topics ticked by the host
+                shuffleSeed: room.shuffleSeed,
+                ...generation
+            });
             
             if (!result.parsedData || result.correctAnswerIndex === -1) {
                 broadcastLog('[MULTIPLAYER] Failed to generate valid question after multiple attempts', 'error');
@@ -1059,12 +2141,17 @@ io.on('connection', (socket) => {
                 return;
             }
             
-            broadcastLog(`[MULTIPLAYER] STEP 5: Valid question ready (after ${result.attempts} attempts)`);
+            broadcastLog(`[MULTIPLAYER] STEP 5: Valid question ready (${describeQuestionSource(result)})`);
             
             // Store the parsed data for answer verification later
             room.currentQuestion = result.aiResponse;
             room.parsedQuestionData = result.parsedData;
             room.correctAnswer = result.correctAnswerIndex;
+            room.correctAnswers = getCorrectAnswers(result.parsedData);
+            room.currentQuestionId = result.questionId || null;
+            if (result.shuffle) {
+                room.shuffles.push({ questionId: result.questionId || null, permutation: result.shuffle.permutation });
+            }
             room.answers.clear();
             room.questionStartTime = Date.now(); // Track when question was sent
             
@@ -1073,6 +2160,7 @@ io.on('connection', (socket) => {
                 currentQuestion: result.aiResponse,
                 parsedQuestionData: result.parsedData,
                 correctAnswer: result.correctAnswerIndex,
+                questionId: room.currentQuestionId,
                 currentLevelSynced: room.currentLevel,
                 mode: room.mode,
                 subject: room.subject,
@@ -1083,15 +2171,29 @@ io.on('connection', (socket) => {
             
             // Emit question to all players
             broadcastLog('Emitting question to all players');
-            io.to(roomCode).emit('newQuestion', { question: result.aiResponse });
+            io.to(roomCode).emit('newQuestion', { question: result.aiResponse, questionId: room.currentQuestionId, offline: Boolean(result.offline) });
             
             // STEP 6: Timer will start when client emits 'questionReady' after rendering buttons
         } catch (error) {
             broadcastLog('[MULTIPLAYER] Error generating question: ' + error.message, 'error');
-            socket.emit('error', { message: 'Failed to generate question' });
+            io.to(roomCode).emit('questionError', { code: error.code || null, message: 'Failed to generate question' });
+        } finally {
+            finishRoomGeneration(room, generation);
         }
     });
 
+    // Cancel the question being generated for the room - ANYONE in the room can cancel
+    socket.on('cancelGeneration', ({ roomCode }) => {
+        const room = rooms.get(roomCode);
+        if (!room || !room.generation) return;
+
+        const player = room.players.find(p => p.id === socket.id);
+        if (!player) return;
+
+        broadcastLog(`[MULTIPLAYER] ${player.name} cancelled question generation in room ${roomCode}`, 'warn');
+        room.generation.abort(); // The pending requestQuestion/startGame emits questionError (CANCELLED)
+    });
+
     // Set subject (real-time sync) - ANYONE can change subject
     socket.on('setSubject', ({ roomCode, subject, subjectTitle }) => {
         const room = rooms.get(roomCode);
@@ -1100,6 +2202,14 @@ io.on('connection', (socket) => {
         const player = room.players.find(p => p.id === socket.id);
         if (!player) return;
 
+        if (!isSubjectPlayable(subject, 'multiplayer')) {
+            socket.emit('error', { message: 'This subject is not available in multiplayer' });
+            return;
+        }
+
+        if (room.subject !== subject) {
+            room.topics = []; // Topics belong to the previous subject
+        }
         room.subject = subject;
 
         // Notify all other players in the room - subject can be changed by anyone
@@ -1110,8 +2220,23 @@ io.on('connection', (socket) => {
         });
     });
 
+    // Set the sub-topics of the room's subject - ONLY HOST CAN CHOOSE
+    socket.on('setTopics', ({ roomCode, topics }) => {
+        const room = rooms.get(roomCode);
+        if (!room) return;
+
+        if (socket.id !== room.hostId) {
+            socket.emit('error', { message: 'Only the host can choose topics' });
+            return;
+        }
+
+        room.topics = subjectCatalog.resolveTopics(room.subject, Array.isArray(topics) ? topics : []).map(topic => topic.id);
+        io.to(roomCode).emit('topicsChanged', { subject: room.subject, topics: room.topics });
+        broadcastLog(`Room ${roomCode} topics: ${room.topics.length > 0 ? room.topics.join(', ') : 'whole subject'}`);
+    });
+
     // Start game (broadcast to all players) - ONLY HOST CAN START
-    socket.on('startGame', async ({ roomCode }) => {
+    socket.on('startGame', async ({ roomCode, language }) => {
         broadcastLog('startGame event received for room:', roomCode);
         const room = rooms.get(roomCode);
         if (!room) {
@@ -1138,9 +2263,16 @@ io.on('connection', (socket) => {
             socket.emit('error', { message: 'Please select a subject first' });
             return;
         }
+
+        if (!isSubjectPlayable(room.subject, 'multiplayer')) {
+            broadcastLog(`Subject ${room.subject} was disabled, not starting room ${roomCode}`);
+            socket.emit('error', { message: 'This subject is not available in multiplayer' });
+            return;
+        }
         
-        // Mark game as active
+        // Mark game as active; the host may have switched language in the waiting room
         room.isGameActive = true;
+        if (language) room.language = normalizeLanguage(language);
 
         broadcastLog(`Starting game for room ${roomCode}, subject: ${room.subject}`);
         
@@ -1165,16 +2297,20 @@ io.on('connection', (socket) => {
         // In compete mode, generate first question immediately using UNIFIED FUNCTION
         broadcastLog('[MULTIPLAYER] STEP 1-3: Starting game and generating first question for compete mode');
         
+        const generation = startRoomGeneration(roomCode, room);
         try {
-            // Use unified function to generate and validate first question with 10-second retry delay
-            const result = await generateAndValidateQuestion(
-                room.subject,
-                [], // No conversation history yet
-                room.askedQuestions,
-                'multiplayer',
-                'en', // Default language
-                true // Enable 10-second retry delay
-            );
+            // Pool first, then live generation and validation
+            const result = await getNextQuestion(room.subject, {
+                conversationHistory: [], // No conversation history yet
+                askedQuestions: room.askedQuestions,
+                mode: 'multiplayer',
+                language: room.language,
+                audiences: getRoomAudiences(room),
+                difficulty: getDifficultyForLevel(room.currentLevel), // Climbs with the prize ladder
+                topics: room.topics, // Sub-topics ticked by the host
+                shuffleSeed: room.shuffleSeed,
+                ...generation
+            });
             
             if (!result.parsedData || result.correctAnswerIndex === -1) {
                 broadcastLog('[MULTIPLAYER] Failed to generate first question after multiple attempts');
@@ -1182,12 +2318,17 @@ io.on('connection', (socket) => {
                 return;
             }
             
-            broadcastLog(`[MULTIPLAYER] STEP 5: First question ready (after ${result.attempts} attempts)`);
+            broadcastLog(`[MULTIPLAYER] STEP 5: First question ready (${describeQuestionSource(result)})`);
             
             // Store question data in room
             room.currentQuestion = result.aiResponse;
             room.parsedQuestionData = result.parsedData;
             room.correctAnswer = result.correctAnswerIndex;
+            room.correctAnswers = getCorrectAnswers(result.parsedData);
+            room.currentQuestionId = result.questionId || null;
+            if (result.shuffle) {
+                room.shuffles.push({ questionId: result.questionId || null, permutation: result.shuffle.permutation });
+            }
             room.answers.clear();
             room.questionStartTime = Date.now(); // Track when question was sent
             
@@ -1196,6 +2337,7 @@ io.on('connection', (socket) => {
                 currentQuestion: result.aiResponse,
                 parsedQuestionData: result.parsedData,
                 correctAnswer: result.correctAnswerIndex,
+                questionId: room.currentQuestionId,
                 currentLevelSynced: room.currentLevel,
                 mode: room.mode,
                 subject: room.subject,
@@ -1205,12 +2347,14 @@ io.on('connection', (socket) => {
             };
             
             // Emit the first question to all players
-            io.to(roomCode).emit('newQuestion', { question: room.currentQuestion });
+            io.to(roomCode).emit('newQuestion', { question: room.currentQuestion, questionId: room.currentQuestionId, offline: Boolean(result.offline) });
             
             // STEP 6: Timer will start when client emits 'questionReady' after rendering buttons
         } catch (error) {
-            broadcastLog('[MULTIPLAYER] Error generating first question:', error);
-            socket.emit('error', { message: 'Failed to generate question' });
+            broadcastLog('[MULTIPLAYER] Error generating first question: ' + error.message, 'error');
+            io.to(roomCode).emit('questionError', { code: error.code || null, message: 'Failed to generate question' });
+        } finally {
+            finishRoomGeneration(room, generation);
         }
     });
 
@@ -1237,57 +2381,23 @@ io.on('connection', (socket) => {
                 // Show AI checking overlay to all players
                 io.to(roomCode).emit('aiCheckingStart');
                 
-                let correctAnswerToUse = -1;
+                let correctAnswersToUse = [];
                 
-                // Check if current subject is Cantonese - skip verification and mark all answers as correct
-                if (room.subject === '粵語') {
-                    broadcastLog('[Timer] Cantonese category detected - skipping verification');
-                    // For Cantonese, mark the first answer received as correct (or first player's answer if no answers yet)
-                    if (room.answers.size > 0) {
-                        const firstAnswer = Array.from(room.answers.values())[0];
-                        correctAnswerToUse = firstAnswer.selectedIndex;
-                    } else {
-                        correctAnswerToUse = 0; // Default to first option if no answers
-                    }
-                } else {
-                    // Use AI-verified answer from question generation (no additional AI call needed)
-                    if (room.parsedQuestionData) {
-                        correctAnswerToUse = room.parsedQuestionData.answer;
-                        // If all options are wrong, default to first option
-                        if (correctAnswerToUse === -1) {
-                            broadcastLog('[Timer] Warning: All options are wrong, defaulting to option 0');
-                            correctAnswerToUse = 0;
-                        }
+                // Use AI-verified answer from question generation (no additional AI call needed)
+                if (room.parsedQuestionData) {
+                    correctAnswersToUse = getCorrectAnswers(room.parsedQuestionData);
+                    // If all options are wrong, default to first option
+                    if (correctAnswersToUse.length === 0) {
+                        broadcastLog('[Timer] Warning: All options are wrong, defaulting to option 0');
+                        correctAnswersToUse = [0];
                     }
                 }
                 
-                room.correctAnswer = correctAnswerToUse;
+                room.correctAnswers = correctAnswersToUse;
+                room.correctAnswer = correctAnswersToUse.length > 0 ? correctAnswersToUse[0] : -1;
                 
                 // Calculate isCorrect for each answer and update scores
-                const playerAnswers = Array.from(room.answers.values()).map(a => {
-                    const isCorrect = a.selectedIndex === room.correctAnswer;
-                    a.isCorrect = isCorrect;
-                    
-                    // Update player scores
-                    if (isCorrect) {
-                        if (room.mode === 'collab') {
-                            // In collab, all players get the point
-                            room.players.forEach(p => p.score += 1);
-                        } else if (room.mode === 'compete') {
-                            // In compete, only correct player gets point
-                            const player = room.players.find(p => p.name === a.playerName);
-                            if (player) {
-                                player.score += 1;
-                            }
-                        }
-                    }
-                    
-                    return {
-                        playerName: a.playerName,
-                        selectedIndex: a.selectedIndex,
-                        isCorrect: isCorrect
-                    };
-                });
+                const playerAnswers = scoreRoomAnswers(room);
                 
                 // Include all players, even those who didn't answer
                 const allPlayerAnswers = room.players.map(player => {
@@ -1295,12 +2405,13 @@ io.on('connection', (socket) => {
                     return {
                         playerName: player.name,
                         selectedIndex: answer ? answer.selectedIndex : null,
-                        isCorrect: answer ? answer.isCorrect : false
+                        isCorrect: answer ? answer.isCorrect : false,
+                        credit: answer ? answer.credit : 0
                     };
                 });
                 
                 io.to(roomCode).emit('revealAnswers', {
-                    correctAnswer: room.correctAnswer,
+                    ...getRevealDetails(room),
                     playerAnswers: allPlayerAnswers,
                     scores: room.players.map(p => ({ name: p.name, score: p.score }))
                 });
@@ -1356,37 +2467,20 @@ io.on('connection', (socket) => {
             // Use AI-verified answer from question generation (no additional AI call needed)
             broadcastLog('[AI Verification] Using pre-verified answer from question generation...');
             
-            let correctAnswerToUse = -1;
+            let correctAnswersToUse = [];
             
-            // Check if current subject is Cantonese - skip verification and use selected answer as correct
-            if (room.subject === '粵語') {
-                broadcastLog('[AI Verification] Cantonese category detected - skipping verification, marking answer as correct');
-                correctAnswerToUse = answer;
-            } else if (room.parsedQuestionData) {
-                correctAnswerToUse = room.parsedQuestionData.answer;
+            if (room.parsedQuestionData) {
+                correctAnswersToUse = getCorrectAnswers(room.parsedQuestionData);
             }
             
-            room.correctAnswer = correctAnswerToUse;
+            room.correctAnswers = correctAnswersToUse;
+            room.correctAnswer = correctAnswersToUse.length > 0 ? correctAnswersToUse[0] : -1;
             
-            // Calculate isCorrect for each answer and update scores
-            const playerAnswers = Array.from(room.answers.values()).map(a => {
-                const isCorrect = a.selectedIndex === room.correctAnswer;
-                a.isCorrect = isCorrect;
-                
-                // Update player score in collab mode (all get point if any correct)
-                if (isCorrect) {
-                    room.players.forEach(p => p.score += 1);
-                }
-                
-                return {
-                    playerName: a.playerName,
-                    selectedIndex: a.selectedIndex,
-                    isCorrect: isCorrect
-                };
-            });
+            // Calculate isCorrect for each answer and update scores (all get point if any correct)
+            const playerAnswers = scoreRoomAnswers(room);
             
             io.to(roomCode).emit('revealAnswers', {
-                correctAnswer: room.correctAnswer,
+                ...getRevealDetails(room),
                 playerAnswers: playerAnswers,
                 scores: room.players.map(p => ({ name: p.name, score: p.score }))
             });
@@ -1428,37 +2522,21 @@ io.on('connection', (socket) => {
             // Use AI-verified answer from question generation (no additional AI call needed)
             broadcastLog('[AI Verification] Using pre-verified answer from question generation...');
             if (room.parsedQuestionData) {
-                room.correctAnswer = room.parsedQuestionData.answer;
+                room.correctAnswers = getCorrectAnswers(room.parsedQuestionData);
                 // If all options are wrong, default to first option
-                if (room.correctAnswer === -1) {
+                if (room.correctAnswers.length === 0) {
                     broadcastLog('[Compete] Warning: All options are wrong, defaulting to option 0');
-                    room.correctAnswer = 0;
+                    room.correctAnswers = [0];
                 }
+                room.correctAnswer = room.correctAnswers[0];
             }
             
-            // Calculate isCorrect for each answer and update scores
-            const playerAnswers = Array.from(room.answers.values()).map(a => {
-                const isCorrect = a.selectedIndex === room.correctAnswer;
-                a.isCorrect = isCorrect;
-                
-                // Update player score in compete mode (individual scoring)
-                if (isCorrect && room.mode === 'compete') {
-                    const player = room.players.find(p => p.name === a.playerName);
-                    if (player) {
-                        player.score += 1;
-                    }
-                }
-                
-                return {
-                    playerName: a.playerName,
-                    selectedIndex: a.selectedIndex,
-                    isCorrect: isCorrect
-                };
-            });
+            // Calculate isCorrect for each answer and update scores (compete mode: individual, partial credit for multi-select)
+            const playerAnswers = scoreRoomAnswers(room, room.mode === 'compete');
             
             broadcastLog('Emitting revealAnswers:', { correctAnswer: room.correctAnswer, playerAnswers });
             io.to(roomCode).emit('revealAnswers', {
-                correctAnswer: room.correctAnswer,
+                ...getRevealDetails(room),
                 playerAnswers: playerAnswers,
                 scores: room.players.map(p => ({ name: p.name, score: p.score }))
             });
@@ -1517,6 +2595,9 @@ io.on('connection', (socket) => {
                     if (room.answerTimer) {
                         clearTimeout(room.answerTimer);
                     }
+                    if (room.generation) {
+                        room.generation.abort(); // Nobody is left to receive the question
+                    }
                     rooms.delete(roomCode);
                     broadcastLog(`Room ${roomCode} deleted (empty)`);
                 } else {
@@ -1534,15 +2615,16 @@ io.on('connection', (socket) => {
 // Function to verify AI model at startup
 async function verifyAIModel() {
     try {
-        broadcastLog('Model checking');
-        const testCompletion = await client.chat.completions.create({
-            model: AI_MODEL,
+        const { provider, model } = aiProvider.describe();
+        broadcastLog(`Model checking (${provider} / ${model})`);
+        const testCompletion = await aiProvider.chat({
+            purpose: 'healthcheck',
             messages: [{ role: "user", content: "test" }],
             max_tokens: 10,
         });
         
         const modelUsed = testCompletion.model;
-        broadcastLog(`✓ AI Model verified: ${modelUsed}`);
+        broadcastLog(`✓ AI Model verified: ${testCompletion.provider} / ${modelUsed}`);
         return modelUsed;
     } catch (error) {
         broadcastLog(`✗ Failed to verify AI model: ${error.message}`, 'error');
@@ -1550,9 +2632,25 @@ async function verifyAIModel() {
     }
 }
 
+// Persist pending question bank writes before exiting
+['SIGINT', 'SIGTERM'].forEach(signal => {
+    process.on(signal, () => {
+        questionBank.flush();
+        questionReports.flush();
+        promptStats.flush();
+        subjectCatalog.flush();
+        studyMaterials.flush();
+        translator.flush();
+        process.exit(0);
+    });
+});
+
 httpServer.listen(PORT, '0.0.0.0', async () => {
     broadcastLog(`Server running on port ${PORT}`);
     broadcastLog('');
 
     await verifyAIModel();
+    
+    // Start pre-generating questions once the provider has been checked
+    questionPool.start(POOL_SUBJECTS, POOL_LANGUAGES, POOL_DIFFICULTIES);
 });